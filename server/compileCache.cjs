@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Content-addressed cache for compile results.
+//
+// Entries live in two tiers: a memory tier for hot results and a disk tier that
+// survives restarts. Both are bounded by size and evict the least recently used
+// entries first. A disk hit is promoted back into memory.
+
+// Hash everything that affects compiler output into a cache key
+function createCacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function createCompileCache({ directory, maxMemoryBytes, maxDiskBytes }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  // Map iteration order is insertion order, so re-inserting on access keeps the
+  // least recently used entry first
+  const memory = new Map(); // key -> { value, size }
+  const disk = new Map(); // key -> size
+  let memoryBytes = 0;
+  let diskBytes = 0;
+
+  const stats = { hits: 0, memoryHits: 0, diskHits: 0, misses: 0, evictions: 0 };
+
+  const fileFor = (key) => path.join(directory, `${key}.json`);
+
+  // Rebuild the disk index, oldest access first
+  fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .map(file => ({ key: file.slice(0, -'.json'.length), stat: fs.statSync(path.join(directory, file)) }))
+    .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+    .forEach(({ key, stat }) => {
+      disk.set(key, stat.size);
+      diskBytes += stat.size;
+    });
+
+  const removeFromMemory = (key) => {
+    const entry = memory.get(key);
+    if (!entry) return;
+    memory.delete(key);
+    memoryBytes -= entry.size;
+  };
+
+  const removeFromDisk = (key) => {
+    const size = disk.get(key);
+    if (size === undefined) return;
+    disk.delete(key);
+    diskBytes -= size;
+    fs.rmSync(fileFor(key), { force: true });
+  };
+
+  const storeInMemory = (key, value, size) => {
+    if (size > maxMemoryBytes) return;
+    removeFromMemory(key);
+    memory.set(key, { value, size });
+    memoryBytes += size;
+    for (const oldest of memory.keys()) {
+      if (memoryBytes <= maxMemoryBytes) break;
+      removeFromMemory(oldest);
+      stats.evictions++;
+    }
+  };
+
+  return {
+    get(key) {
+      const entry = memory.get(key);
+      if (entry) {
+        memory.delete(key);
+        memory.set(key, entry);
+        stats.hits++;
+        stats.memoryHits++;
+        return { value: entry.value, tier: 'memory' };
+      }
+
+      if (disk.has(key)) {
+        try {
+          const json = fs.readFileSync(fileFor(key), 'utf-8');
+          const value = JSON.parse(json);
+          // Touch the file and the index so LRU order survives restarts
+          const now = new Date();
+          fs.utimesSync(fileFor(key), now, now);
+          const size = disk.get(key);
+          disk.delete(key);
+          disk.set(key, size);
+          storeInMemory(key, value, Buffer.byteLength(json));
+          stats.hits++;
+          stats.diskHits++;
+          return { value, tier: 'disk' };
+        } catch (e) {
+          // Unreadable entry - drop it and compile again
+          removeFromDisk(key);
+        }
+      }
+
+      stats.misses++;
+      return null;
+    },
+
+    set(key, value) {
+      const json = JSON.stringify(value);
+      const size = Buffer.byteLength(json);
+      storeInMemory(key, value, size);
+
+      if (size > maxDiskBytes) return;
+      try {
+        removeFromDisk(key);
+        fs.writeFileSync(fileFor(key), json);
+        disk.set(key, size);
+        diskBytes += size;
+        for (const oldest of disk.keys()) {
+          if (diskBytes <= maxDiskBytes) break;
+          removeFromDisk(oldest);
+          stats.evictions++;
+        }
+      } catch (e) {
+        // The disk tier is best effort, memory still holds the entry
+      }
+    },
+
+    stats() {
+      return {
+        ...stats,
+        memory: { entries: memory.size, bytes: memoryBytes, maxBytes: maxMemoryBytes },
+        disk: { entries: disk.size, bytes: diskBytes, maxBytes: maxDiskBytes, directory }
+      };
+    },
+
+    // Inspect cached entries, most recently used first
+    list() {
+      return [...disk.keys()].reverse().map(key => ({
+        key,
+        size: disk.get(key),
+        inMemory: memory.has(key)
+      }));
+    },
+
+    clear() {
+      for (const key of [...disk.keys()]) removeFromDisk(key);
+      memory.clear();
+      memoryBytes = 0;
+      Object.keys(stats).forEach(name => { stats[name] = 0; });
+    }
+  };
+}
+
+module.exports = { createCompileCache, createCacheKey };
@@ -1,9 +1,17 @@
 const express = require('express');
 const cors = require('cors');
-const { execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const events = require('events');
+const { createShaderStore } = require('./shaderStore.cjs');
+const { createShareStore } = require('./shareStore.cjs');
+const { createRevisionStore } = require('./revisionStore.cjs');
+const { zipSync } = require('fflate');
+const { createCompileCache, createCacheKey } = require('./compileCache.cjs');
+const { createProcessPool, runProcess } = require('./processPool.cjs');
+const { createMaterialGraph, createGuid, quoteT3d } = require('./unrealClipboard.cjs');
 
 const app = express();
 app.use(cors());
@@ -14,6 +22,33 @@ const GLSLANG_PATH = process.env.GLSLANG_PATH || 'glslangValidator';
 const SPIRV_CROSS_PATH = process.env.SPIRV_CROSS_PATH || 'spirv-cross';
 const SLANG_PATH = process.env.SLANG_PATH || 'slangc';
 
+// Directory for saved user shaders
+const SHADER_STORE_DIR = process.env.SHADER_STORE_DIR || path.join(__dirname, 'data', 'shaders');
+
+// Code history of library and saved shaders
+const REVISION_STORE_DIR = process.env.REVISION_STORE_DIR || path.join(__dirname, 'data', 'revisions');
+
+// Short links for shared shaders too big to fit in a URL
+const SHARE_STORE_DIR = process.env.SHARE_STORE_DIR || path.join(__dirname, 'data', 'shares');
+
+// Compiler processes run through a queue so a slow compile never blocks other requests
+const COMPILE_CONCURRENCY = Number(process.env.COMPILE_CONCURRENCY) || Math.max(1, Math.min(4, os.cpus().length));
+const COMPILE_TIMEOUT_MS = Number(process.env.COMPILE_TIMEOUT_MS) || 30000;
+
+// Compile cache - set COMPILE_CACHE=off to disable
+const COMPILE_CACHE_ENABLED = process.env.COMPILE_CACHE !== 'off';
+const COMPILE_CACHE_DIR = process.env.COMPILE_CACHE_DIR || path.join(__dirname, 'data', 'compile-cache');
+const COMPILE_CACHE_MEMORY_MB = Number(process.env.COMPILE_CACHE_MEMORY_MB) || 64;
+const COMPILE_CACHE_DISK_MB = Number(process.env.COMPILE_CACHE_DISK_MB) || 512;
+
+// Token required by the admin endpoints (x-admin-token header) - without it they are read-only
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Library shaders and their thumbnails - the thumbnails live in the frontend's public/ folder,
+// so replacing one is a dev-only workflow that edits the source tree (see the thumbnail endpoints)
+const LIBRARY_DIR = path.join(__dirname, '..', 'SlangLibrary');
+const LIBRARY_THUMBNAIL_DIR = process.env.LIBRARY_THUMBNAIL_DIR || path.join(__dirname, '..', 'public', 'images', 'thumbnails');
+
 // Vertex shader used by the frontend
 const VERTEX_SHADER = `#version 450
 
@@ -144,6 +179,10 @@ app.post('/api/convert', async (req, res) => {
     return res.status(400).json({ success: false, error: 'No GLSL code provided' });
   }
 
+  const signal = createRequestAbortSignal(res);
+  const jobId = getJobId(req);
+  activeJobs.add(jobId);
+
   const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-'));
   const glslFile = path.join(tempDir, `shader.${shaderType}`);
   const spirvFile = path.join(tempDir, 'shader.spv');
@@ -157,14 +196,14 @@ app.post('/api/convert', async (req, res) => {
     fs.writeFileSync(glslFile, fullShaderCode);
 
     // GLSL -> SPIR-V
-    try {
-      execFileSync(GLSLANG_PATH, ['-V', '-S', shaderType, '-o', spirvFile, glslFile], {
-        timeout: 10000,
-        maxBuffer: 1024 * 1024
-      });
-    } catch (glslError) {
-      // Parse and adjust error line numbers
-      let errorMsg = glslError.stderr ? glslError.stderr.toString() : glslError.message;
+    const glslResult = await compilePool.run(GLSLANG_PATH, ['-V', '-S', shaderType, '-o', spirvFile, glslFile], {
+      jobId,
+      signal,
+      timeout: 10000
+    });
+    if (glslResult.code !== 0) {
+      // Parse and adjust error line numbers (glslangValidator reports errors on stdout)
+      let errorMsg = glslResult.stderr || glslResult.stdout || `glslangValidator exited with code ${glslResult.code}`;
       const lineMatch = errorMsg.match(/ERROR:\s*\d+:(\d+):\s*(.*)/);
       if (lineMatch) {
         const line = parseInt(lineMatch[1]) - 31; // Offset for wrapper code (user code starts at line 32)
@@ -175,23 +214,23 @@ app.post('/api/convert', async (req, res) => {
     }
 
     // SPIR-V -> HLSL
-    let hlslCode;
-    try {
-      hlslCode = execFileSync(SPIRV_CROSS_PATH, [
-        spirvFile,
-        '--hlsl',
-        '--shader-model', '50'
-      ], {
-        timeout: 10000,
-        maxBuffer: 1024 * 1024
-      }).toString();
-    } catch (spirvError) {
+    const spirvResult = await compilePool.run(SPIRV_CROSS_PATH, [
+      spirvFile,
+      '--hlsl',
+      '--shader-model', '50'
+    ], {
+      jobId,
+      signal,
+      timeout: 10000
+    });
+    if (spirvResult.code !== 0) {
       return res.status(400).json({
         success: false,
-        error: spirvError.stderr ? spirvError.stderr.toString() : spirvError.message,
+        error: spirvResult.stderr || `spirv-cross exited with code ${spirvResult.code}`,
         stage: 'spirv-to-hlsl'
       });
     }
+    let hlslCode = spirvResult.stdout;
 
     // Apply Unreal transforms if requested
     if (mode === 'unrealHlsl') {
@@ -205,8 +244,9 @@ app.post('/api/convert', async (req, res) => {
 
     res.json({ success: true, hlsl: hlslCode });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendProcessError(res, error);
   } finally {
+    activeJobs.delete(jobId);
     // Cleanup temp files
     try {
       fs.rmSync(tempDir, { recursive: true, force: true });
@@ -216,6 +256,46 @@ app.post('/api/convert', async (req, res) => {
   }
 });
 
+const compilePool = createProcessPool({ concurrency: COMPILE_CONCURRENCY });
+
+// Compile requests still in progress (some of their time is spent outside the pool)
+const activeJobs = new Set();
+
+// Abort signal that fires when the client goes away before the response is sent. A bundle
+// queues every target on the same signal, so the listener limit is lifted - each job removes
+// its listener when it leaves the pool
+function createRequestAbortSignal(res) {
+  const controller = new AbortController();
+  events.setMaxListeners(0, controller.signal);
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+// Use the client's job id (so it can poll the queue position) or make one up
+function getJobId(req) {
+  const { jobId } = req.body || {};
+  return typeof jobId === 'string' && /^[\w-]{1,64}$/.test(jobId) ? jobId : crypto.randomUUID();
+}
+
+// Error response for a failed tool run - nothing is sent if the client cancelled
+function sendProcessError(res, error) {
+  if (error.name === 'AbortError') return;
+  res.status(error.code === 'ETIMEDOUT' ? 504 : 500).json({ success: false, error: error.message });
+}
+
+// Reject admin requests without the configured token - writes are refused outright when none is set
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN && req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(403).json({ success: false, error: 'Admin endpoints are disabled - set ADMIN_TOKEN on the server' });
+  }
+  if (ADMIN_TOKEN && req.get('x-admin-token') !== ADMIN_TOKEN) {
+    return res.status(403).json({ success: false, error: 'Admin token required' });
+  }
+  next();
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -225,23 +305,16 @@ app.get('/api/health', (req, res) => {
 app.get('/api/tools', async (req, res) => {
   const tools = {};
 
-  try {
-    tools.glslang = execFileSync(GLSLANG_PATH, ['--version'], { timeout: 5000 }).toString().split('\n')[0];
-  } catch (e) {
-    tools.glslang = 'Not available';
-  }
+  // Version checks run outside the compile queue so they answer even when it's busy
+  const [glslang, spirvCross] = await Promise.all([
+    runProcess(GLSLANG_PATH, ['--version'], { timeout: 5000 }).catch(() => null),
+    runProcess(SPIRV_CROSS_PATH, ['--help'], { timeout: 5000 }).catch(() => null)
+  ]);
 
-  try {
-    // spirv-cross --version outputs to stderr and returns non-zero
-    tools.spirvCross = 'Available';
-    execFileSync(SPIRV_CROSS_PATH, ['--help'], { timeout: 5000 });
-  } catch (e) {
-    if (e.stdout || e.stderr) {
-      tools.spirvCross = 'Available';
-    } else {
-      tools.spirvCross = 'Not available';
-    }
-  }
+  tools.glslang = glslang && glslang.code === 0 ? glslang.stdout.split('\n')[0] : 'Not available';
+
+  // spirv-cross --help prints to stderr and returns non-zero, any output means it's there
+  tools.spirvCross = spirvCross && (spirvCross.stdout || spirvCross.stderr) ? 'Available' : 'Not available';
 
   res.json(tools);
 });
@@ -250,8 +323,291 @@ app.get('/api/tools', async (req, res) => {
 // SLANG COMPILATION ENDPOINTS
 // ============================================================================
 
+// ----------------------------------------------------------------------------
+// Material parameters
+// ----------------------------------------------------------------------------
+// Users declare tweakable values at the top level of their code:
+//   [Param] float Speed = 1.0;
+//   [Range(0.0, 5.0)] float Scale = 2.0;
+//   [Color] float3 Tint = float3(1.0, 0.5, 0.0);
+//   [Param] float2 Offset = float2(0.0, 0.0);
+//   [Param] bool Invert = false;
+// Each declaration is turned into a global uniform by the wrapper, and the
+// declaration line itself is blanked so error line numbers stay unchanged.
+
+const PARAM_DECLARATION = /^\s*\[\s*(Param|Range|Color)\s*(?:\(([^)]*)\))?\s*\]\s*(float[234]?|bool)\s+([A-Za-z_]\w*)\s*(?:=\s*([^;]+))?;\s*(?:\/\/\s*(.*))?$/;
+
+const PARAM_COMPONENTS = { float: 1, float2: 2, float3: 3, float4: 4, bool: 1 };
+
+// Names already provided by the wrappers - parameters may not shadow them
+const RESERVED_PARAM_NAMES = [
+  'iResolution', 'iTime', 'iTimeDelta', 'iFrame', 'iFrameRate', 'iMouse', 'iDate',
+  'iUV', 'iNormal', 'iPosition', 'fragColor', 'fragCoord',
+  'uResolution', 'uTime', 'uTimeDelta', 'uFrame', 'uFrameRate', 'uMouse', 'uDate',
+  'iChannel0', 'iChannel1', 'iChannel2', 'iChannel3',
+  'iChannel0Sampler', 'iChannel1Sampler', 'iChannel2Sampler', 'iChannel3Sampler',
+  'iChannelResolution', 'iChannelTime',
+  'iBufferA', 'iBufferB', 'iBufferC', 'iBufferD',
+  'iBufferASampler', 'iBufferBSampler', 'iBufferCSampler', 'iBufferDSampler'
+];
+
+// Parse a default value expression like "1.0", "true" or "float3(1.0, 0.5, 0.0)"
+function parseParamDefault(expr, valueType) {
+  const count = PARAM_COMPONENTS[valueType];
+
+  if (valueType === 'bool') {
+    if (!expr) return false;
+    return expr.trim() === 'true' || parseFloat(expr) > 0;
+  }
+
+  const numbers = expr ? (expr.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number) : [];
+  // Skip the component count in constructors like float3(...)
+  const values = expr && /^\s*float[234]\s*\(/.test(expr) ? numbers.slice(1) : numbers;
+
+  if (count === 1) return values.length > 0 ? values[0] : 0;
+
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    // float3(0.5) broadcasts a single value to every component
+    result.push(values.length === 1 ? values[0] : (values[i] ?? (i === 3 ? 1 : 0)));
+  }
+  return result;
+}
+
+// Extract [Param]/[Range]/[Color] declarations from user code
+function parseMaterialParameters(source) {
+  const parameters = [];
+  const errors = [];
+  const lines = source.split('\n');
+  let inBlockComment = false;
+
+  lines.forEach((line, index) => {
+    // Ignore declarations inside /* ... */ so documented examples aren't picked up
+    const startsInComment = inBlockComment;
+    for (const token of line.replace(/\/\/.*$/, '').match(/\/\*|\*\//g) || []) {
+      inBlockComment = token === '/*';
+    }
+    if (startsInComment) return;
+
+    const match = line.match(PARAM_DECLARATION);
+    if (!match) return;
+
+    const [, attribute, attributeArgs, valueType, name, defaultExpr, label] = match;
+    const lineNum = index + 1;
+    const fail = (message) => errors.push({ line: lineNum, type: 'error', code: 'param', message });
+
+    if (RESERVED_PARAM_NAMES.includes(name)) {
+      return fail(`Parameter '${name}' conflicts with a pre-defined variable`);
+    }
+    if (parameters.some(p => p.name === name)) {
+      return fail(`Parameter '${name}' is declared more than once`);
+    }
+
+    const param = {
+      name,
+      label: label ? label.trim() : name,
+      valueType,
+      kind: valueType === 'bool' ? 'bool' : (valueType === 'float' ? 'float' : 'vector'),
+      default: parseParamDefault(defaultExpr, valueType),
+      line: lineNum
+    };
+
+    if (attribute === 'Range') {
+      const bounds = (attributeArgs || '').split(',').map(v => parseFloat(v));
+      if (valueType !== 'float' || bounds.length !== 2 || bounds.some(isNaN)) {
+        return fail(`[Range(min, max)] requires a float parameter, e.g. [Range(0.0, 1.0)] float ${name} = 0.5;`);
+      }
+      param.kind = 'range';
+      param.min = Math.min(bounds[0], bounds[1]);
+      param.max = Math.max(bounds[0], bounds[1]);
+    } else if (attribute === 'Color') {
+      if (valueType !== 'float3' && valueType !== 'float4') {
+        return fail(`[Color] requires a float3 or float4 parameter`);
+      }
+      param.kind = 'color';
+    }
+
+    parameters.push(param);
+    // Blank the declaration so the wrapper can emit it as a uniform
+    lines[index] = '';
+  });
+
+  return { parameters, code: lines.join('\n'), errors };
+}
+
+// Override parameter defaults with values from the client (e.g. the current slider state)
+function applyParameterValues(parameters, values) {
+  if (!values) return parameters;
+  return parameters.map(p => (values[p.name] !== undefined ? { ...p, default: values[p.name] } : p));
+}
+
+// Uniform declarations for the Slang wrappers (bools are passed as int 0/1)
+function buildParameterUniforms(parameters) {
+  if (parameters.length === 0) return '';
+  const decls = parameters.map(p => `uniform ${p.valueType === 'bool' ? 'int' : p.valueType} ${p.name};`);
+  return `\n// Material parameters\n${decls.join('\n')}\n`;
+}
+
+// Format a parameter default as a readable literal
+function formatParamDefault(param) {
+  if (param.valueType === 'bool') return param.default ? 'true' : 'false';
+  if (Array.isArray(param.default)) return `(${param.default.join(', ')})`;
+  return String(param.default);
+}
+
+// Build a comment block describing the material parameters for exported code
+function buildParameterComment(parameters, describe) {
+  if (parameters.length === 0) return '';
+  const lines = parameters.map(p => {
+    const range = p.kind === 'range' ? `, range [${p.min}, ${p.max}]` : '';
+    return `//   ${describe(p)} (default ${formatParamDefault(p)}${range})`;
+  });
+  return `// Material parameters:\n${lines.join('\n')}\n`;
+}
+
+// Type name of a parameter in a given output language
+function paramTypeName(param, language) {
+  const names = {
+    hlsl: { float: 'float', float2: 'float2', float3: 'float3', float4: 'float4', bool: 'int' },
+    glsl: { float: 'float', float2: 'vec2', float3: 'vec3', float4: 'vec4', bool: 'int' },
+    wgsl: { float: 'f32', float2: 'vec2<f32>', float3: 'vec3<f32>', float4: 'vec4<f32>', bool: 'i32' },
+    metal: { float: 'float', float2: 'float2', float3: 'float3', float4: 'float4', bool: 'int' }
+  };
+  return names[language][param.valueType];
+}
+
+// Strip the compiler's _0 suffix from parameter names
+function renameParameterReferences(code, parameters) {
+  let result = code;
+  for (const p of parameters) {
+    result = result.replace(new RegExp(`\\b${p.name}_0\\b`, 'g'), p.name);
+  }
+  return result;
+}
+
+// ----------------------------------------------------------------------------
+// Texture channels
+// ----------------------------------------------------------------------------
+// Four ShaderToy-style input textures, each with its own sampler so engines can
+// pair them up (Unreal names the sampler of a Texture Object input "<name>Sampler").
+// Sample with: iChannel0.Sample(iChannel0Sampler, uv)
+
+const CHANNEL_COUNT = 4;
+
+const CHANNEL_DECLARATIONS = `uniform float3 iChannelResolution[4];
+uniform float iChannelTime[4];
+
+// Texture channels
+${Array.from({ length: CHANNEL_COUNT }, (_, i) => `Texture2D iChannel${i};\nSamplerState iChannel${i}Sampler;`).join('\n')}
+`;
+
+// Multi-pass buffers (ShaderToy Buffer A-D). Each pass is compiled separately by the
+// client; the one being rendered can read every buffer, including its own previous frame.
+const BUFFER_NAMES = ['BufferA', 'BufferB', 'BufferC', 'BufferD'];
+
+const BUFFER_DECLARATIONS = `
+// Multi-pass buffers
+${BUFFER_NAMES.map(name => `Texture2D i${name};\nSamplerState i${name}Sampler;`).join('\n')}
+`;
+
+// Buffers referenced by compiled output, e.g. ['BufferA']
+function findUsedBuffers(code) {
+  return BUFFER_NAMES.filter(name => new RegExp(`\\bi${name}(?:_0)?\\b`).test(code));
+}
+
+// Channels referenced by compiled output, e.g. [0, 2]
+function findUsedChannels(code) {
+  const used = new Set();
+  for (const match of code.matchAll(/iChannel(\d)/g)) {
+    used.add(parseInt(match[1]));
+  }
+  return [...used].sort();
+}
+
+// Strip the compiler's _0 suffix from channel/buffer textures, samplers and uniforms
+function renameChannelReferences(code) {
+  return code.replace(/\b(iChannel(?:\d(?:Sampler)?|Resolution|Time)|iBuffer[A-D](?:Sampler)?)_0\b/g, '$1');
+}
+
+// Build a comment block describing the texture channels used by exported code
+function buildChannelComment(channels, describe) {
+  if (channels.length === 0) return '';
+  return `// Texture channels:\n${channels.map(i => `//   ${describe(i)}`).join('\n')}\n`;
+}
+
+// Build a comment block describing the multi-pass buffers used by exported code
+function buildBufferComment(buffers, describe) {
+  if (buffers.length === 0) return '';
+  return `// Pass buffers:\n${buffers.map(name => `//   ${describe(name)}`).join('\n')}\n`;
+}
+
+// Surface mode: where the fragment outputs hold each SurfaceOutput field
+function buildSurfaceComment(code) {
+  if (!/\bSurfaceTargets\w*/.test(code)) return '';
+  const fields = SURFACE_FIELDS.map(field => `//   SV_Target${field.target}.${field.swizzle}: ${field.name} - ${field.description}`);
+  return `// Surface outputs:\n${fields.join('\n')}\n`;
+}
+
+// Describe how the application should fill iMouse / iDate (only when the shader uses them)
+function buildInputComment(code) {
+  const notes = [];
+  if (/\biMouse\b/.test(code)) {
+    notes.push('//   iMouse: xy = cursor pixel while pressed, zw = click pixel (negative when released)');
+  }
+  if (/\biDate\b/.test(code)) {
+    notes.push('//   iDate: year, month (0-11), day (1-31), seconds since midnight');
+  }
+  return notes.length > 0 ? `// Application inputs:\n${notes.join('\n')}\n` : '';
+}
+
+// ----------------------------------------------------------------------------
+// Global section (Material Library mode)
+// ----------------------------------------------------------------------------
+// "// @global" and "// @main" marker lines switch between code placed outside
+// the entry point (functions, structs, constants, static tables) and code that
+// runs inside fragmentMain. "// @vertex" starts the optional vertex offset
+// section, which runs inside vertexMain. Code before any marker belongs to the
+// main section. Each section keeps every source line (lines of the other
+// sections are blanked) so compiler errors map straight back to the original
+// line numbers.
+
+const SECTION_MARKER = /^\s*\/\/\s*@(global|main|vertex)\s*$/;
+
+function splitSourceSections(source) {
+  const lines = { global: [], main: [], vertex: [] };
+  let section = 'main';
+  let hasGlobal = false;
+  let hasVertex = false;
+
+  for (const line of source.split('\n')) {
+    const marker = line.match(SECTION_MARKER);
+    if (marker) {
+      section = marker[1];
+      hasGlobal = hasGlobal || section === 'global';
+      hasVertex = hasVertex || section === 'vertex';
+    }
+    for (const name of Object.keys(lines)) {
+      lines[name].push(!marker && section === name ? line : '');
+    }
+  }
+
+  return {
+    // Trailing blank lines don't affect line mapping, so drop them
+    global: lines.global.join('\n').replace(/\s+$/, ''),
+    main: lines.main.join('\n'),
+    vertex: lines.vertex.join('\n'),
+    hasGlobal,
+    hasVertex
+  };
+}
+
 // Wrap user code into a complete Slang fragment shader for Material Library mode
-function wrapUserCodeForSlang(userCode) {
+function wrapUserCodeForSlang(userCode, parameters = []) {
+  const sections = splitSourceSections(userCode);
+  const globalSection = sections.hasGlobal
+    ? `// ---- GLOBAL CODE START ----\n${sections.global}\n// ---- GLOBAL CODE END ----\n\n`
+    : '';
+
   return `// Slang Fragment Shader - Material Library Mode
 
 // Uniforms
@@ -260,7 +616,9 @@ uniform float uTime;
 uniform float uTimeDelta;
 uniform float uFrame;
 uniform float uFrameRate;
-
+uniform float4 uMouse;
+uniform float4 uDate;
+${CHANNEL_DECLARATIONS}${BUFFER_DECLARATIONS}${buildParameterUniforms(parameters)}
 // Varyings from vertex shader
 struct VSInput
 {
@@ -269,7 +627,7 @@ struct VSInput
     float3 position : TEXCOORD1;
 };
 
-[shader("fragment")]
+${globalSection}[shader("fragment")]
 float4 fragmentMain(VSInput input) : SV_Target
 {
     // Pre-defined variables for user convenience
@@ -278,6 +636,8 @@ float4 fragmentMain(VSInput input) : SV_Target
     float iTimeDelta = uTimeDelta;
     float iFrame = uFrame;
     float iFrameRate = uFrameRate;
+    float4 iMouse = uMouse;
+    float4 iDate = uDate;
     float2 iUV = input.uv;
     float3 iNormal = input.normal;
     float3 iPosition = input.position;
@@ -285,8 +645,8 @@ float4 fragmentMain(VSInput input) : SV_Target
     // Default output
     float4 fragColor = float4(1.0, 1.0, 1.0, 1.0);
 
-    // ---- USER CODE START (line 36) ----
-${userCode}
+    // ---- USER CODE START ----
+${sections.main}
     // ---- USER CODE END ----
 
     return fragColor;
@@ -294,8 +654,197 @@ ${userCode}
 `;
 }
 
+// ----------------------------------------------------------------------------
+// Surface mode (lit PBR)
+// ----------------------------------------------------------------------------
+// User code fills a SurfaceOutput instead of fragColor. The preview wrapper
+// shades it with a key light and a studio environment. The export wrapper
+// packs it into four render targets that the engine cleanups unpack into
+// material outputs (Unreal pins, Shader Graph outputs, Godot built-ins).
+
+// SurfaceOutput fields in declaration order, with where the export wrapper packs them
+const SURFACE_FIELDS = [
+  { name: 'baseColor', type: 'float3', target: 0, swizzle: 'rgb', default: 'float3(0.8, 0.8, 0.8)', description: 'Linear albedo' },
+  { name: 'metallic', type: 'float', target: 3, swizzle: 'r', default: '0.0', description: '0 = dielectric, 1 = metal' },
+  { name: 'roughness', type: 'float', target: 3, swizzle: 'g', default: '0.5', description: 'Microsurface roughness, 0 = mirror' },
+  { name: 'normal', type: 'float3', target: 1, swizzle: 'xyz', default: 'float3(0.0, 0.0, 1.0)', description: 'Tangent space normal, (0, 0, 1) keeps the mesh normal' },
+  { name: 'emissive', type: 'float3', target: 2, swizzle: 'rgb', default: 'float3(0.0, 0.0, 0.0)', description: 'Emitted light, added after lighting' },
+  { name: 'opacity', type: 'float', target: 0, swizzle: 'a', default: '1.0', description: 'Coverage, 1 = opaque' },
+  { name: 'occlusion', type: 'float', target: 3, swizzle: 'b', default: '1.0', description: 'Ambient occlusion, 0 = fully occluded' }
+];
+
+// Members of the export wrapper's SurfaceTargets struct, by render target index
+const SURFACE_TARGETS = ['baseColorOpacity', 'normal', 'emissive', 'material'];
+
+const SURFACE_STRUCT = `// Surface properties written by the user code
+struct SurfaceOutput
+{
+${SURFACE_FIELDS.map(field => `    ${field.type} ${field.name}; // ${field.description}`).join('\n')}
+};
+`;
+
+// Lit preview: GGX key light plus a sky/ground environment with a softbox,
+// blurred by roughness and integrated with the split-sum approximation.
+// The result is tone mapped and gamma encoded, ready for the screen like fragColor.
+const SURFACE_PREVIEW_SHADING = `static const float PREVIEW_PI = 3.14159265;
+static const float3 PREVIEW_KEY_DIRECTION = float3(0.48, 0.72, 0.5);
+static const float PREVIEW_KEY_INTENSITY = 3.0;
+
+float3 previewEnvironment(float3 direction, float roughness)
+{
+    float blur = roughness * roughness;
+    float3 sky = lerp(float3(0.55, 0.6, 0.68), float3(0.28, 0.34, 0.45), saturate(direction.y));
+    float3 ground = float3(0.16, 0.15, 0.14);
+    float3 color = lerp(ground, sky, smoothstep(-0.02 - blur, 0.02 + blur, direction.y));
+
+    // The softbox widens and dims with roughness, so the light it gives stays about the same
+    float sharpness = lerp(256.0, 4.0, sqrt(roughness));
+    float softbox = pow(saturate(dot(direction, float3(-0.7, 0.3, 0.65))), sharpness);
+    return color + softbox * 2.0 * (sharpness + 1.0) / 257.0;
+}
+
+float4 previewShade(SurfaceOutput surface, VSInput input, bool isFrontFace)
+{
+    float3 V = normalize(input.viewDirection);
+    float3 N = normalize(input.worldNormal) * (isFrontFace ? 1.0 : -1.0);
+
+    // Tangent frame from the screen-space derivatives of position and UV
+    float3 dp1 = ddx(input.worldPosition);
+    float3 dp2 = ddy(input.worldPosition);
+    float2 duv1 = ddx(input.uv);
+    float2 duv2 = ddy(input.uv);
+    float3 dp2perp = cross(dp2, N);
+    float3 dp1perp = cross(N, dp1);
+    float3 T = dp2perp * duv1.x + dp1perp * duv2.x;
+    float3 B = dp2perp * duv1.y + dp1perp * duv2.y;
+    float frameScale = rsqrt(max(max(dot(T, T), dot(B, B)), 1e-20));
+    N = normalize(T * frameScale * surface.normal.x + B * frameScale * surface.normal.y + N * surface.normal.z);
+
+    float3 baseColor = saturate(surface.baseColor);
+    float metallic = saturate(surface.metallic);
+    float roughness = clamp(surface.roughness, 0.045, 1.0);
+    float alpha = roughness * roughness;
+    float3 diffuseColor = baseColor * (1.0 - metallic);
+    float3 f0 = lerp(float3(0.04, 0.04, 0.04), baseColor, metallic);
+    float NdotV = max(dot(N, V), 1e-4);
+
+    // Key light: GGX distribution, Smith visibility, Schlick Fresnel
+    float3 L = PREVIEW_KEY_DIRECTION;
+    float3 H = normalize(L + V);
+    float NdotL = saturate(dot(N, L));
+    float NdotH = saturate(dot(N, H));
+    float a2 = alpha * alpha;
+    float d = NdotH * NdotH * (a2 - 1.0) + 1.0;
+    float distribution = a2 / (PREVIEW_PI * d * d);
+    float k = alpha * 0.5;
+    float visibility = 0.25 / ((NdotL * (1.0 - k) + k) * (NdotV * (1.0 - k) + k));
+    float3 fresnel = f0 + (1.0 - f0) * pow(1.0 - saturate(dot(V, H)), 5.0);
+    float3 direct = (diffuseColor / PREVIEW_PI + distribution * visibility * fresnel) * NdotL * PREVIEW_KEY_INTENSITY;
+
+    // Environment: analytic fit of the pre-integrated specular BRDF
+    float4 r = roughness * float4(-1.0, -0.0275, -0.572, 0.022) + float4(1.0, 0.0425, 1.04, -0.04);
+    float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;
+    float2 environmentBrdf = float2(-1.04, 1.04) * a004 + r.zw;
+    float3 specular = previewEnvironment(reflect(-V, N), roughness) * (f0 * environmentBrdf.x + environmentBrdf.y);
+    float3 diffuse = previewEnvironment(N, 1.0) * diffuseColor;
+
+    float3 color = direct + (diffuse + specular) * saturate(surface.occlusion) + max(surface.emissive, float3(0.0, 0.0, 0.0));
+
+    // Filmic tone curve (ACES fit), then gamma
+    color = saturate((color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14));
+    return float4(pow(color, float3(1.0 / 2.2, 1.0 / 2.2, 1.0 / 2.2)), saturate(surface.opacity));
+}
+`;
+
+// Wrap user code into a Slang fragment shader for Surface mode. The preview
+// returns the lit color; with forExport the entry point returns SurfaceTargets.
+function wrapUserCodeForSlangSurface(userCode, parameters = [], { forExport = false } = {}) {
+  const sections = splitSourceSections(userCode);
+  const globalSection = sections.hasGlobal
+    ? `// ---- GLOBAL CODE START ----\n${sections.global}\n// ---- GLOBAL CODE END ----\n\n`
+    : '';
+
+  // The preview also gets world space position and normal and the direction to the camera
+  const previewInputs = forExport
+    ? ''
+    : `    float3 worldPosition : TEXCOORD2;
+    float3 worldNormal : TEXCOORD3;
+    float3 viewDirection : TEXCOORD4;
+`;
+
+  const output = forExport
+    ? `// Packed surface, unpacked again by the engine exports
+struct SurfaceTargets
+{
+${SURFACE_TARGETS.map((name, i) => `    float4 ${name} : SV_Target${i};`).join('\n')}
+};
+
+`
+    : SURFACE_PREVIEW_SHADING;
+
+  const entryPoint = forExport
+    ? 'SurfaceTargets fragmentMain(VSInput input)'
+    : 'float4 fragmentMain(VSInput input, bool isFrontFace : SV_IsFrontFace) : SV_Target';
+
+  const result = forExport
+    ? `    SurfaceTargets targets;
+    targets.baseColorOpacity = float4(surface.baseColor, surface.opacity);
+    targets.normal = float4(surface.normal, 0.0);
+    targets.emissive = float4(surface.emissive, 0.0);
+    targets.material = float4(surface.metallic, surface.roughness, surface.occlusion, 0.0);
+    return targets;`
+    : '    return previewShade(surface, input, isFrontFace);';
+
+  return `// Slang Fragment Shader - Surface Mode
+
+// Uniforms
+uniform float2 uResolution;
+uniform float uTime;
+uniform float uTimeDelta;
+uniform float uFrame;
+uniform float uFrameRate;
+uniform float4 uMouse;
+uniform float4 uDate;
+${CHANNEL_DECLARATIONS}${BUFFER_DECLARATIONS}${buildParameterUniforms(parameters)}
+// Varyings from vertex shader
+struct VSInput
+{
+    float2 uv : TEXCOORD0;
+    float3 normal : NORMAL;
+    float3 position : TEXCOORD1;
+${previewInputs}};
+
+${SURFACE_STRUCT}
+${output}${globalSection}[shader("fragment")]
+${entryPoint}
+{
+    // Pre-defined variables for user convenience
+    float2 iResolution = uResolution;
+    float iTime = uTime;
+    float iTimeDelta = uTimeDelta;
+    float iFrame = uFrame;
+    float iFrameRate = uFrameRate;
+    float4 iMouse = uMouse;
+    float4 iDate = uDate;
+    float2 iUV = input.uv;
+    float3 iNormal = input.normal;
+    float3 iPosition = input.position;
+
+    // Default surface
+    SurfaceOutput surface;
+${SURFACE_FIELDS.map(field => `    surface.${field.name} = ${field.default};`).join('\n')}
+
+    // ---- USER CODE START ----
+${sections.main}
+    // ---- USER CODE END ----
+
+${result}
+}
+`;
+}
+
 // Wrap user code for ShaderToy compatibility mode
-function wrapUserCodeForSlangShaderToy(userCode) {
+function wrapUserCodeForSlangShaderToy(userCode, parameters = []) {
   return `// Slang Fragment Shader - ShaderToy Mode
 
 // Uniforms
@@ -304,7 +853,9 @@ uniform float iTime;
 uniform float iTimeDelta;
 uniform float iFrame;
 uniform float iFrameRate;
-
+uniform float4 iMouse;
+uniform float4 iDate;
+${CHANNEL_DECLARATIONS}${BUFFER_DECLARATIONS}${buildParameterUniforms(parameters)}
 // Varyings
 struct VSInput
 {
@@ -323,37 +874,132 @@ float4 fragmentMain(VSInput input) : SV_Target
     return fragColor;
 }
 
-// ---- USER CODE START (line 28) ----
+// ---- USER CODE START ----
 ${userCode}
 // ---- USER CODE END ----
 `;
 }
 
+// ----------------------------------------------------------------------------
+// Vertex offset stage
+// ----------------------------------------------------------------------------
+// The "// @vertex" section sets a world space offset for each vertex (Unreal's
+// World Position Offset). It is compiled on its own as vertexMain, with the
+// global section and the same uniforms as the fragment stage. The offset is
+// returned in SV_Position so every backend names the output the same way
+// (gl_Position in GLSL); the preview and the engine exports read it back and
+// do the actual projection themselves.
+
+const VERTEX_ENTRY_POINT = 'vertexMain';
+
+// Wrap the vertex section of the user code into a Slang vertex shader
+function wrapUserCodeForSlangVertex(userCode, parameters = []) {
+  const sections = splitSourceSections(userCode);
+  const globalSection = sections.hasGlobal
+    ? `// ---- GLOBAL CODE START ----\n${sections.global}\n// ---- GLOBAL CODE END ----\n\n`
+    : '';
+
+  return `// Slang Vertex Shader - Vertex Offset
+
+// Uniforms
+uniform float2 uResolution;
+uniform float uTime;
+uniform float uTimeDelta;
+uniform float uFrame;
+uniform float uFrameRate;
+uniform float4 uMouse;
+uniform float4 uDate;
+${CHANNEL_DECLARATIONS}${BUFFER_DECLARATIONS}${buildParameterUniforms(parameters)}
+// Mesh attributes (position and normal in local space)
+struct VSInput
+{
+    float2 uv : TEXCOORD0;
+    float3 normal : NORMAL;
+    float3 position : POSITION;
+};
+
+${globalSection}[shader("vertex")]
+float4 ${VERTEX_ENTRY_POINT}(VSInput input) : SV_Position
+{
+    // Pre-defined variables for user convenience
+    float2 iResolution = uResolution;
+    float iTime = uTime;
+    float iTimeDelta = uTimeDelta;
+    float iFrame = uFrame;
+    float iFrameRate = uFrameRate;
+    float4 iMouse = uMouse;
+    float4 iDate = uDate;
+    float2 iUV = input.uv;
+    float3 iNormal = input.normal;
+    float3 iPosition = input.position;
+
+    // World space offset of this vertex
+    float3 offset = float3(0.0, 0.0, 0.0);
+
+    // ---- USER CODE START ----
+${sections.vertex}
+    // ---- USER CODE END ----
+
+    return float4(offset, 1.0);
+}
+`;
+}
+
+// Line number of the USER CODE START marker, used to map compiler errors back to user lines
+function getUserCodeLineOffset(wrappedCode) {
+  const index = wrappedCode.split('\n').findIndex(line => line.includes('---- USER CODE START'));
+  return index + 1;
+}
+
+// Map a line of the wrapped shader back to the user's source line (global or main section)
+function createLineMapper(wrappedCode) {
+  const lines = wrappedCode.split('\n');
+  const globalStart = lines.findIndex(line => line.includes('---- GLOBAL CODE START')) + 1;
+  const globalEnd = lines.findIndex(line => line.includes('---- GLOBAL CODE END')) + 1;
+  const userStart = getUserCodeLineOffset(wrappedCode);
+
+  return (line) => {
+    if (globalStart > 0 && line > globalStart && line < globalEnd) {
+      return line - globalStart;
+    }
+    return line - userStart;
+  };
+}
+
 // Parse Slang compiler error output
-function parseSlangErrors(stderr, lineOffset) {
+function parseSlangErrors(stderr, mapLine) {
   const errors = [];
   const lines = stderr.split('\n');
 
-  for (const line of lines) {
+  lines.forEach((line, index) => {
     // Slang error format: filename(line): error code: message
     // or: (line): error code: message
     const match = line.match(/(?:\([^)]*\))?\((\d+)\):\s*(error|warning)\s*(\d+)?:\s*(.*)/i);
     if (match) {
-      const lineNum = parseInt(match[1]) - lineOffset;
-      errors.push({
+      const lineNum = mapLine(parseInt(match[1]));
+      const error = {
         line: lineNum > 0 ? lineNum : 1,
         type: match[2].toLowerCase(),
         code: match[3] || '',
         message: match[4].trim()
-      });
+      };
+
+      // Slang echoes the source line, then marks the range with a caret line ("    ^~~~")
+      const caret = (lines[index + 2] || '').match(/^(\s*)(\^~*)\s*$/);
+      if (caret) {
+        error.column = caret[1].length + 1;
+        error.endColumn = error.column + caret[2].length;
+      }
+
+      errors.push(error);
     }
-  }
+  });
 
   return errors;
 }
 
 // Clean up Slang HLSL output to make it more readable
-function cleanupSlangHlslOutput(hlslCode) {
+function cleanupSlangHlslOutput(hlslCode, parameters = []) {
   let code = hlslCode;
 
   // Remove preprocessor pragmas and NVAPI includes
@@ -374,6 +1020,10 @@ function cleanupSlangHlslOutput(hlslCode) {
   code = code.replace(/uTimeDelta_0/g, 'iTimeDelta');
   code = code.replace(/uFrame_0/g, 'iFrame');
   code = code.replace(/uFrameRate_0/g, 'iFrameRate');
+  code = code.replace(/\b[ui]Mouse_0\b/g, 'iMouse');
+  code = code.replace(/\b[ui]Date_0\b/g, 'iDate');
+  code = renameParameterReferences(code, parameters);
+  code = renameChannelReferences(code);
 
   // Clean up input struct names
   code = code.replace(/VSInput_0/g, 'VSInput');
@@ -394,11 +1044,169 @@ function cleanupSlangHlslOutput(hlslCode) {
   // Remove leading/trailing whitespace
   code = code.trim();
 
+  // Document material parameters (members of the Uniforms cbuffer) and texture channels
+  const paramComment = buildParameterComment(parameters, p => `${paramTypeName(p, 'hlsl')} ${p.name}`) +
+    buildChannelComment(findUsedChannels(code), i => `Texture2D iChannel${i} + SamplerState iChannel${i}Sampler`) +
+    buildBufferComment(findUsedBuffers(code), name => `Texture2D i${name} + SamplerState i${name}Sampler (render target of pass ${name})`) +
+    buildInputComment(code) +
+    buildSurfaceComment(code);
+  if (paramComment) {
+    code = `${paramComment}\n${code}`;
+  }
+
   return code;
 }
 
-// Clean up Slang HLSL output for Unreal Engine Custom Material Node
-function cleanupSlangHlslForUnreal(hlslCode) {
+// Split code into top-level declarations: functions, struct definitions and ';'-terminated statements
+function splitTopLevelDeclarations(code) {
+  const items = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        // Struct definitions and array initializers end with "};"
+        let end = i + 1;
+        const semicolon = code.slice(end).match(/^\s*;/);
+        if (semicolon) end += semicolon[0].length;
+        items.push(code.slice(start, end).trim());
+        start = end;
+        i = end - 1;
+      }
+    } else if (ch === ';' && depth === 0) {
+      items.push(code.slice(start, i + 1).trim());
+      start = i + 1;
+    }
+  }
+
+  return items.filter(Boolean);
+}
+
+// Helper code of the vertex and fragment stages for exports that put both in one
+// file. Both stages are compiled from the same global section, so declarations
+// are matched by their signature and each is kept once.
+function mergeStageDeclarations(vertexCode, fragmentCode) {
+  const items = [...splitTopLevelDeclarations(vertexCode), ...splitTopLevelDeclarations(fragmentCode)];
+  const seen = new Set();
+  return items.filter(item => {
+    const key = item.split('{')[0].replace(/\s+/g, ' ').trim();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).join('\n\n');
+}
+
+// Entry point of Slang HLSL output (fragmentMain or vertexMain) with its body. The end of
+// the body is found by brace matching, as declarations can follow it (ShaderToy mode
+// defines mainImage after fragmentMain). Null if the output has neither.
+function findHlslEntryPoint(code) {
+  const match = code.match(/(float4|SurfaceTargets)\s+(fragmentMain|vertexMain)\s*\([^)]*\)\s*(?::\s*SV_\w+\s*)?\{/);
+  if (!match) return null;
+
+  const bodyStart = match.index + match[0].length;
+  let depth = 1;
+  let end = bodyStart;
+  while (depth > 0 && end < code.length) {
+    if (code[end] === '{') depth++;
+    if (code[end] === '}') depth--;
+    end++;
+  }
+
+  return {
+    returnType: match[1],
+    name: match[2],
+    start: match.index,
+    end,
+    body: code.slice(bodyStart, end - 1)
+  };
+}
+
+const FUNCTION_DEFINITION = /^(?!struct\b)[\w<>,\s]*?\b([A-Za-z_]\w*)\s*\([^{;]*\)\s*(?::\s*\w+\s*)?\{/;
+const FUNCTION_PROTOTYPE = /^[\w<>,\s]*?\b[A-Za-z_]\w*\s*\([^{;=]*\)\s*;$/;
+
+// Global variable declaration: type, name and array dimensions
+const VARIABLE_DECLARATION = /^(?:(?:static|const)\s+)*([A-Za-z_][\w<>, ]*?)\s+([A-Za-z_]\w*)\s*((?:\[[^\]]*\]\s*)*)(?:=|;)/;
+
+// Turn the global section of Slang HLSL output into code that fits in a Custom node body.
+// Custom nodes can't declare functions, so functions are wrapped in a local struct
+// and called through an instance of it. Global constants and tables become locals of
+// the node, which struct methods can't see - the ones the functions read are copied
+// into members of the struct (local structs can't have static members).
+function extractUnrealHelpers(globalCode) {
+  const items = splitTopLevelDeclarations(globalCode)
+    .filter(item => !/^(Texture2D|SamplerState)\b/.test(item))
+    .filter(item => !FUNCTION_PROTOTYPE.test(item));
+
+  const functions = items.filter(item => FUNCTION_DEFINITION.test(item));
+  const declarations = items.filter(item => !FUNCTION_DEFINITION.test(item));
+  const functionNames = functions.map(item => item.match(FUNCTION_DEFINITION)[1]);
+
+  const members = declarations
+    .filter(item => !/^(struct|typedef)\b/.test(item))
+    .map(item => item.match(VARIABLE_DECLARATION))
+    .filter(Boolean)
+    .map(([, type, name, dimensions]) => ({ type: type.trim(), name, dimensions: dimensions.replace(/\s+/g, '') }))
+    .filter(member => functions.some(item => new RegExp(`\\b${member.name}\\b`).test(item)));
+
+  const parts = [...declarations];
+  if (functions.length > 0) {
+    const body = [
+      ...(members.length > 0 ? [members.map(m => `${m.type} ${m.name}${m.dimensions};`).join('\n')] : []),
+      ...functions
+    ].join('\n\n').split('\n').map(line => (line ? `    ${line}` : line)).join('\n');
+    const instance = ['UserFunctions userFunctions;', ...members.map(m => `userFunctions.${m.name} = ${m.name};`)];
+    parts.push(`struct UserFunctions\n{\n${body}\n};\n${instance.join('\n')}`);
+  }
+
+  return {
+    code: parts.join('\n\n').replace(/_S(\d+)/g, 't$1'),
+    functionNames
+  };
+}
+
+// Surface mode: drop the render target semantics from SurfaceTargets and the
+// suffix Slang adds to the surface struct names
+function cleanupSurfaceStructs(hlslCode) {
+  return hlslCode
+    .replace(/struct\s+SurfaceTargets_0\s*\{[^}]*\}/, struct => struct.replace(/\s*:\s*SV_TARGET\d*/gi, ''))
+    .replace(/\bSurface(Targets|Output)_0\b/g, 'Surface$1');
+}
+
+// HLSL expression reading a SurfaceOutput field from a SurfaceTargets value
+function readSurfaceField(targets, fieldName) {
+  const field = SURFACE_FIELDS.find(f => f.name === fieldName);
+  return `${targets}.${SURFACE_TARGETS[field.target]}_0.${field.swizzle}`;
+}
+
+// Replace every "return <SurfaceTargets>;" of a surface mode entry point body with
+// the statements unpack(variable) returns for a local copy of the value
+function unpackSurfaceReturns(body, unpack) {
+  return body.replace(/\breturn\s+([^;]+);/g, (match, value) =>
+    `{ SurfaceTargets surfaceTargets = ${value.trim()}; ${unpack('surfaceTargets').join(' ')} }`);
+}
+
+// Surface mode Custom node outputs: the return value feeds Base Color, the rest
+// are Additional Outputs (prefixed so they can't clash with parameter inputs)
+const UNREAL_SURFACE_OUTPUTS = [
+  { name: 'BaseColor', field: 'baseColor', type: 'CMOT_Float3', pin: 'Base Color' },
+  { name: 'SurfaceMetallic', field: 'metallic', type: 'CMOT_Float1', pin: 'Metallic' },
+  { name: 'SurfaceRoughness', field: 'roughness', type: 'CMOT_Float1', pin: 'Roughness' },
+  { name: 'SurfaceNormal', field: 'normal', type: 'CMOT_Float3', pin: 'Normal' },
+  { name: 'SurfaceEmissive', field: 'emissive', type: 'CMOT_Float3', pin: 'Emissive Color' },
+  { name: 'SurfaceOpacity', field: 'opacity', type: 'CMOT_Float1', pin: 'Opacity' },
+  { name: 'SurfaceOcclusion', field: 'occlusion', type: 'CMOT_Float1', pin: 'Ambient Occlusion' }
+];
+
+// Shader logic for an Unreal Custom node from Slang HLSL output: the function body
+// with Unreal input names, helper code and texture channel info. Null if the
+// output has no fragmentMain or vertexMain. Surface mode output sets surface to
+// true, the vertex stage sets vertex (its return value is the offset).
+function extractUnrealCustomCode(hlslCode, parameters = []) {
   let code = hlslCode;
 
   // Remove preprocessor pragmas and NVAPI includes
@@ -413,14 +1221,21 @@ function cleanupSlangHlslForUnreal(hlslCode) {
 
   // Remove cbuffer definition
   code = code.replace(/cbuffer\s+globalParams_0\s*:\s*register\s*\([^)]*\)\s*\{[^}]*\}\s*/gs, '');
+  code = cleanupSurfaceStructs(code);
 
-  // Extract function body from fragmentMain
-  const funcMatch = code.match(/float4\s+fragmentMain\s*\([^)]*\)\s*:\s*SV_TARGET\s*\{([\s\S]*)\}/);
-  if (!funcMatch) {
-    return '// Error: Could not extract function body\n' + code;
-  }
+  // Extract function body from the entry point (surface mode returns SurfaceTargets)
+  const entryPoint = findHlslEntryPoint(code);
+  if (!entryPoint) return null;
 
-  let funcBody = funcMatch[1];
+  const surface = entryPoint.returnType === 'SurfaceTargets';
+  const vertex = entryPoint.name === VERTEX_ENTRY_POINT;
+  let funcBody = entryPoint.body;
+
+  // Helper code from the global section sits around the entry point
+  const helpers = extractUnrealHelpers(`${code.slice(0, entryPoint.start)}\n${code.slice(entryPoint.end)}`);
+  for (const name of helpers.functionNames) {
+    funcBody = funcBody.replace(new RegExp(`(?<![.\\w])${name}\\s*\\(`, 'g'), `userFunctions.${name}(`);
+  }
 
   // Map Slang variable names to Unreal equivalents
   funcBody = funcBody.replace(/globalParams_0\.uResolution_0/g, 'Resolution');
@@ -428,6 +1243,28 @@ function cleanupSlangHlslForUnreal(hlslCode) {
   funcBody = funcBody.replace(/globalParams_0\.uTimeDelta_0/g, 'DeltaTime');
   funcBody = funcBody.replace(/globalParams_0\.uFrame_0/g, 'Frame');
   funcBody = funcBody.replace(/globalParams_0\.uFrameRate_0/g, 'FrameRate');
+  funcBody = funcBody.replace(/globalParams_0\.uMouse_0/g, 'Mouse');
+  funcBody = funcBody.replace(/globalParams_0\.uDate_0/g, 'Date');
+
+  // Material parameters become Custom node inputs with the same name
+  for (const p of parameters) {
+    funcBody = funcBody.replace(new RegExp(`globalParams_0\\.${p.name}_0\\b`, 'g'), p.name);
+  }
+
+  // Texture channels become Texture Object inputs; Unreal provides the matching <name>Sampler
+  funcBody = funcBody.replace(/globalParams_0\.(iChannel(?:Resolution|Time))_0\b/g, '$1');
+  funcBody = renameChannelReferences(funcBody);
+  const channels = findUsedChannels(funcBody);
+  const channelDeclarations = [];
+  if (/\biChannelResolution\b/.test(funcBody)) {
+    channelDeclarations.push('float3 iChannelResolution[4] = { float3(1, 1, 1), float3(1, 1, 1), float3(1, 1, 1), float3(1, 1, 1) };');
+    for (const i of channels) {
+      channelDeclarations.push(`iChannel${i}.GetDimensions(iChannelResolution[${i}].x, iChannelResolution[${i}].y);`);
+    }
+  }
+  if (/\biChannelTime\b/.test(funcBody)) {
+    channelDeclarations.push('float iChannelTime[4] = { Time, Time, Time, Time };');
+  }
 
   funcBody = funcBody.replace(/input_0\.uv_0/g, 'UV');
   funcBody = funcBody.replace(/input_0\.normal_0/g, 'Normal');
@@ -439,6 +1276,14 @@ function cleanupSlangHlslForUnreal(hlslCode) {
   // Convert for(;;) to bounded loop
   funcBody = funcBody.replace(/for\s*\(\s*;\s*;\s*\)/g, 'for(int _loopIdx = 0; _loopIdx < 10000; _loopIdx++)');
 
+  // Surface mode writes the Additional Outputs and returns the base color
+  if (surface) {
+    funcBody = unpackSurfaceReturns(funcBody, targets => [
+      ...UNREAL_SURFACE_OUTPUTS.slice(1).map(output => `${output.name} = ${readSurfaceField(targets, output.field)};`),
+      `return ${readSurfaceField(targets, 'baseColor')};`
+    ]);
+  }
+
   // Convert return float4(...) to return the RGB part only
   // Handle nested parentheses by finding matching brackets
   funcBody = funcBody.replace(/return\s+float4\s*\(/g, (match) => {
@@ -496,16 +1341,75 @@ function cleanupSlangHlslForUnreal(hlslCode) {
     return line;
   }).join('\n');
 
-  // Build Unreal-compatible output
-  const result = `// Unreal Engine Custom Material Node
-// Connect these inputs in the Material Editor:
-//   - Time: Use "Time" node
-//   - UV: Use "TexCoord[0]" node
-//   - Normal: Use "VertexNormalWS" node
-//   - Position: Use "WorldPosition" node
-//   - Resolution: Use "ViewSize" node or create a parameter
-
-// Input variables (connect via Material Editor)
+  return {
+    body: funcBody.trim(),
+    helpers,
+    channels,
+    buffers: findUsedBuffers(funcBody),
+    channelDeclarations,
+    surface,
+    vertex
+  };
+}
+
+// Clean up Slang HLSL output for Unreal Engine Custom Material Node. With
+// vertexCode (the vertex stage's HLSL) a second node for World Position Offset
+// is listed after the first.
+function cleanupSlangHlslForUnreal(hlslCode, parameters = [], vertexCode = null) {
+  const custom = extractUnrealCustomCode(hlslCode, parameters);
+  if (!custom) {
+    return '// Error: Could not extract function body\n' + hlslCode;
+  }
+  const { body: funcBody, helpers, channels, buffers, channelDeclarations, surface, vertex } = custom;
+
+  // Material parameters: one Custom node input per parameter, fed by a parameter node
+  const paramComment = buildParameterComment(parameters, p => {
+    const node = (p.kind === 'float' || p.kind === 'range' || p.kind === 'bool') ? 'ScalarParameter' : 'VectorParameter';
+    const mask = p.valueType === 'float2' ? ' -> ComponentMask(RG)' : (p.valueType === 'float3' ? ' -> ComponentMask(RGB)' : '');
+    return `${p.name}: add a Custom node input and connect a ${node} named "${p.name}"${mask}${p.kind === 'bool' ? ' (0 or 1)' : ''}`;
+  });
+
+  // Materials have no cursor or calendar - both come in as parameters driven from Blueprint
+  const inputNotes = [];
+  if (/\bMouse\b/.test(funcBody)) {
+    inputNotes.push('//   - Mouse: add a Custom node input connected to a VectorParameter "Mouse"');
+    inputNotes.push('//     (set from Blueprint: xy = cursor pixel while pressed, zw = click pixel, negative when released)');
+  }
+  if (/\bDate\b/.test(funcBody)) {
+    inputNotes.push('//   - Date: add a Custom node input connected to a VectorParameter "Date"');
+    inputNotes.push('//     (set from Blueprint with Now(): year, month - 1, day, seconds since midnight)');
+  }
+
+  if (helpers.functionNames.length > 0) {
+    inputNotes.push('//   - Helper functions live in struct UserFunctions, with copies of the global constants they read - pass anything else in as arguments');
+  }
+
+  const channelComment = buildChannelComment(channels, i =>
+    `iChannel${i}: add a Custom node input named "iChannel${i}" and connect a TextureObjectParameter`) +
+    buildBufferComment(buffers, name =>
+      `i${name}: add a Custom node input named "i${name}" and connect the render target that pass ${name} is drawn into (Draw Material to Render Target)`);
+
+  // Surface mode: the base color is returned, every other material input is an Additional Output
+  let outputNotes = [];
+  if (vertex) {
+    outputNotes = ['//   - Output (Float3, the return value): connect to World Position Offset'];
+  } else if (surface) {
+    outputNotes = UNREAL_SURFACE_OUTPUTS.map((output, i) => (i === 0
+      ? `//   - Output (Float3, the return value): connect to ${output.pin}`
+      : `//   - ${output.name} (${output.type === 'CMOT_Float3' ? 'Float3' : 'Float1'}): add as an Additional Output, connect to ${output.pin}`));
+  }
+
+  // Build Unreal-compatible output
+  const result = `// Unreal Engine Custom Material Node${vertex ? ' - World Position Offset' : ''}
+// (the Material graph export pastes this node with its inputs already connected)
+// Connect these inputs in the Material Editor:
+//   - Time: Use "Time" node
+//   - UV: Use "TexCoord[0]" node
+//   - Normal: Use "VertexNormalWS" node
+//   - Position: Use "WorldPosition" node
+//   - Resolution: Use "ViewSize" node or create a parameter
+${inputNotes.length > 0 ? inputNotes.join('\n') + '\n' : ''}${outputNotes.length > 0 ? `// Outputs (Output Type Float3${surface ? ', lit material' : ''}):\n${outputNotes.join('\n')}\n` : ''}
+${paramComment}${channelComment}// Input variables (connect via Material Editor)
 float Time = View.RealTime;
 float2 UV = TexCoords[0].xy;
 float3 Normal = Parameters.TangentToWorld[2];
@@ -516,15 +1420,722 @@ float2 Resolution = View.ViewSizeAndInvSize.xy;
 float DeltaTime = View.DeltaTime;
 float Frame = View.FrameNumber;
 float FrameRate = 1.0 / max(View.DeltaTime, 0.001);
-
+${channelDeclarations.length > 0 ? `\n// Texture channel info\n${channelDeclarations.join('\n')}\n` : ''}${helpers.code ? `\n// Helper code\n${helpers.code}\n` : ''}
 // Shader logic
-${funcBody.trim()}`;
+${funcBody}`;
+
+  const listing = result.replace(/\n{3,}/g, '\n\n').trim();
+  if (!vertexCode) return listing;
+  return `${listing}\n\n// ${'='.repeat(76)}\n\n${cleanupSlangHlslForUnreal(vertexCode, parameters)}`;
+}
+
+// Engine nodes that feed the Custom node's built-in inputs in a pasted graph
+const UNREAL_INPUT_NODES = {
+  Time: 'MaterialExpressionTime',
+  UV: 'MaterialExpressionTextureCoordinate',
+  Normal: 'MaterialExpressionVertexNormalWS',
+  Position: 'MaterialExpressionWorldPosition',
+  Resolution: 'MaterialExpressionViewSize',
+  DeltaTime: 'MaterialExpressionDeltaTime'
+};
+
+// Inputs with no engine node - parameters of the material, inputs of the function
+const UNREAL_EXTRA_INPUTS = [
+  { name: 'Frame', valueType: 'float', default: 0 },
+  { name: 'Mouse', valueType: 'float4', default: [0, 0, 0, 0] },
+  { name: 'Date', valueType: 'float4', default: [0, 0, 0, 0] }
+];
+
+const UNREAL_FUNCTION_INPUT_TYPES = {
+  float: 'FunctionInput_Scalar',
+  bool: 'FunctionInput_Scalar',
+  float2: 'FunctionInput_Vector2',
+  float3: 'FunctionInput_Vector3',
+  float4: 'FunctionInput_Vector4',
+  texture: 'FunctionInput_Texture2D'
+};
+
+// Add a Custom node to a material graph with its inputs declared and wired to
+// Time, TexCoord, parameter nodes etc. (Function Inputs with asFunction). Input
+// sources already in sources (input name -> [node, output index]) are reused, so
+// two nodes of one graph share them; new ones are placed in a column from top
+// (centered on y = 0 without it). Returns the node and the y of the lowest
+// source it placed.
+function addUnrealCustomNode(graph, custom, parameters, { name, asFunction, sources, top = null }) {
+  const { body, helpers, channels, buffers, channelDeclarations, surface } = custom;
+  const additionalOutputs = surface ? UNREAL_SURFACE_OUTPUTS.slice(1) : [];
+
+  // The Custom node only sees its inputs - FrameRate is derived from DeltaTime
+  const usesFrameRate = /\bFrameRate\b/.test(body);
+  const code = [
+    ...(usesFrameRate ? ['float FrameRate = 1.0 / max(DeltaTime, 0.001);'] : []),
+    ...channelDeclarations,
+    ...(helpers.code ? [helpers.code] : []),
+    body
+  ].join('\n');
+  const uses = (inputName) => new RegExp(`\\b${inputName}\\b`).test(code);
+
+  // Custom node inputs in pin order
+  const inputs = [
+    ...Object.keys(UNREAL_INPUT_NODES)
+      .filter(inputName => uses(inputName) || (inputName === 'DeltaTime' && usesFrameRate))
+      .map(inputName => ({ name: inputName, node: UNREAL_INPUT_NODES[inputName] })),
+    ...UNREAL_EXTRA_INPUTS.filter(input => uses(input.name)),
+    ...parameters,
+    ...channels.map(i => ({ name: `iChannel${i}`, valueType: 'texture' })),
+    ...buffers.map(buffer => ({ name: `i${buffer}`, valueType: 'texture' }))
+  ];
+
+  const firstY = top ?? -Math.round(Math.max(inputs.length - 1, 0) * 60);
+  const customNode = graph.add('MaterialExpressionCustom', {
+    properties: [
+      `Code=${quoteT3d(code)}`,
+      'OutputType=CMOT_Float3',
+      `Description=${quoteT3d(name)}`,
+      ...additionalOutputs.map((output, i) => `AdditionalOutputs(${i})=(OutputName=${quoteT3d(output.name)},OutputType=${output.type})`)
+    ],
+    inputs: inputs.map((input, i) => ({
+      name: input.name,
+      property: link => `Inputs(${i})=(InputName=${quoteT3d(input.name)},Input=${link})`
+    })),
+    outputs: ['', ...additionalOutputs.map(output => output.name)]
+  });
+
+  let y = firstY - 120;
+  for (const input of inputs) {
+    if (sources[input.name]) {
+      graph.connect(...sources[input.name], customNode, input.name);
+      continue;
+    }
+    y += 120;
+    sources[input.name] = addUnrealInputSource(graph, input, { asFunction, y, sortPriority: Object.keys(sources).length });
+    graph.connect(...sources[input.name], customNode, input.name);
+  }
+
+  // Level with the middle of the sources it placed
+  customNode.y = Math.round((firstY + Math.max(y, firstY)) / 2);
+  return { node: customNode, bottom: y };
+}
+
+// Node feeding one Custom node input: an engine node, a parameter node or a
+// Function Input. Returns [node, output index].
+function addUnrealInputSource(graph, input, { asFunction, y, sortPriority }) {
+  if (input.node) {
+    return [graph.add(input.node, { x: -550, y }), 0];
+  }
+
+  if (input.valueType === 'texture') {
+    const source = asFunction
+      ? graph.add('MaterialExpressionFunctionInput', {
+        x: -550,
+        y,
+        properties: [
+          `InputName=${quoteT3d(input.name)}`,
+          `InputType=${UNREAL_FUNCTION_INPUT_TYPES.texture}`,
+          `Id=${createGuid()}`,
+          `SortPriority=${sortPriority}`
+        ]
+      })
+      : graph.add('MaterialExpressionTextureObjectParameter', {
+        x: -550,
+        y,
+        properties: [
+          `ParameterName=${quoteT3d(input.name)}`,
+          'Texture=Texture2D\'"/Engine/EngineResources/DefaultTexture.DefaultTexture"\''
+        ]
+      });
+    return [source, 0];
+  }
+
+  // Scalars and vectors: bool parameters are 0 or 1
+  const values = [].concat(input.default === true ? 1 : input.default === false ? 0 : input.default);
+  const scalar = input.valueType === 'float' || input.valueType === 'bool';
+  let source;
+  if (asFunction) {
+    const preview = ['X', 'Y', 'Z', 'W'].map((axis, k) => `${axis}=${values[k] ?? 0}`).join(',');
+    source = graph.add('MaterialExpressionFunctionInput', {
+      x: -550,
+      y,
+      properties: [
+        `InputName=${quoteT3d(input.name)}`,
+        `InputType=${UNREAL_FUNCTION_INPUT_TYPES[input.valueType]}`,
+        `PreviewValue=(${preview})`,
+        'bUsePreviewValueAsDefault=True',
+        `Id=${createGuid()}`,
+        `SortPriority=${sortPriority}`
+      ]
+    });
+  } else if (scalar) {
+    source = graph.add('MaterialExpressionScalarParameter', {
+      x: -550,
+      y,
+      properties: [
+        `ParameterName=${quoteT3d(input.name)}`,
+        `DefaultValue=${values[0]}`,
+        ...(input.kind === 'range' ? [`SliderMin=${input.min}`, `SliderMax=${input.max}`] : [])
+      ]
+    });
+  } else {
+    const color = ['R', 'G', 'B', 'A'].map((channel, k) => `${channel}=${values[k] ?? (k === 3 ? 1 : 0)}`).join(',');
+    source = graph.add('MaterialExpressionVectorParameter', {
+      x: -550,
+      y,
+      properties: [`ParameterName=${quoteT3d(input.name)}`, `DefaultValue=(${color})`],
+      outputs: ['', 'R', 'G', 'B', 'A', 'RGBA']
+    });
+  }
+
+  if (asFunction || scalar || input.valueType === 'float3') {
+    return [source, 0];
+  }
+  if (input.valueType === 'float4') {
+    return [source, 5];
+  }
+
+  // float2: a VectorParameter is RGB(A), mask it down to RG
+  const mask = graph.add('MaterialExpressionComponentMask', {
+    x: -250,
+    y,
+    properties: ['R=True', 'G=True'],
+    inputs: [{ name: '', property: link => `Input=${link}` }]
+  });
+  graph.connect(source, 0, mask, '');
+  return [mask, 0];
+}
+
+// Clean up Slang HLSL output into Material Editor clipboard text: the Custom node
+// with its inputs declared and already wired to Time, TexCoord, parameter nodes
+// etc. With asFunction the parameters become Function Inputs and the result goes
+// to a Function Output, for pasting into a Material Function. Surface mode nodes
+// get one output per material input (one Function Output each in a function).
+// With vertexCode a second Custom node computes the World Position Offset from
+// the same inputs.
+function cleanupSlangHlslForUnrealGraph(hlslCode, parameters = [], { name = 'Material', asFunction = false, vertexCode = null } = {}) {
+  const custom = extractUnrealCustomCode(hlslCode, parameters);
+  const vertexCustom = vertexCode && extractUnrealCustomCode(vertexCode, parameters);
+  if (!custom || (vertexCode && !vertexCustom)) {
+    return '// Error: Could not extract function body\n' + hlslCode;
+  }
+
+  const graph = createMaterialGraph();
+  const sources = {};
+  const fragment = addUnrealCustomNode(graph, custom, parameters, {
+    name,
+    asFunction,
+    sources
+  });
+  const vertex = vertexCustom && addUnrealCustomNode(graph, vertexCustom, parameters, {
+    name: `${name} World Position Offset`,
+    asFunction,
+    sources,
+    top: fragment.bottom + 240
+  });
+
+  if (asFunction) {
+    const outputs = (custom.surface ? UNREAL_SURFACE_OUTPUTS.map(output => output.pin) : ['Color'])
+      .map((outputName, i) => ({ outputName, node: fragment.node, outputIndex: i }));
+    if (vertex) {
+      outputs.push({ outputName: 'World Position Offset', node: vertex.node, outputIndex: 0 });
+    }
+    outputs.forEach(({ outputName, node, outputIndex }, i) => {
+      const output = graph.add('MaterialExpressionFunctionOutput', {
+        x: 350,
+        y: i * 120,
+        properties: [`OutputName=${quoteT3d(outputName)}`, `Id=${createGuid()}`, `SortPriority=${i}`],
+        inputs: [{ name: '', property: link => `A=${link}` }]
+      });
+      graph.connect(node, outputIndex, output, '');
+    });
+  }
+
+  return graph.toString();
+}
+
+// Split Slang HLSL output into helper code and the fragmentMain (or vertexMain)
+// body for the Unity targets, with uniforms and inputs renamed to the names the
+// Unity file provides
+function extractUnityFragment(hlslCode, parameters, names) {
+  let code = hlslCode;
+
+  // Remove preprocessor pragmas, NVAPI includes and the wrapper's declarations
+  code = code.replace(/#pragma pack_matrix\(column_major\)\s*/g, '');
+  code = code.replace(/#ifdef SLANG_HLSL_ENABLE_NVAPI[\s\S]*?#endif\s*/g, '');
+  code = code.replace(/#ifndef __DXC_VERSION_MAJOR[\s\S]*?#endif\s*/g, '');
+  code = code.replace(/^#line\s+\d+.*$/gm, '');
+  code = code.replace(/struct\s+GlobalParams_0\s*\{[^}]*\}\s*;\s*/gs, '');
+  code = code.replace(/struct\s+VSInput_0\s*\{[^}]*\}\s*;\s*/gs, '');
+  code = code.replace(/cbuffer\s+globalParams_0\s*:\s*register\s*\([^)]*\)\s*\{[^}]*\}\s*/gs, '');
+  code = cleanupSurfaceStructs(code);
+
+  const entryPoint = findHlslEntryPoint(code);
+  if (!entryPoint) return null;
+
+  const helpers = splitTopLevelDeclarations(`${code.slice(0, entryPoint.start)}\n${code.slice(entryPoint.end)}`)
+    .filter(item => !/^(Texture2D|SamplerState)\b/.test(item))
+    .filter(item => !FUNCTION_PROTOTYPE.test(item))
+    .join('\n\n');
+
+  const rename = (text) => {
+    let result = text;
+    // Material Library mode names the uniforms uX, ShaderToy mode iX
+    result = result.replace(/globalParams_0\.[ui]Resolution_0/g, names.resolution);
+    result = result.replace(/globalParams_0\.[ui]TimeDelta_0/g, names.timeDelta);
+    result = result.replace(/globalParams_0\.[ui]Time_0/g, names.time);
+    result = result.replace(/globalParams_0\.[ui]FrameRate_0/g, names.frameRate);
+    result = result.replace(/globalParams_0\.[ui]Frame_0/g, names.frame);
+    result = result.replace(/globalParams_0\.[ui]Mouse_0/g, names.mouse);
+    result = result.replace(/globalParams_0\.[ui]Date_0/g, names.date);
+    for (const p of parameters) {
+      result = result.replace(new RegExp(`globalParams_0\\.${p.name}_0\\b`, 'g'), p.name);
+    }
+    result = result.replace(/globalParams_0\.(iChannel(?:Resolution|Time))_0\b/g, '$1');
+    result = renameChannelReferences(result);
+    result = result.replace(/input_0\.uv_0/g, names.uv);
+    result = result.replace(/input_0\.normal_0/g, names.normal);
+    result = result.replace(/input_0\.position_0/g, names.position);
+    return result.replace(/_S(\d+)/g, 't$1');
+  };
+
+  const body = rename(entryPoint.body)
+    .split('\n')
+    .map(line => (line.startsWith('    ') ? line.substring(4) : line))
+    .join('\n')
+    .trim();
+  const helperCode = rename(helpers);
+  const allCode = `${helperCode}\n${body}`;
+
+  return {
+    helpers: helperCode,
+    body,
+    // Surface mode: body returns SurfaceTargets instead of a color
+    surface: entryPoint.returnType === 'SurfaceTargets',
+    channels: findUsedChannels(allCode),
+    buffers: findUsedBuffers(allCode),
+    uses: (name) => new RegExp(`\\b${name.replace(/[.()]/g, '\\$&')}\\b`).test(allCode)
+  };
+}
+
+// One view of both stages for a Unity export with a vertex offset: helpers kept
+// once, textures and inputs collected from either stage
+function mergeUnityStages(fragment, vertex) {
+  return {
+    ...fragment,
+    helpers: mergeStageDeclarations(vertex.helpers, fragment.helpers),
+    vertexBody: vertex.body,
+    channels: [...new Set([...vertex.channels, ...fragment.channels])].sort(),
+    buffers: [...new Set([...vertex.buffers, ...fragment.buffers])].sort(),
+    uses: (name) => fragment.uses(name) || vertex.uses(name)
+  };
+}
+
+// Shader Graph function names must be plain identifiers
+function toUnityIdentifier(name) {
+  const identifier = String(name || '').replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+  return /^[A-Za-z_]/.test(identifier) ? identifier : `Shader_${identifier}`;
+}
+
+// Texture sizes and times for the Unity targets. They are static globals, filled in
+// at the start of the fragment function, so helper functions can read them too.
+function buildUnityChannelInfo(fragment, textureSize) {
+  const declarations = [];
+  const assignments = [];
+  if (fragment.uses('iChannelResolution')) {
+    declarations.push('static float3 iChannelResolution[4];');
+    for (let i = 0; i < CHANNEL_COUNT; i++) {
+      const size = fragment.channels.includes(i) ? `float3(${textureSize(i)}, 1.0)` : 'float3(1.0, 1.0, 1.0)';
+      assignments.push(`iChannelResolution[${i}] = ${size};`);
+    }
+  }
+  if (fragment.uses('iChannelTime')) {
+    declarations.push('static float iChannelTime[4];');
+    for (let i = 0; i < CHANNEL_COUNT; i++) {
+      assignments.push(`iChannelTime[${i}] = iTime;`);
+    }
+  }
+  return { declarations, assignments };
+}
+
+// ShaderLab Properties entry for a material parameter
+function buildUnityProperty(param) {
+  const label = param.label.replace(/"/g, "'");
+  const vector = (values) => `(${[0, 1, 2, 3].map(i => values[i] ?? (i === 3 ? 1 : 0)).join(', ')})`;
+  if (param.kind === 'bool') return `[Toggle] ${param.name} ("${label}", Float) = ${param.default ? 1 : 0}`;
+  if (param.kind === 'range') return `${param.name} ("${label}", Range(${param.min}, ${param.max})) = ${param.default}`;
+  if (param.kind === 'float') return `${param.name} ("${label}", Float) = ${param.default}`;
+  if (param.kind === 'color') return `${param.name} ("${label}", Color) = ${vector(param.default)}`;
+  return `${param.name} ("${label}", Vector) = ${vector(param.default)}`;
+}
+
+// Surface mode outputs for the Unity targets: SurfaceOutputStandard member,
+// Shader Graph output port and the Master Stack block the port connects to
+const UNITY_SURFACE_OUTPUTS = [
+  { member: 'Albedo', port: 'BaseColor', type: 'float3', block: 'Base Color', field: 'baseColor' },
+  { member: 'Normal', port: 'NormalTS', type: 'float3', block: 'Normal (Tangent Space)', field: 'normal' },
+  { member: 'Metallic', port: 'Metallic', type: 'float', block: 'Metallic', field: 'metallic' },
+  { member: 'Smoothness', port: 'Smoothness', type: 'float', block: 'Smoothness', field: 'roughness', invert: true },
+  { member: 'Emission', port: 'Emission', type: 'float3', block: 'Emission', field: 'emissive' },
+  { member: 'Alpha', port: 'Alpha', type: 'float', block: 'Alpha', field: 'opacity' },
+  { member: 'Occlusion', port: 'Occlusion', type: 'float', block: 'Ambient Occlusion', field: 'occlusion' }
+];
+
+// Value of a Unity surface output read from SurfaceTargets (Unity wants smoothness, not roughness)
+function readUnitySurfaceOutput(targets, output) {
+  const value = readSurfaceField(targets, output.field);
+  return output.invert ? `1.0 - ${value}` : value;
+}
+
+// Clean up Slang HLSL output into a complete unlit ShaderLab shader (Built-in
+// Render Pipeline, also runs in URP as an unlit shader). Surface mode output
+// becomes a Standard surface shader instead (Built-in Render Pipeline only).
+// With vertexCode (the vertex stage's HLSL) vert moves each vertex by the offset.
+function cleanupSlangHlslForUnityShader(hlslCode, mode = 'materialLibrary', parameters = [], name = 'Material', vertexCode = null) {
+  const surfaceShader = mode === 'surface';
+  const names = {
+    resolution: 'iResolution',
+    time: 'iTime',
+    timeDelta: 'iTimeDelta',
+    frame: 'iFrame',
+    frameRate: 'iFrameRate',
+    mouse: 'iMouse',
+    date: 'iDate'
+  };
+  const fragmentOnly = extractUnityFragment(hlslCode, parameters, {
+    ...names,
+    uv: surfaceShader ? 'IN.surfaceUV' : 'i.uv',
+    normal: surfaceShader ? 'IN.objectNormal' : 'i.normal',
+    position: surfaceShader ? 'IN.objectPosition' : 'i.position'
+  });
+  const vertex = vertexCode && extractUnityFragment(vertexCode, parameters, { ...names, uv: 'uv', normal: 'normal', position: 'position' });
+  if (!fragmentOnly || (vertexCode && !vertex)) {
+    return '// Error: Could not extract function body\n' + hlslCode;
+  }
+  const fragment = vertex ? mergeUnityStages(fragmentOnly, vertex) : fragmentOnly;
+
+  // Unity pairs a SamplerState with its texture by name: "sampler" + texture name
+  const useSamplers = (code) => code.replace(/\b(iChannel\d|iBuffer[A-D])Sampler\b/g, 'sampler$1');
+  const helpers = useSamplers(fragment.helpers);
+  const body = useSamplers(fragment.body);
+
+  const properties = [
+    ...parameters.map(buildUnityProperty),
+    ...fragment.channels.map(i => `iChannel${i} ("iChannel${i}", 2D) = "white" {}`),
+    ...fragment.buffers.map(buffer => `i${buffer} ("${buffer} (render texture)", 2D) = "black" {}`)
+  ];
+
+  const uniforms = [
+    ...parameters.map(p => `${p.valueType === 'bool' ? 'float' : p.valueType} ${p.name};`),
+    ...fragment.channels.map(i => `Texture2D iChannel${i};\nSamplerState sampleriChannel${i};\nfloat4 iChannel${i}_TexelSize;`),
+    ...fragment.buffers.map(buffer => `Texture2D i${buffer};\nSamplerState sampleri${buffer};`)
+  ];
+
+  // Unity has no cursor, calendar or frame counter uniforms - set these from a script
+  const scriptInputs = [];
+  if (fragment.uses('iFrame')) scriptInputs.push({ declaration: 'float iFrame;', note: 'iFrame: Shader.SetGlobalFloat("iFrame", Time.frameCount)' });
+  if (fragment.uses('iMouse')) scriptInputs.push({ declaration: 'float4 iMouse;', note: 'iMouse: Shader.SetGlobalVector("iMouse", ...) - xy = cursor pixel while pressed, zw = click pixel (negative when released)' });
+  if (fragment.uses('iDate')) scriptInputs.push({ declaration: 'float4 iDate;', note: 'iDate: Shader.SetGlobalVector("iDate", ...) - year, month (0-11), day (1-31), seconds since midnight' });
+
+  const channelInfo = buildUnityChannelInfo(fragment, i => `iChannel${i}_TexelSize.zw`);
+
+  const resolution = mode === 'shaderToy' ? 'float3(_ScreenParams.xy, 1.0)' : '_ScreenParams.xy';
+  const indent = (text, depth) => text.split('\n').map(line => (line ? ' '.repeat(depth) + line : line)).join('\n');
+
+  // Vertex stage: returns the world space offset of a vertex, vert turns it into object space
+  const vertexFunction = vertex
+    ? `float4 vertexStage(float3 position, float3 normal, float2 uv)\n{\n${
+      channelInfo.assignments.length > 0 ? `${indent(channelInfo.assignments.join('\n'), 4)}\n\n` : ''}${indent(useSamplers(fragment.vertexBody), 4)}\n}`
+    : '';
+  const globalCode = [helpers, vertexFunction].filter(Boolean).join('\n\n');
+  const objectOffset = (position, normal, uv) =>
+    `mul((float3x3)unity_WorldToObject, vertexStage(${position}, ${normal}, ${uv}).xyz)`;
+
+  const notes = [
+    ...scriptInputs.map(input => `//   ${input.note}`),
+    ...fragment.buffers.map(buffer => `//   i${buffer}: assign the render texture that pass ${buffer} is drawn into`)
+  ];
+
+  const declarations = [...scriptInputs.map(input => input.declaration), ...uniforms, ...channelInfo.declarations].join('\n');
+  const shaderName = `Online Material Library/${String(name).replace(/"/g, "'")}`;
+
+  if (surfaceShader) {
+    const result = `// Unity ShaderLab surface shader (Standard lighting)
+// Drop into a Unity project's Assets folder and pick it in a material's shader menu.
+// Built-in Render Pipeline - for URP and HDRP use the Shader Graph export.
+${notes.length > 0 ? `// Script inputs:\n${notes.join('\n')}\n` : ''}
+Shader "${shaderName}"
+{
+    Properties
+    {
+${indent(properties.join('\n'), 8)}
+    }
+    SubShader
+    {
+        Tags { "RenderType"="Opaque" "Queue"="Geometry" }
+
+        CGPROGRAM
+        #pragma surface surf Standard fullforwardshadows vertex:vert
+        #pragma target 3.0
+
+        // Pre-defined variables, mapped to Unity built-ins
+        #define iResolution ${resolution}
+        #define iTime _Time.y
+        #define iTimeDelta unity_DeltaTime.x
+        #define iFrameRate (1.0 / max(unity_DeltaTime.x, 0.001))
+${indent(declarations, 8)}
+
+        struct Input
+        {
+            float2 surfaceUV;
+            float3 objectNormal;
+            float3 objectPosition;
+        };
+
+${globalCode ? `\n${indent(globalCode, 8)}\n` : ''}
+        void vert(inout appdata_full v, out Input o)
+        {
+            UNITY_INITIALIZE_OUTPUT(Input, o);
+            o.surfaceUV = v.texcoord.xy;
+            o.objectNormal = normalize(v.normal);
+            o.objectPosition = v.vertex.xyz;${vertex ? `
+            v.vertex.xyz += ${objectOffset('v.vertex.xyz', 'normalize(v.normal)', 'v.texcoord.xy')};` : ''}
+        }
+
+        SurfaceTargets surfaceFragment(Input IN)
+        {
+${channelInfo.assignments.length > 0 ? `${indent(channelInfo.assignments.join('\n'), 12)}\n\n` : ''}${indent(body, 12)}
+        }
+
+        void surf(Input IN, inout SurfaceOutputStandard o)
+        {
+            SurfaceTargets surface = surfaceFragment(IN);
+${UNITY_SURFACE_OUTPUTS.map(output => `            o.${output.member} = ${readUnitySurfaceOutput('surface', output)};`).join('\n')}
+        }
+        ENDCG
+    }
+    FallBack "Diffuse"
+}`;
+
+    return result.replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  const result = `// Unity ShaderLab shader (unlit)
+// Drop into a Unity project's Assets folder and pick it in a material's shader menu.
+${notes.length > 0 ? `// Script inputs:\n${notes.join('\n')}\n` : ''}
+Shader "${shaderName}"
+{
+    Properties
+    {
+${indent(properties.join('\n'), 8)}
+    }
+    SubShader
+    {
+        Tags { "RenderType"="Opaque" "Queue"="Geometry" }
+
+        Pass
+        {
+            CGPROGRAM
+            #pragma vertex vert
+            #pragma fragment frag
+            #include "UnityCG.cginc"
+
+            // Pre-defined variables, mapped to Unity built-ins
+            #define iResolution ${resolution}
+            #define iTime _Time.y
+            #define iTimeDelta unity_DeltaTime.x
+            #define iFrameRate (1.0 / max(unity_DeltaTime.x, 0.001))
+${indent(declarations, 12)}
+
+            struct appdata
+            {
+                float4 vertex : POSITION;
+                float3 normal : NORMAL;
+                float2 uv : TEXCOORD0;
+            };
+
+            struct v2f
+            {
+                float4 vertex : SV_POSITION;
+                float2 uv : TEXCOORD0;
+                float3 normal : TEXCOORD1;
+                float3 position : TEXCOORD2;
+            };
+
+${globalCode ? `\n${indent(globalCode, 12)}\n` : ''}
+            v2f vert(appdata v)
+            {
+                v2f o;${vertex ? `
+                float3 offset = ${objectOffset('v.vertex.xyz', 'normalize(v.normal)', 'v.uv')};
+                o.vertex = UnityObjectToClipPos(v.vertex.xyz + offset);` : `
+                o.vertex = UnityObjectToClipPos(v.vertex);`}
+                o.uv = v.uv;
+                o.normal = normalize(v.normal);
+                o.position = v.vertex.xyz;
+                return o;
+            }
+
+            float4 frag(v2f i) : SV_Target
+            {
+${channelInfo.assignments.length > 0 ? `${indent(channelInfo.assignments.join('\n'), 16)}\n\n` : ''}${indent(body, 16)}
+            }
+            ENDCG
+        }
+    }
+}`;
+
+  return result.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Clean up Slang HLSL output into a Shader Graph Custom Function file. The node's
+// inputs are copied into static globals, so helper functions can read them like
+// the uniforms they were written against. With vertexCode (the vertex stage's
+// HLSL) a second function with the same inputs gives the Vertex stage Position.
+function cleanupSlangHlslForUnityShaderGraph(hlslCode, mode = 'materialLibrary', parameters = [], name = 'Material', vertexCode = null) {
+  const names = {
+    resolution: 'iResolution',
+    time: 'iTime',
+    timeDelta: 'iTimeDelta',
+    frame: 'iFrame',
+    frameRate: 'iFrameRate',
+    mouse: 'iMouse',
+    date: 'iDate',
+    uv: 'iUV',
+    normal: 'iNormal',
+    position: 'iPosition'
+  };
+  const fragmentOnly = extractUnityFragment(hlslCode, parameters, names);
+  const vertex = vertexCode && extractUnityFragment(vertexCode, parameters, names);
+  if (!fragmentOnly || (vertexCode && !vertex)) {
+    return '// Error: Could not extract function body\n' + hlslCode;
+  }
+  const fragment = vertex ? mergeUnityStages(fragmentOnly, vertex) : fragmentOnly;
+
+  // Texture inputs arrive as UnityTexture2D, which carries its sampler and size
+  const useTextures = (code) => code
+    .replace(/\b(iChannel\d|iBuffer[A-D])\.(\w+)\s*\(/g, '$1.tex.$2(')
+    .replace(/\b(iChannel\d|iBuffer[A-D])Sampler\b/g, '$1.samplerstate');
+  const body = useTextures(fragment.body);
+  const helpers = useTextures(fragment.helpers);
+
+  const functionName = toUnityIdentifier(name);
+  const resolutionType = mode === 'shaderToy' ? 'float3' : 'float2';
+
+  // Node inputs: surface and time inputs always, the rest only when used
+  const inputs = [
+    { type: 'float2', port: 'UV', global: 'iUV', source: 'UV node (UV0)' },
+    { type: 'float3', port: 'Normal', global: 'iNormal', source: 'Normal Vector node (Object space)' },
+    { type: 'float3', port: 'Position', global: 'iPosition', source: 'Position node (Object space)' },
+    { type: 'float', port: 'Time', global: 'iTime', source: 'Time node (Time)' },
+    { type: 'float', port: 'DeltaTime', global: 'iTimeDelta', source: 'Time node (Delta Time)' },
+    {
+      type: resolutionType,
+      port: 'Resolution',
+      global: 'iResolution',
+      source: mode === 'shaderToy' ? 'Screen node (Width, Height, 1) in a Vector 3' : 'Screen node (Width, Height) in a Vector 2'
+    }
+  ];
+  if (fragment.uses('iFrame')) inputs.push({ type: 'float', port: 'Frame', global: 'iFrame', source: 'Float property set from a script (Time.frameCount)' });
+  if (fragment.uses('iMouse')) inputs.push({ type: 'float4', port: 'Mouse', global: 'iMouse', source: 'Vector 4 property set from a script (xy = cursor pixel while pressed, zw = click pixel)' });
+  if (fragment.uses('iDate')) inputs.push({ type: 'float4', port: 'Date', global: 'iDate', source: 'Vector 4 property set from a script (year, month - 1, day, seconds since midnight)' });
+  for (const p of parameters) {
+    const type = p.valueType === 'bool' ? 'float' : p.valueType;
+    const property = { bool: 'Boolean', color: 'Color' }[p.kind] || (type === 'float' ? 'Float' : `Vector ${type.slice(-1)}`);
+    inputs.push({ type, port: `${p.name}Input`, global: p.name, source: `${property} property "${p.label}" (default ${formatParamDefault(p)})` });
+  }
+
+  // Textures can't be static globals, they are passed on to the fragment function
+  const textures = [
+    ...fragment.channels.map(i => ({ name: `iChannel${i}`, source: 'Texture 2D property' })),
+    ...fragment.buffers.map(buffer => ({ name: `i${buffer}`, source: `the render texture that pass ${buffer} is drawn into` }))
+  ];
+
+  const channelInfo = buildUnityChannelInfo(fragment, i => `iChannel${i}.texelSize.zw`);
+
+  const ports = [
+    ...inputs.map(input => `//   - ${input.port}: ${input.source}`),
+    ...textures.map(texture => `//   - ${texture.name}: ${texture.source}`)
+  ];
+  const textureParameters = textures.map(texture => `UnityTexture2D ${texture.name}`).join(', ');
+  const textureArguments = textures.map(texture => texture.name).join(', ');
+  const entryParameters = [
+    ...inputs.map(input => `${input.type} ${input.port}`),
+    ...textures.map(texture => `UnityTexture2D ${texture.name}`)
+  ].join(', ');
+  const guard = `${functionName.toUpperCase()}_INCLUDED`;
+  const indent = (text) => text.split('\n').map(line => (line ? `    ${line}` : line)).join('\n');
+
+  const textureNote = textures.length > 0 && textures.some(texture => new RegExp(`\\b${texture.name}\\b`).test(helpers))
+    ? '// Helper functions must take textures as arguments - they are not globals in Shader Graph\n'
+    : '';
+
+  // Surface mode fills the Lit Master Stack, the other modes a color and alpha
+  const outputs = fragment.surface
+    ? UNITY_SURFACE_OUTPUTS.map(output => ({
+      declaration: `out ${output.type} ${output.port}`,
+      note: `${output.port} (${output.type === 'float' ? 'Float' : 'Vector 3'}): connect to ${output.block}`,
+      assignment: `${output.port} = ${readUnitySurfaceOutput('result', output)};`
+    }))
+    : [
+      { declaration: 'out float3 Color', note: 'Color (Vector 3): connect to Base Color', assignment: 'Color = result.rgb;' },
+      { declaration: 'out float Alpha', note: 'Alpha (Float): connect to Alpha', assignment: 'Alpha = result.a;' }
+    ];
+
+  const assignInputs = inputs.map(input => `    ${input.global} = ${input.port};`).join('\n');
+  const channelAssignments = channelInfo.assignments.length > 0 ? `${indent(channelInfo.assignments.join('\n'))}\n\n` : '';
+
+  // The offset is in world space, the Vertex stage Position block takes object space
+  const vertexFunctions = vertex
+    ? `
+float4 ${functionName}_VertexOffset(${textureParameters})
+{
+${channelAssignments}${indent(useTextures(fragment.vertexBody))}
+}
+
+void ${functionName}_Vertex_float(${entryParameters}, out float3 VertexPosition)
+{
+${assignInputs}
+
+    float4 offset = ${functionName}_VertexOffset(${textureArguments});
+    VertexPosition = Position + mul((float3x3)UNITY_MATRIX_I_M, offset.xyz);
+}
+`
+    : '';
+  const vertexNote = vertex
+    ? `// Vertex offset: add a second Custom Function node with Name = ${functionName}_Vertex and the
+// same inputs, and connect its VertexPosition output (Vector 3) to the Vertex stage Position block
+`
+    : '';
+
+  const result = `// Unity Shader Graph Custom Function
+// Add a Custom Function node: Type = File, Source = this file, Name = ${functionName}
+// Inputs, in this order:
+${ports.join('\n')}
+// Outputs:
+${outputs.map(output => `//   - ${output.note}`).join('\n')}
+${vertexNote}${textureNote}
+#ifndef ${guard}
+#define ${guard}
+
+${[...inputs.map(input => `static ${input.type} ${input.global};`), ...channelInfo.declarations].join('\n')}
+${helpers ? `\n${helpers}\n` : ''}
+${fragment.surface ? 'SurfaceTargets' : 'float4'} ${functionName}_Fragment(${textureParameters})
+{
+${channelAssignments}${indent(body)}
+}
+
+void ${functionName}_float(${entryParameters}, ${outputs.map(output => output.declaration).join(', ')})
+{
+${assignInputs}
+
+    ${fragment.surface ? 'SurfaceTargets' : 'float4'} result = ${functionName}_Fragment(${textureArguments});
+${outputs.map(output => `    ${output.assignment}`).join('\n')}
+}
+${vertexFunctions}
+#endif // ${guard}`;
 
   return result.replace(/\n{3,}/g, '\n\n').trim();
 }
 
 // Clean up Slang WGSL output
-function cleanupSlangWgslOutput(wgslCode) {
+function cleanupSlangWgslOutput(wgslCode, parameters = []) {
   let code = wgslCode;
 
   // Clean up uniform buffer names
@@ -534,16 +2145,25 @@ function cleanupSlangWgslOutput(wgslCode) {
   code = code.replace(/uTimeDelta_0/g, 'iTimeDelta');
   code = code.replace(/uFrame_0/g, 'iFrame');
   code = code.replace(/uFrameRate_0/g, 'iFrameRate');
+  code = code.replace(/\b[ui]Mouse_0\b/g, 'iMouse');
+  code = code.replace(/\b[ui]Date_0\b/g, 'iDate');
+
+  code = renameParameterReferences(code, parameters);
+  code = renameChannelReferences(code);
 
   // Clean up input names
   code = code.replace(/input_0\./g, 'input.');
   code = code.replace(/_S(\d+)/g, 't$1');
 
-  return code.trim();
+  const paramComment = buildParameterComment(parameters, p => `${p.name}: ${paramTypeName(p, 'wgsl')}`) +
+    buildChannelComment(findUsedChannels(code), i => `iChannel${i}: texture_2d<f32> + iChannel${i}Sampler: sampler`) +
+    buildBufferComment(findUsedBuffers(code), name => `i${name}: texture_2d<f32> + i${name}Sampler: sampler (render target of pass ${name})`) +
+    buildSurfaceComment(code);
+  return (paramComment ? `${paramComment}\n${code}` : code).trim();
 }
 
 // Clean up Slang Metal output
-function cleanupSlangMetalOutput(metalCode) {
+function cleanupSlangMetalOutput(metalCode, parameters = []) {
   let code = metalCode;
 
   // Clean up uniform names
@@ -554,55 +2174,95 @@ function cleanupSlangMetalOutput(metalCode) {
   code = code.replace(/uTimeDelta_0/g, 'iTimeDelta');
   code = code.replace(/uFrame_0/g, 'iFrame');
   code = code.replace(/uFrameRate_0/g, 'iFrameRate');
+  code = code.replace(/\b[ui]Mouse_0\b/g, 'iMouse');
+  code = code.replace(/\b[ui]Date_0\b/g, 'iDate');
+
+  code = renameParameterReferences(code, parameters);
+  code = renameChannelReferences(code);
 
   // Clean up input names
   code = code.replace(/input_0\./g, 'input.');
   code = code.replace(/_S(\d+)/g, 't$1');
 
-  return code.trim();
+  const paramComment = buildParameterComment(parameters, p => `${paramTypeName(p, 'metal')} ${p.name}`) +
+    buildChannelComment(findUsedChannels(code), i => `texture2d<float> iChannel${i} + sampler iChannel${i}Sampler`) +
+    buildBufferComment(findUsedBuffers(code), name => `texture2d<float> i${name} + sampler i${name}Sampler (render target of pass ${name})`) +
+    buildSurfaceComment(code);
+  return (paramComment ? `${paramComment}\n${code}` : code).trim();
 }
 
-// Clean up spirv-cross GLSL ES output for ShaderToy compatibility
-function cleanupSlangGlslOutput(glslCode, mode = 'materialLibrary') {
-  let code = glslCode;
-
-  // Remove #version directive
-  code = code.replace(/#version\s+\d+.*\r?\n?/g, '');
-
-  // Remove precision declarations
-  code = code.replace(/precision\s+(lowp|mediump|highp)\s+(float|int)\s*;\s*\r?\n?/g, '');
+// GLSL expression reading a SurfaceOutput field from the surface mode render
+// targets, which the GLSL cleanups turn into vec4 locals surfaceTarget0-3
+function readGlslSurfaceField(fieldName) {
+  const field = SURFACE_FIELDS.find(f => f.name === fieldName);
+  return `surfaceTarget${field.target}.${field.swizzle}`;
+}
 
-  // Remove the GlobalParams_std140 struct definition
-  code = code.replace(/struct\s+GlobalParams_std140\s*\{[^}]*\}\s*;\s*/gs, '');
+// Declarations of the surface mode render target locals
+const GLSL_SURFACE_TARGETS = SURFACE_TARGETS.map((name, i) => `vec4 surfaceTarget${i} = vec4(0.0);`);
 
-  // Remove the uniform struct instance declaration
-  code = code.replace(/uniform\s+GlobalParams_std140\s+globalParams\s*;\s*/g, '');
+// Clean up spirv-cross GLSL ES output for ShaderToy compatibility
+function cleanupSlangGlslOutput(glslCode, mode = 'materialLibrary', parameters = [], vertexCode = null) {
+  // Both stages get the same readable names
+  const prepare = (stageCode) => {
+    let code = stageCode;
+
+    // Remove #version directive
+    code = code.replace(/#version\s+\d+.*\r?\n?/g, '');
+
+    // Surface mode writes four render targets, which needs the draw buffers extension in GLSL ES 1.00
+    code = code.replace(/^\s*#extension\s+GL_EXT_draw_buffers\b.*\r?\n?/gm, '');
+
+    // Remove precision declarations
+    code = code.replace(/precision\s+(lowp|mediump|highp)\s+(float|int)\s*;\s*\r?\n?/g, '');
+
+    // Remove the GlobalParams_std140 struct definition
+    code = code.replace(/struct\s+GlobalParams_std140\s*\{[^}]*\}\s*;\s*/gs, '');
+
+    // Remove the uniform struct instance declaration
+    code = code.replace(/uniform\s+GlobalParams_std140\s+globalParams\s*;\s*/g, '');
+
+    // Remove varying declarations (we'll set them up in mainImage)
+    code = code.replace(/varying\s+highp\s+vec2\s+input_uv\s*;\s*/g, '');
+    code = code.replace(/varying\s+highp\s+vec3\s+input_normal\s*;\s*/g, '');
+    code = code.replace(/varying\s+highp\s+vec3\s+input_position\s*;\s*/g, '');
+
+    // Map spirv-cross uniform references to ShaderToy-style names
+    code = code.replace(/globalParams\.uResolution/g, 'iResolution');
+    code = code.replace(/globalParams\.uTime/g, 'iTime');
+    code = code.replace(/globalParams\.uTimeDelta/g, 'iTimeDelta');
+    code = code.replace(/globalParams\.uFrame/g, 'iFrame');
+    code = code.replace(/globalParams\.uFrameRate/g, 'iFrameRate');
+    code = code.replace(/globalParams\.[ui]Mouse\b/g, 'iMouse');
+    code = code.replace(/globalParams\.[ui]Date\b/g, 'iDate');
+    for (const p of parameters) {
+      code = code.replace(new RegExp(`globalParams\\.${p.name}\\b`, 'g'), p.name);
+    }
 
-  // Remove varying declarations (we'll set them up in mainImage)
-  code = code.replace(/varying\s+highp\s+vec2\s+input_uv\s*;\s*/g, '');
-  code = code.replace(/varying\s+highp\s+vec3\s+input_normal\s*;\s*/g, '');
-  code = code.replace(/varying\s+highp\s+vec3\s+input_position\s*;\s*/g, '');
+    // Map texture channels (spirv-cross combines each texture with its sampler)
+    code = code.replace(/globalParams\.(iChannel(?:Resolution|Time))\b/g, '$1');
+    code = code.replace(/\bSPIRV_Cross_Combined(iChannel\d|iBuffer[A-D])\w*/g, '$1');
 
-  // Map spirv-cross uniform references to ShaderToy-style names
-  code = code.replace(/globalParams\.uResolution/g, 'iResolution');
-  code = code.replace(/globalParams\.uTime/g, 'iTime');
-  code = code.replace(/globalParams\.uTimeDelta/g, 'iTimeDelta');
-  code = code.replace(/globalParams\.uFrame/g, 'iFrame');
-  code = code.replace(/globalParams\.uFrameRate/g, 'iFrameRate');
+    // Map input varyings to readable names
+    code = code.replace(/\binput_uv\b/g, 'uv');
+    code = code.replace(/\binput_normal\b/g, 'normal');
+    code = code.replace(/\binput_position\b/g, 'position');
 
-  // Map input varyings to readable names
-  code = code.replace(/\binput_uv\b/g, 'uv');
-  code = code.replace(/\binput_normal\b/g, 'normal');
-  code = code.replace(/\binput_position\b/g, 'position');
+    // Map gl_FragData[0] to fragColor (surface mode: every render target to its local)
+    if (mode === 'surface') {
+      code = code.replace(/gl_FragData\s*\[\s*(\d)\s*\]/g, 'surfaceTarget$1');
+    }
+    code = code.replace(/gl_FragData\s*\[\s*0\s*\]/g, 'fragColor');
 
-  // Map gl_FragData[0] to fragColor
-  code = code.replace(/gl_FragData\s*\[\s*0\s*\]/g, 'fragColor');
+    // Remove highp qualifiers for cleaner output
+    code = code.replace(/\bhighp\s+/g, '');
 
-  // Remove highp qualifiers for cleaner output
-  code = code.replace(/\bhighp\s+/g, '');
+    // Convert infinite loop pattern for(;;) to standard loop
+    code = code.replace(/for\s*\(\s*;\s*;\s*\)/g, 'for(int _loopIdx = 0; _loopIdx < 10000; _loopIdx++)');
 
-  // Convert infinite loop pattern for(;;) to standard loop
-  code = code.replace(/for\s*\(\s*;\s*;\s*\)/g, 'for(int _loopIdx = 0; _loopIdx < 10000; _loopIdx++)');
+    return code;
+  };
+  const code = prepare(glslCode);
 
   // Extract main() body content
   const mainMatch = code.match(/void\s+main\s*\(\s*\)\s*\{([\s\S]*)\}/);
@@ -613,13 +2273,35 @@ function cleanupSlangGlslOutput(glslCode, mode = 'materialLibrary') {
 
   let mainBody = mainMatch[1];
 
+  // Keep helper functions, structs and constants from the global section
+  // (surface mode declares its own SurfaceOutput below)
+  const extractHelpers = (stageCode) => splitTopLevelDeclarations(stageCode)
+    .filter(item => !/^(uniform|varying|attribute|layout)\b/.test(item))
+    .filter(item => mode !== 'surface' || !/^struct\s+Surface(Output|Targets)\b/.test(item))
+    .join('\n\n');
+  let helperCode = extractHelpers(code.slice(0, mainMatch.index));
+
   // Clean up indentation - remove one level
-  mainBody = mainBody.split('\n').map(line => {
+  const dedent = (text) => text.split('\n').map(line => {
     if (line.startsWith('    ')) {
       return line.substring(4);
     }
     return line;
   }).join('\n');
+  mainBody = dedent(mainBody);
+
+  // Vertex stage: main() writes the offset to gl_Position, the function returns it
+  let vertexBody = '';
+  if (vertexCode) {
+    const vertexSource = prepare(vertexCode);
+    const vertexMatch = vertexSource.match(/void\s+main\s*\(\s*\)\s*\{([\s\S]*)\}/);
+    if (vertexMatch) {
+      vertexBody = dedent(vertexMatch[1])
+        .replace(/gl_Position\s*=\s*([^;]+);\s*return\s*;/g, 'return ($1).xyz;')
+        .replace(/gl_Position\s*=\s*([^;]+);/g, 'return ($1).xyz;');
+      helperCode = mergeStageDeclarations(extractHelpers(vertexSource.slice(0, vertexMatch.index)), helperCode);
+    }
+  }
 
   // Build the ShaderToy-compatible output
   let result = '';
@@ -636,10 +2318,30 @@ function cleanupSlangGlslOutput(glslCode, mode = 'materialLibrary') {
     vec3 position = vec3(uv, 0.0);
 
 ${mainBody}
+}`;
+  } else if (mode === 'surface') {
+    // Surface mode - function returning the surface for the host's own lighting
+    const surface = `SurfaceOutput(${SURFACE_FIELDS.map(field => readGlslSurfaceField(field.name)).join(', ')})`;
+    mainBody = mainBody.replace(/\breturn\s*;/g, `return ${surface};`);
+    result = `// Uniforms: iResolution, iTime, iTimeDelta, iFrame, iFrameRate, iMouse, iDate
+// Inputs: uv (vec2), normal (vec3), position (vec3)
+// Output: SurfaceOutput for the host's lighting (baseColor is linear, normal is in tangent space)
+
+struct SurfaceOutput
+{
+${SURFACE_FIELDS.map(field => `    ${field.type === 'float' ? 'float' : `vec${field.type.slice(-1)}`} ${field.name};`).join('\n')}
+};
+
+SurfaceOutput surfaceMain(vec2 uv, vec3 normal, vec3 position)
+{
+${GLSL_SURFACE_TARGETS.map(line => `    ${line}`).join('\n')}
+
+${mainBody}
+    return ${surface};
 }`;
   } else {
     // Material Library mode - clean standalone function
-    result = `// Uniforms: iResolution, iTime, iTimeDelta, iFrame, iFrameRate
+    result = `// Uniforms: iResolution, iTime, iTimeDelta, iFrame, iFrameRate, iMouse, iDate
 // Inputs: uv (vec2), normal (vec3), position (vec3)
 // Output: fragColor (vec4)
 
@@ -653,6 +2355,35 @@ ${mainBody}
 }`;
   }
 
+  if (vertexBody) {
+    result = `${result}
+
+// Vertex offset: world space offset of a mesh vertex, add it to the vertex's world position
+vec3 vertexOffset(vec2 uv, vec3 normal, vec3 position)
+{
+${vertexBody.trim().split('\n').map(line => (line ? `    ${line}` : line)).join('\n')}
+}`;
+  }
+
+  if (helperCode) {
+    result = `${helperCode}\n\n${result}`;
+  }
+
+  // Declare material parameters and texture channels as plain uniforms
+  const usedCode = mainBody + vertexBody + helperCode;
+  const channels = findUsedChannels(usedCode);
+  const decls = [
+    ...parameters.map(p => `uniform ${paramTypeName(p, 'glsl')} ${p.name};`),
+    ...channels.map(i => `uniform sampler2D iChannel${i};`),
+    ...findUsedBuffers(usedCode).map(name => `uniform sampler2D i${name};`)
+  ];
+  if (/\biChannelResolution\b/.test(mainBody + vertexBody)) decls.push('uniform vec3 iChannelResolution[4];');
+  if (/\biChannelTime\b/.test(mainBody + vertexBody)) decls.push('uniform float iChannelTime[4];');
+  if (decls.length > 0) {
+    const paramComment = buildParameterComment(parameters, p => p.name);
+    result = `${paramComment}${decls.join('\n')}\n\n${result}`;
+  }
+
   // Clean up multiple empty lines
   result = result.replace(/\r\n/g, '\n');
   result = result.replace(/\n{3,}/g, '\n\n');
@@ -660,59 +2391,391 @@ ${mainBody}
   return result.trim();
 }
 
-// Slang compilation endpoint
-app.post('/api/slang/compile', async (req, res) => {
+// Godot uniform declaration for a material parameter, with the editor hint for its kind.
+// Bools stay bool for the inspector checkbox; references are wrapped in int() because
+// the compiled code treats them as int.
+function buildGodotUniform(param) {
+  // Godot doesn't convert int literals to float
+  const literal = (value) => (Number.isInteger(value) ? value.toFixed(1) : String(value));
+  const type = paramTypeName(param, 'glsl');
+  if (param.kind === 'bool') return `uniform bool ${param.name} = ${param.default ? 'true' : 'false'};`;
+  if (param.kind === 'range') return `uniform float ${param.name} : hint_range(${literal(param.min)}, ${literal(param.max)}) = ${literal(param.default)};`;
+  if (param.kind === 'float') return `uniform float ${param.name} = ${literal(param.default)};`;
+  const hint = param.kind === 'color' ? ' : source_color' : '';
+  return `uniform ${type} ${param.name}${hint} = ${type}(${param.default.map(literal).join(', ')});`;
+}
+
+// Surface mode outputs of a Godot spatial shader. ALPHA is left out: writing it moves
+// the material to the transparent pipeline, so the shader only mentions it.
+const GODOT_SURFACE_OUTPUTS = [
+  `ALBEDO = ${readGlslSurfaceField('baseColor')};`,
+  `METALLIC = ${readGlslSurfaceField('metallic')};`,
+  `ROUGHNESS = ${readGlslSurfaceField('roughness')};`,
+  `NORMAL_MAP = ${readGlslSurfaceField('normal')} * 0.5 + 0.5;`,
+  `EMISSION = ${readGlslSurfaceField('emissive')};`,
+  `AO = ${readGlslSurfaceField('occlusion')};`,
+  `// ALPHA = ${readGlslSurfaceField('opacity')}; // Uncomment for a transparent material`
+];
+
+// Clean up Slang GLSL output (GLSL ES 1.0 from spirv-cross) into a Godot 4 .gdshader,
+// shaderType being 'spatial' or 'canvas_item'. Surface mode output is lit: the
+// spatial shader fills Godot's PBR outputs, canvas_item gets color and normal map.
+// With vertexCode (the vertex stage's GLSL) vertex() moves VERTEX by the offset.
+function cleanupSlangGlslForGodot(glslCode, mode = 'materialLibrary', parameters = [], shaderType = 'spatial', vertexCode = null) {
+  const spatial = shaderType === 'spatial';
+  const surface = mode === 'surface';
+
+  // Remove the version, extensions, precision and the wrapper's uniform and varying declarations
+  const prepare = (stageCode) => stageCode
+    .replace(/#version\s+\d+.*\r?\n?/g, '')
+    .replace(/^\s*#extension\b.*\r?\n?/gm, '')
+    .replace(/precision\s+(lowp|mediump|highp)\s+(float|int)\s*;\s*\r?\n?/g, '')
+    .replace(/struct\s+GlobalParams_std140\s*\{[^}]*\}\s*;\s*/gs, '')
+    .replace(/\b(?:highp|mediump|lowp)\s+/g, '');
+  const extractHelpers = (stageCode) => splitTopLevelDeclarations(stageCode)
+    .filter(item => !/^(uniform|varying|attribute|layout)\b/.test(item))
+    .join('\n\n');
+  const code = prepare(glslCode);
+
+  const mainMatch = code.match(/void\s+main\s*\(\s*\)\s*\{([\s\S]*)\}/);
+  if (!mainMatch) {
+    return '// Error: Could not extract main() body\n' + glslCode;
+  }
+
+  let helperCode = extractHelpers(code.slice(0, mainMatch.index));
+  const vertexSource = vertexCode && prepare(vertexCode);
+  const vertexMatch = vertexSource && vertexSource.match(/void\s+main\s*\(\s*\)\s*\{([\s\S]*)\}/);
+  if (vertexMatch) {
+    helperCode = mergeStageDeclarations(extractHelpers(vertexSource.slice(0, vertexMatch.index)), helperCode);
+  }
+
+  // Built-ins only exist inside the stage functions; helpers read them through varyings
+  const resolution = (inFragment) => {
+    const size = inFragment ? (spatial ? 'VIEWPORT_SIZE' : '(1.0 / SCREEN_PIXEL_SIZE)') : 'viewport_size';
+    return mode === 'shaderToy' ? `vec3(${size}, 1.0)` : size;
+  };
+  const rename = (text, inFragment) => {
+    let result = text;
+    result = result.replace(/globalParams\.[ui]Resolution\b/g, resolution(inFragment));
+    result = result.replace(/globalParams\.[ui]TimeDelta\b/g, 'iTimeDelta');
+    result = result.replace(/globalParams\.[ui]Time\b/g, 'TIME');
+    result = result.replace(/globalParams\.[ui]FrameRate\b/g, '(1.0 / max(iTimeDelta, 0.001))');
+    result = result.replace(/globalParams\.[ui]Frame\b/g, 'iFrame');
+    result = result.replace(/globalParams\.[ui]Mouse\b/g, 'iMouse');
+    result = result.replace(/globalParams\.[ui]Date\b/g, 'iDate');
+    for (const p of parameters) {
+      result = result.replace(new RegExp(`globalParams\\.${p.name}\\b`, 'g'), p.kind === 'bool' ? `int(${p.name})` : p.name);
+    }
+
+    // Channel sizes come from the textures; channels have no playback time of their own
+    result = result.replace(/\bSPIRV_Cross_Combined(iChannel\d|iBuffer[A-D])\w*/g, '$1');
+    result = result.replace(/globalParams\.iChannelResolution\s*\[\s*(?:int\()?(\d)\)?\s*\]/g, 'vec3(vec2(textureSize(iChannel$1, 0)), 1.0)');
+    result = result.replace(/globalParams\.iChannelTime\s*\[\s*(?:int\()?\d\)?\s*\]/g, 'TIME');
+    result = result.replace(/globalParams\.(iChannel(?:Resolution|Time))\b/g, '$1');
+    result = result.replace(/\btexture2D(Lod)?\s*\(/g, (match, lod) => (lod ? 'textureLod(' : 'texture('));
+
+    result = result.replace(/\binput_uv\b/g, 'UV');
+    result = result.replace(/\binput_normal\b/g, 'NORMAL');
+    result = result.replace(/\binput_position\b/g, 'object_position');
+    if (surface) result = result.replace(/gl_FragData\s*\[\s*(\d)\s*\]/g, 'surfaceTarget$1');
+    result = result.replace(/gl_Frag(?:Data\s*\[\s*0\s*\]|Color)/g, 'fragColor');
+    return result.replace(/for\s*\(\s*;\s*;\s*\)/g, 'for(int _loopIdx = 0; _loopIdx < 10000; _loopIdx++)');
+  };
+
+  const helpers = rename(helperCode, false);
+  let output = spatial
+    ? ['ALBEDO = fragColor.rgb;', 'ALPHA = fragColor.a;']
+    : ['COLOR = fragColor;'];
+  if (surface) {
+    output = spatial
+      ? GODOT_SURFACE_OUTPUTS
+      : [
+        `COLOR = vec4(${readGlslSurfaceField('baseColor')} + ${readGlslSurfaceField('emissive')}, ${readGlslSurfaceField('opacity')});`,
+        `NORMAL_MAP = ${readGlslSurfaceField('normal')} * 0.5 + 0.5;`
+      ];
+  }
+
+  // An early return still has to write the output
+  const body = rename(mainMatch[1], true)
+    .replace(/\breturn\s*;/g, `{ ${output.filter(line => !line.startsWith('//')).join(' ')} return; }`)
+    .split('\n')
+    .map(line => (line.startsWith('    ') ? line.substring(4) : line))
+    .join('\n')
+    .trim();
+
+  // Vertex stage: the offset is in world space, VERTEX in model space (canvas_item: 2D local space)
+  const vertexBody = vertexMatch
+    ? rename(vertexMatch[1], false)
+      .replace(/\bobject_position\b/g, spatial ? 'VERTEX' : 'vec3(VERTEX, 0.0)')
+      // canvas_item has no NORMAL in vertex()
+      .replace(/\bNORMAL\b/g, spatial ? 'NORMAL' : 'vec3(0.0, 0.0, 1.0)')
+      .replace(/gl_Position\s*=\s*([^;]+);/g, spatial
+        ? 'VERTEX += inverse(mat3(MODEL_MATRIX)) * ($1).xyz;'
+        : 'VERTEX += ($1).xy;')
+      .split('\n')
+      .map(line => (line.startsWith('    ') ? line.substring(4) : line))
+      .join('\n')
+      .trim()
+    : '';
+  const allCode = `${helpers}\n${body}\n${vertexBody}`;
+
+  // Godot has no cursor, calendar, frame counter or frame time - set these from a script
+  const scriptUniforms = [
+    { name: 'iTimeDelta', type: 'float', note: 'seconds since the last frame (delta in _process)' },
+    { name: 'iFrame', type: 'float', note: 'frame number (Engine.get_process_frames())' },
+    { name: 'iMouse', type: 'vec4', note: 'xy = cursor pixel while pressed, zw = click pixel (negative when released)' },
+    { name: 'iDate', type: 'vec4', note: 'year, month - 1, day, seconds since midnight' }
+  ].filter(uniform => new RegExp(`\\b${uniform.name}\\b`).test(allCode));
+
+  const channels = findUsedChannels(allCode);
+  const buffers = findUsedBuffers(allCode);
+  const uniforms = [
+    ...parameters.map(buildGodotUniform),
+    ...scriptUniforms.map(uniform => `uniform ${uniform.type} ${uniform.name};`),
+    ...channels.map(i => `uniform sampler2D iChannel${i} : repeat_enable, filter_linear_mipmap;`),
+    ...buffers.map(name => `uniform sampler2D i${name} : filter_linear;`)
+  ];
+  // Dynamically indexed channel info can't be resolved here
+  if (/\biChannelResolution\b/.test(allCode)) uniforms.push('uniform vec3 iChannelResolution[4];');
+  if (/\biChannelTime\b/.test(allCode)) uniforms.push('uniform float iChannelTime[4];');
+
+  const varyings = [];
+  const vertex = [];
+  if (/\bobject_position\b/.test(allCode)) {
+    varyings.push('varying vec3 object_position;');
+    vertex.push(spatial ? 'object_position = VERTEX;' : 'object_position = vec3(VERTEX, 0.0);');
+  }
+  if (/\bviewport_size\b/.test(`${helpers}\n${vertexBody}`)) {
+    varyings.push('varying flat vec2 viewport_size;');
+    // canvas_item has no viewport size in vertex(), but the screen matrix scales by 2 / size
+    vertex.push(spatial
+      ? 'viewport_size = VIEWPORT_SIZE;'
+      : 'viewport_size = 2.0 / abs(vec2(SCREEN_MATRIX[0][0], SCREEN_MATRIX[1][1]));');
+  }
+  if (vertexBody) {
+    vertex.push(...vertexBody.split('\n'));
+  }
+
+  const notes = [
+    ...scriptUniforms.map(uniform => `//   ${uniform.name}: ${uniform.note}`),
+    ...buffers.map(name => `//   i${name}: ViewportTexture of the SubViewport that pass ${name} is drawn into`)
+  ];
+
+  const result = `// Godot 4 shader (${shaderType})
+// Save as a .gdshader file and assign it to a ShaderMaterial${spatial ? '' : ' on a CanvasItem'}.
+${notes.length > 0 ? `// Set from a script with set_shader_parameter():\n${notes.join('\n')}\n` : ''}
+shader_type ${shaderType};
+${spatial && !surface ? 'render_mode unshaded;\n' : ''}
+${buildParameterComment(parameters, p => p.name)}${uniforms.join('\n')}
+${varyings.length > 0 ? `\n${varyings.join('\n')}\n` : ''}${helpers ? `\n${helpers}\n` : ''}${vertex.length > 0 ? `\nvoid vertex() {\n${vertex.map(line => (line ? `    ${line}` : line)).join('\n')}\n}\n` : ''}
+void fragment() {
+${(surface ? GLSL_SURFACE_TARGETS : ['vec4 fragColor = vec4(1.0);']).map(line => `    ${line}`).join('\n')}
+
+${body.split('\n').map(line => (line ? `    ${line}` : line)).join('\n')}
+
+${output.map(line => `    ${line}`).join('\n')}
+}`;
+
+  return result.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ============================================================================
+// COMPILE CACHE
+// ============================================================================
+
+const compileCache = COMPILE_CACHE_ENABLED
+  ? createCompileCache({
+    directory: COMPILE_CACHE_DIR,
+    maxMemoryBytes: COMPILE_CACHE_MEMORY_MB * 1024 * 1024,
+    maxDiskBytes: COMPILE_CACHE_DISK_MB * 1024 * 1024
+  })
+  : null;
+
+// Output also depends on the server's wrappers and cleanups (this file and the modules
+// it requires), so editing any server module invalidates the cache
+const SERVER_CODE_HASH = (() => {
+  const hash = crypto.createHash('sha256');
+  for (const file of fs.readdirSync(__dirname).filter(f => f.endsWith('.cjs')).sort()) {
+    hash.update(file).update(fs.readFileSync(path.join(__dirname, file)));
+  }
+  return hash.digest('hex').slice(0, 16);
+})();
+
+// First line of a tool's version output - re-read every little while, so upgrading a
+// compiler while the server runs stops cache hits on the old compiler's output
+const TOOL_VERSION_TTL_MS = 30 * 1000;
+let toolVersionsPromise = null;
+let toolVersionsReadAt = 0;
+
+async function readToolVersion(tool, args) {
+  try {
+    const result = await runProcess(tool, args, { timeout: 5000 });
+    return `${result.stdout}${result.stderr}`.trim().split('\n')[0] || 'unknown';
+  } catch (e) {
+    return 'unavailable';
+  }
+}
+
+function getToolVersions() {
+  if (!toolVersionsPromise || Date.now() - toolVersionsReadAt > TOOL_VERSION_TTL_MS) {
+    toolVersionsReadAt = Date.now();
+    toolVersionsPromise = Promise.all([
+      readToolVersion(SLANG_PATH, ['-version']),
+      readToolVersion(SPIRV_CROSS_PATH, ['--revision'])
+    ]).then(([slang, spirvCross]) => ({ slang, spirvCross }));
+  }
+  return toolVersionsPromise;
+}
+
+// Cache statistics, add ?entries=1 to list the cached entries
+app.get('/api/cache', requireAdmin, async (req, res) => {
+  if (!compileCache) {
+    return res.json({ success: true, enabled: false });
+  }
+  res.json({
+    success: true,
+    enabled: true,
+    tools: await getToolVersions(),
+    stats: compileCache.stats(),
+    ...(req.query.entries ? { entries: compileCache.list() } : {})
+  });
+});
+
+// Clear both cache tiers
+app.delete('/api/cache', requireAdmin, (req, res) => {
+  if (compileCache) compileCache.clear();
+  res.json({ success: true });
+});
+
+const SLANG_TARGETS = ['glsl', 'hlsl', 'unrealHlsl', 'unrealGraph', 'unrealFunction', 'unityShader', 'unityShaderGraph', 'godotSpatial', 'godotCanvasItem', 'spirv', 'wgsl', 'metal'];
+
+// Engine targets that are Slang HLSL output with their own cleanup pass
+const HLSL_ENGINE_TARGETS = ['unrealHlsl', 'unrealGraph', 'unrealFunction', 'unityShader', 'unityShaderGraph'];
+
+// Engine targets built from the GLSL output, with the Godot shader type of each
+const GODOT_SHADER_TYPES = { godotSpatial: 'spatial', godotCanvasItem: 'canvas_item' };
+
+// Export targets that build the vertex offset into the same file as the fragment
+// stage. The other targets export the vertex stage as a compile of its own.
+const COMBINED_STAGE_TARGETS = ['unrealHlsl', 'unrealGraph', 'unrealFunction', 'unityShader', 'unityShaderGraph', 'glsl', 'godotSpatial', 'godotCanvasItem'];
+
+const SLANG_STAGES = ['fragment', 'vertex'];
+
+// Export targets whose output contains the shader name - the others leave it out of the cache key
+const NAMED_EXPORT_TARGETS = ['unrealGraph', 'unrealFunction', 'unityShader', 'unityShaderGraph'];
+
+// Compile user Slang code to one target. Resolves with the HTTP status and JSON
+// body for the client: 200 with the result, 400 with compile errors. Rejects if
+// a compiler process fails to run (cancelled, timed out, missing).
+async function compileSlangSource(options, { jobId, signal } = {}) {
   const {
     source,
     target = 'glsl',
     mode = 'materialLibrary',
-    entryPoint = 'fragmentMain',
     stage = 'fragment',
-    forExport = false
-  } = req.body;
-
-  if (!source) {
-    return res.status(400).json({ success: false, error: 'No source code provided' });
-  }
-
-  // Validate target
-  const validTargets = ['glsl', 'hlsl', 'unrealHlsl', 'spirv', 'wgsl', 'metal'];
-  if (!validTargets.includes(target)) {
-    return res.status(400).json({
-      success: false,
-      error: `Invalid target: ${target}. Valid targets: ${validTargets.join(', ')}`
-    });
+    entryPoint = stage === 'vertex' ? VERTEX_ENTRY_POINT : 'fragmentMain',
+    forExport = false,
+    parameterValues = null,
+    name = 'Material'
+  } = options;
+
+  // Identical requests reuse the previous result
+  const cacheKey = compileCache && createCacheKey({
+    source, target, mode, entryPoint, stage, forExport, parameterValues,
+    name: forExport && NAMED_EXPORT_TARGETS.includes(target) ? name : null,
+    tools: await getToolVersions(),
+    server: SERVER_CODE_HASH
+  });
+  const cached = compileCache && compileCache.get(cacheKey);
+  if (cached) {
+    return { status: 200, body: { ...cached.value, cache: { hit: true, tier: cached.tier, key: cacheKey } } };
   }
 
   const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slang-'));
   const slangFile = path.join(tempDir, 'shader.slang');
 
-  // Determine output extension based on target (unrealHlsl uses hlsl extension)
+  // Determine output extension based on target (engine targets use the hlsl extension)
   const outputExtensions = {
     glsl: 'glsl',
     hlsl: 'hlsl',
     unrealHlsl: 'hlsl',
+    unrealGraph: 'hlsl',
+    unrealFunction: 'hlsl',
+    unityShader: 'hlsl',
+    unityShaderGraph: 'hlsl',
+    godotSpatial: 'glsl',
+    godotCanvasItem: 'glsl',
     spirv: 'spv',
     wgsl: 'wgsl',
     metal: 'metal'
   };
   const outputFile = path.join(tempDir, `shader.${outputExtensions[target]}`);
 
-  // Line offset for error messages (user code starts at different lines based on mode)
-  const lineOffset = mode === 'shaderToy' ? 28 : 36;
-
   try {
-    // Wrap user code based on mode
-    const fullShaderCode = mode === 'shaderToy'
-      ? wrapUserCodeForSlangShaderToy(source)
-      : wrapUserCodeForSlang(source);
+    // Pull material parameter declarations out of the user code
+    const parsed = parseMaterialParameters(source);
+    if (parsed.errors.length > 0) {
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: parsed.errors[0].message,
+          errors: parsed.errors,
+          stage: 'parameters'
+        }
+      };
+    }
+    const parameters = applyParameterValues(parsed.parameters, parameterValues);
+
+    // ShaderToy mode has no mesh to displace
+    const sections = splitSourceSections(parsed.code);
+    if (mode === 'shaderToy' && (stage === 'vertex' || sections.hasVertex)) {
+      const markerLine = parsed.code.split('\n').findIndex(line => /^\s*\/\/\s*@vertex\s*$/.test(line)) + 1;
+      const message = 'The // @vertex section is only available in Material Library and Surface mode';
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: message,
+          errors: [{ line: markerLine || 1, type: 'error', code: 'vertex', message }],
+          stage: 'sections'
+        }
+      };
+    }
+
+    // Engine targets only export the vertex offset together with the fragment stage
+    if (stage === 'vertex' && forExport && COMBINED_STAGE_TARGETS.includes(target)) {
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: `The ${target} export includes the vertex offset - compile the fragment stage instead`,
+          stage: 'sections'
+        }
+      };
+    }
+
+    // Wrap user code based on stage and mode
+    let fullShaderCode;
+    if (stage === 'vertex') {
+      fullShaderCode = wrapUserCodeForSlangVertex(parsed.code, parameters);
+    } else if (mode === 'shaderToy') {
+      fullShaderCode = wrapUserCodeForSlangShaderToy(parsed.code, parameters);
+    } else if (mode === 'surface') {
+      fullShaderCode = wrapUserCodeForSlangSurface(parsed.code, parameters, { forExport });
+    } else {
+      fullShaderCode = wrapUserCodeForSlang(parsed.code, parameters);
+    }
+
+    // Map error lines back to the user's code (user code starts at different lines based on mode)
+    const mapLine = createLineMapper(fullShaderCode);
 
     fs.writeFileSync(slangFile, fullShaderCode);
 
-    // For GLSL target, use SPIR-V + spirv-cross pipeline for better ES compatibility
-    const useSpirVCrossPipeline = (target === 'glsl');
-    // Map unrealHlsl to hlsl for Slang compilation
-    const slangTarget = useSpirVCrossPipeline ? 'spirv' : (target === 'unrealHlsl' ? 'hlsl' : target);
+    // For GLSL targets, use SPIR-V + spirv-cross pipeline for better ES compatibility
+    const useSpirVCrossPipeline = (target === 'glsl' || Object.hasOwn(GODOT_SHADER_TYPES, target));
+    // Map engine targets to hlsl for Slang compilation
+    const slangTarget = useSpirVCrossPipeline ? 'spirv' : (HLSL_ENGINE_TARGETS.includes(target) ? 'hlsl' : target);
     const slangOutputFile = useSpirVCrossPipeline
       ? path.join(tempDir, 'shader.spv')
       : outputFile;
@@ -727,54 +2790,71 @@ app.post('/api/slang/compile', async (req, res) => {
     ];
 
     // Add target-specific options
-    if (target === 'hlsl' || target === 'unrealHlsl') {
+    if (slangTarget === 'hlsl') {
       args.push('-profile', 'sm_5_0');
     }
 
     // Remove #line directives for cleaner output
     args.push('-line-directive-mode', 'none');
 
-    // Execute Slang compiler
-    try {
-      execFileSync(SLANG_PATH, args, {
-        timeout: 30000,
-        maxBuffer: 1024 * 1024
-      });
-    } catch (slangError) {
-      const stderr = slangError.stderr ? slangError.stderr.toString() : slangError.message;
-      const errors = parseSlangErrors(stderr, lineOffset);
+    // Execute Slang compiler (stderr is kept on success too, for warnings)
+    const slangResult = await compilePool.run(SLANG_PATH, args, {
+      jobId,
+      signal,
+      timeout: COMPILE_TIMEOUT_MS
+    });
+    const slangStderr = slangResult.stderr;
+    if (slangResult.code !== 0) {
+      const errors = parseSlangErrors(slangStderr, mapLine);
 
-      return res.status(400).json({
-        success: false,
-        error: errors.length > 0 ? errors[0].message : stderr,
-        errors: errors,
-        stage: 'slang-compilation'
-      });
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: errors.length > 0 ? errors[0].message : (slangStderr || `slangc exited with code ${slangResult.code}`),
+          errors: errors,
+          stage: 'slang-compilation'
+        }
+      };
     }
+    const warnings = parseSlangErrors(slangStderr, mapLine).filter(e => e.type === 'warning');
 
     // For GLSL, run spirv-cross to convert SPIR-V to GLSL ES
     if (useSpirVCrossPipeline) {
-      try {
-        const spirvCrossArgs = [
-          slangOutputFile,
-          '--version', '100',
-          '--es',
-          '--output', outputFile
-        ];
-        execFileSync(SPIRV_CROSS_PATH, spirvCrossArgs, {
-          timeout: 30000,
-          maxBuffer: 1024 * 1024
-        });
-      } catch (spirvCrossError) {
-        const stderr = spirvCrossError.stderr ? spirvCrossError.stderr.toString() : spirvCrossError.message;
-        return res.status(400).json({
-          success: false,
-          error: `spirv-cross error: ${stderr}`,
-          stage: 'spirv-cross'
-        });
+      const spirvCrossArgs = [
+        slangOutputFile,
+        '--version', '100',
+        '--es',
+        '--output', outputFile
+      ];
+      const spirvCrossResult = await compilePool.run(SPIRV_CROSS_PATH, spirvCrossArgs, {
+        jobId,
+        signal,
+        timeout: COMPILE_TIMEOUT_MS
+      });
+      if (spirvCrossResult.code !== 0) {
+        return {
+          status: 400,
+          body: {
+            success: false,
+            error: `spirv-cross error: ${spirvCrossResult.stderr || `exited with code ${spirvCrossResult.code}`}`,
+            stage: 'spirv-cross'
+          }
+        };
       }
     }
 
+    // Engine exports of a shader with a vertex offset section build both stages into one file
+    let vertexCode = null;
+    if (forExport && stage === 'fragment' && sections.hasVertex && COMBINED_STAGE_TARGETS.includes(target)) {
+      const vertex = await compileSlangSource(
+        { ...options, stage: 'vertex', entryPoint: VERTEX_ENTRY_POINT, forExport: false },
+        { jobId, signal }
+      );
+      if (vertex.status !== 200) return vertex;
+      vertexCode = vertex.body.code;
+    }
+
     // Read compiled output
     let compiledCode;
     if (target === 'spirv') {
@@ -787,28 +2867,39 @@ app.post('/api/slang/compile', async (req, res) => {
       // Apply cleanup based on target for better readability (only for export)
       if (forExport) {
         if (target === 'hlsl') {
-          compiledCode = cleanupSlangHlslOutput(compiledCode);
+          compiledCode = cleanupSlangHlslOutput(compiledCode, parameters);
         } else if (target === 'unrealHlsl') {
-          compiledCode = cleanupSlangHlslForUnreal(compiledCode);
+          compiledCode = cleanupSlangHlslForUnreal(compiledCode, parameters, vertexCode);
+        } else if (target === 'unrealGraph' || target === 'unrealFunction') {
+          compiledCode = cleanupSlangHlslForUnrealGraph(compiledCode, parameters, { name, asFunction: target === 'unrealFunction', vertexCode });
+        } else if (target === 'unityShader') {
+          compiledCode = cleanupSlangHlslForUnityShader(compiledCode, mode, parameters, name, vertexCode);
+        } else if (target === 'unityShaderGraph') {
+          compiledCode = cleanupSlangHlslForUnityShaderGraph(compiledCode, mode, parameters, name, vertexCode);
         } else if (target === 'wgsl') {
-          compiledCode = cleanupSlangWgslOutput(compiledCode);
+          compiledCode = cleanupSlangWgslOutput(compiledCode, parameters);
         } else if (target === 'metal') {
-          compiledCode = cleanupSlangMetalOutput(compiledCode);
+          compiledCode = cleanupSlangMetalOutput(compiledCode, parameters);
         } else if (target === 'glsl') {
-          compiledCode = cleanupSlangGlslOutput(compiledCode, mode);
+          compiledCode = cleanupSlangGlslOutput(compiledCode, mode, parameters, vertexCode);
+        } else if (Object.hasOwn(GODOT_SHADER_TYPES, target)) {
+          compiledCode = cleanupSlangGlslForGodot(compiledCode, mode, parameters, GODOT_SHADER_TYPES[target], vertexCode);
         }
       }
     }
 
-    res.json({
+    const result = {
       success: true,
       code: compiledCode,
       target: target,
-      mode: mode
-    });
-
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+      mode: mode,
+      stage: stage,
+      parameters: parameters,
+      warnings: warnings
+    };
+    if (compileCache) compileCache.set(cacheKey, result);
+
+    return { status: 200, body: { ...result, cache: { hit: false, tier: null, key: cacheKey } } };
   } finally {
     // Cleanup temp files
     try {
@@ -817,30 +2908,339 @@ app.post('/api/slang/compile', async (req, res) => {
       // Ignore cleanup errors
     }
   }
+}
+
+app.post('/api/slang/compile', async (req, res) => {
+  const { source, target = 'glsl', stage } = req.body;
+
+  if (!source) {
+    return res.status(400).json({ success: false, error: 'No source code provided' });
+  }
+
+  // Validate target
+  if (!SLANG_TARGETS.includes(target)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid target: ${target}. Valid targets: ${SLANG_TARGETS.join(', ')}`
+    });
+  }
+  if (stage !== undefined && !SLANG_STAGES.includes(stage)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid stage: ${stage}. Valid stages: ${SLANG_STAGES.join(', ')}`
+    });
+  }
+
+  // Cancel queued or running compiler processes if the client gives up
+  const signal = createRequestAbortSignal(res);
+  const jobId = getJobId(req);
+  activeJobs.add(jobId);
+
+  try {
+    const { status, body } = await compileSlangSource(req.body, { jobId, signal });
+    res.status(status).json(body);
+  } catch (error) {
+    sendProcessError(res, error);
+  } finally {
+    activeJobs.delete(jobId);
+  }
 });
 
 // Slang version/health check endpoint
-app.get('/api/slang/version', (req, res) => {
+app.get('/api/slang/version', async (req, res) => {
   try {
     // slangc doesn't have --version, so we just check if it's available
-    execFileSync(SLANG_PATH, ['-h'], { timeout: 5000, maxBuffer: 1024 * 1024 });
+    // (-h returns non-zero but still works if available)
+    await runProcess(SLANG_PATH, ['-h'], { timeout: 5000 });
     res.json({
       available: true,
       path: SLANG_PATH,
       targets: ['glsl', 'hlsl', 'spirv', 'wgsl', 'metal']
     });
   } catch (e) {
-    // -h returns non-zero but still works if available
-    if (e.stdout || e.stderr) {
-      res.json({
-        available: true,
-        path: SLANG_PATH,
-        targets: ['glsl', 'hlsl', 'spirv', 'wgsl', 'metal']
-      });
-    } else {
-      res.json({ available: false, error: 'Slang compiler not found' });
-    }
+    res.json({ available: false, error: 'Slang compiler not found' });
+  }
+});
+
+// =============================================================================
+// EXPORT BUNDLE
+// =============================================================================
+
+// Folder and file extension of each target in an export bundle
+const BUNDLE_TARGETS = [
+  { target: 'hlsl', folder: 'hlsl', extension: 'hlsl' },
+  { target: 'unrealHlsl', folder: 'unreal', extension: 'hlsl' },
+  { target: 'unrealGraph', folder: 'unreal', extension: 'graph.t3d' },
+  { target: 'unrealFunction', folder: 'unreal', extension: 'function.t3d' },
+  { target: 'unityShader', folder: 'unity', extension: 'shader' },
+  { target: 'unityShaderGraph', folder: 'unity', extension: 'hlsl' },
+  { target: 'glsl', folder: 'glsl', extension: 'glsl' },
+  { target: 'godotSpatial', folder: 'godot/spatial', extension: 'gdshader' },
+  { target: 'godotCanvasItem', folder: 'godot/canvas_item', extension: 'gdshader' },
+  { target: 'wgsl', folder: 'wgsl', extension: 'wgsl' },
+  { target: 'metal', folder: 'metal', extension: 'metal' },
+  { target: 'spirv', folder: 'spirv', extension: 'spv' }
+];
+
+// Uniforms the wrappers declare for each mode - the host engine has to set them
+const MATERIAL_UNIFORMS = [
+  { name: 'uResolution', type: 'float2', description: 'Viewport size in pixels' },
+  { name: 'uTime', type: 'float', description: 'Time in seconds' },
+  { name: 'uTimeDelta', type: 'float', description: 'Time to render the last frame, in seconds' },
+  { name: 'uFrame', type: 'float', description: 'Frame number' },
+  { name: 'uFrameRate', type: 'float', description: 'Frames per second' },
+  { name: 'uMouse', type: 'float4', description: 'xy = cursor pixel while dragging, zw = click pixel' },
+  { name: 'uDate', type: 'float4', description: 'Year, month, day, seconds since midnight' }
+];
+
+const BUILTIN_UNIFORMS = {
+  materialLibrary: MATERIAL_UNIFORMS,
+  surface: MATERIAL_UNIFORMS,
+  shaderToy: [
+    { name: 'iResolution', type: 'float3', description: 'Viewport size in pixels' },
+    { name: 'iTime', type: 'float', description: 'Time in seconds' },
+    { name: 'iTimeDelta', type: 'float', description: 'Time to render the last frame, in seconds' },
+    { name: 'iFrame', type: 'float', description: 'Frame number' },
+    { name: 'iFrameRate', type: 'float', description: 'Frames per second' },
+    { name: 'iMouse', type: 'float4', description: 'xy = cursor pixel while dragging, zw = click pixel' },
+    { name: 'iDate', type: 'float4', description: 'Year, month, day, seconds since midnight' }
+  ]
+};
+
+// Vertex outputs the fragment shader reads for each mode
+const MATERIAL_INPUTS = [
+  { name: 'uv', type: 'float2', semantic: 'TEXCOORD0', variable: 'iUV' },
+  { name: 'normal', type: 'float3', semantic: 'NORMAL', variable: 'iNormal' },
+  { name: 'position', type: 'float3', semantic: 'TEXCOORD1', variable: 'iPosition' }
+];
+
+const SHADER_INPUTS = {
+  materialLibrary: MATERIAL_INPUTS,
+  surface: MATERIAL_INPUTS,
+  shaderToy: [
+    { name: 'uv', type: 'float2', semantic: 'TEXCOORD0', variable: 'fragCoord (uv * iResolution.xy)' }
+  ]
+};
+
+// Texture uniforms the shader source uses (channels and multi-pass buffers)
+function getBundleTextures(source) {
+  const channels = findUsedChannels(source).map(i => ({
+    name: `iChannel${i}`, type: 'Texture2D', sampler: `iChannel${i}Sampler`
+  }));
+  const buffers = findUsedBuffers(source).map(name => ({
+    name: `i${name}`, type: 'Texture2D', sampler: `i${name}Sampler`, pass: name
+  }));
+  const channelInfo = channels.length > 0
+    ? [
+      { name: 'iChannelResolution', type: 'float3[4]', description: 'Channel texture sizes in pixels' },
+      { name: 'iChannelTime', type: 'float[4]', description: 'Channel playback time in seconds' }
+    ]
+    : [];
+  return [...channelInfo, ...channels, ...buffers];
+}
+
+// Only the Image pass of a surface mode shader is lit - buffer passes render plain colors
+function getPassMode(mode, passName) {
+  return mode === 'surface' && passName !== 'Image' ? 'materialLibrary' : mode;
+}
+
+// Check the pass list sent by the client, returns an error message or null
+function validateBundlePasses(passes) {
+  if (!Array.isArray(passes) || passes.length === 0 || passes.length > BUFFER_NAMES.length + 1) {
+    return 'passes must list between 1 and 5 passes';
+  }
+  const invalid = passes.find(pass => !pass || !/^\w+$/.test(pass.name) || typeof pass.source !== 'string');
+  return invalid ? 'Every pass needs a name and source' : null;
+}
+
+// Compile the shader to every target and return a zip with the outputs, the
+// Slang source and a manifest. Multi-pass shaders are split by the client and
+// get one file per pass. Targets that fail are listed in the manifest.
+app.post('/api/slang/bundle', async (req, res) => {
+  const {
+    name = 'shader',
+    source,
+    mode = 'materialLibrary',
+    parameterValues = null,
+    passGraph = null
+  } = req.body;
+  const passes = req.body.passes || [{ name: 'Image', source }];
+
+  if (!source) {
+    return res.status(400).json({ success: false, error: 'No source code provided' });
+  }
+  const passError = validateBundlePasses(passes);
+  if (passError) {
+    return res.status(400).json({ success: false, error: passError });
   }
+
+  const signal = createRequestAbortSignal(res);
+  const jobId = getJobId(req);
+  activeJobs.add(jobId);
+
+  const baseName = String(name).trim().replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'shader';
+  const fileName = (passName, extension) => (passes.length > 1 ? `${baseName}_${passName}.${extension}` : `${baseName}.${extension}`);
+
+  try {
+    const results = await Promise.all(BUNDLE_TARGETS.map(async ({ target, folder, extension }) => {
+      const files = [];
+      let parameters = null;
+      for (const pass of passes) {
+        let compiled;
+        try {
+          compiled = await compileSlangSource(
+            {
+              source: pass.source,
+              target,
+              mode: getPassMode(mode, pass.name),
+              forExport: true,
+              parameterValues,
+              // Unity shader and function names have to be unique per pass
+              name: passes.length > 1 ? `${name} ${pass.name}` : name
+            },
+            { jobId, signal }
+          );
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          return { target, error: error.message, pass: pass.name };
+        }
+        if (compiled.status !== 200) {
+          const { error, errors, stage } = compiled.body;
+          return { target, error, errors, stage, pass: pass.name };
+        }
+        parameters = compiled.body.parameters;
+        files.push({
+          name: `${baseName}/${folder}/${fileName(pass.name, extension)}`,
+          data: target === 'spirv' ? Buffer.from(compiled.body.code, 'base64') : compiled.body.code
+        });
+
+        // The vertex offset stage is a file of its own, except for targets that build it in
+        if (pass.name !== 'Image' || COMBINED_STAGE_TARGETS.includes(target) || !splitSourceSections(pass.source).hasVertex) {
+          continue;
+        }
+        let vertex;
+        try {
+          vertex = await compileSlangSource(
+            {
+              source: pass.source,
+              target,
+              mode: getPassMode(mode, pass.name),
+              stage: 'vertex',
+              forExport: true,
+              parameterValues,
+              name: passes.length > 1 ? `${name} ${pass.name}` : name
+            },
+            { jobId, signal }
+          );
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          return { target, error: error.message, pass: pass.name };
+        }
+        if (vertex.status !== 200) {
+          const { error, errors, stage } = vertex.body;
+          return { target, error, errors, stage, pass: pass.name };
+        }
+        files.push({
+          name: `${baseName}/${folder}/${fileName(pass.name, `vertex.${extension}`)}`,
+          data: target === 'spirv' ? Buffer.from(vertex.body.code, 'base64') : vertex.body.code
+        });
+      }
+      return { target, files, parameters };
+    }));
+
+    const parsed = parseMaterialParameters(source);
+    const parameters = results.find(r => r.parameters)?.parameters
+      || applyParameterValues(parsed.parameters, parameterValues);
+
+    const manifest = {
+      name: String(name),
+      createdAt: new Date().toISOString(),
+      mode,
+      source: `${baseName}.slang`,
+      entryPoint: 'fragmentMain',
+      stage: 'fragment',
+      // Vertex offset stage: SV_Position.xyz is the world space offset of the vertex
+      ...(splitSourceSections(source).hasVertex ? { vertexEntryPoint: VERTEX_ENTRY_POINT } : {}),
+      tools: await getToolVersions(),
+      passes: passGraph || passes.map(pass => ({ name: pass.name })),
+      inputs: SHADER_INPUTS[mode] || SHADER_INPUTS.materialLibrary,
+      // Surface mode: the fragment outputs and the SurfaceOutput fields packed in them
+      ...(mode === 'surface'
+        ? {
+          outputs: SURFACE_FIELDS.map(field => ({
+            name: field.name,
+            type: field.type,
+            target: `SV_Target${field.target}`,
+            components: field.swizzle,
+            description: field.description
+          }))
+        }
+        : {}),
+      uniforms: [
+        ...(BUILTIN_UNIFORMS[mode] || BUILTIN_UNIFORMS.materialLibrary),
+        ...getBundleTextures(source),
+        ...parameters.map(p => ({
+          name: p.name,
+          label: p.label,
+          type: p.valueType === 'bool' ? 'int' : p.valueType,
+          parameter: p.kind,
+          default: p.default,
+          ...(p.kind === 'range' ? { min: p.min, max: p.max } : {})
+        }))
+      ],
+      targets: Object.fromEntries(results.map(result => [
+        result.target,
+        result.files
+          ? { status: 'ok', files: result.files.map(file => file.name.slice(baseName.length + 1)) }
+          : {
+            status: 'failed',
+            error: result.error,
+            ...(result.errors ? { errors: result.errors } : {}),
+            ...(result.stage ? { stage: result.stage } : {}),
+            ...(passes.length > 1 ? { pass: result.pass } : {})
+          }
+      ]))
+    };
+
+    const zipFiles = [
+      { name: `${baseName}/${baseName}.slang`, data: source },
+      { name: `${baseName}/manifest.json`, data: JSON.stringify(manifest, null, 2) },
+      ...results.flatMap(result => result.files || [])
+    ];
+    const zip = Buffer.from(zipSync(Object.fromEntries(zipFiles.map(file =>
+      [file.name, Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf-8')]))));
+
+    const failed = results.filter(result => !result.files).map(result => result.target);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${baseName}.zip"`,
+      'X-Bundle-Failed-Targets': failed.join(','),
+      'Access-Control-Expose-Headers': 'Content-Disposition, X-Bundle-Failed-Targets'
+    });
+    res.send(zip);
+  } catch (error) {
+    sendProcessError(res, error);
+  } finally {
+    activeJobs.delete(jobId);
+  }
+});
+
+// =============================================================================
+// COMPILE JOB QUEUE
+// =============================================================================
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ success: true, ...compilePool.stats(), active: activeJobs.size });
+});
+
+// Where a compile request is in the queue, so the client can show its position
+app.get('/api/jobs/:id', (req, res) => {
+  const status = compilePool.getJobStatus(req.params.id)
+    || (activeJobs.has(req.params.id) ? { state: 'running', position: 0 } : null);
+  if (!status) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, id: req.params.id, ...status });
 });
 
 // List available compilation targets
@@ -849,6 +3249,13 @@ app.get('/api/slang/targets', (req, res) => {
     targets: [
       { id: 'glsl', name: 'GLSL', description: 'OpenGL Shading Language (WebGL/OpenGL)' },
       { id: 'hlsl', name: 'HLSL', description: 'High-Level Shading Language (DirectX)' },
+      { id: 'unrealHlsl', name: 'Unreal', description: 'Custom node code (Unreal Engine)' },
+      { id: 'unrealGraph', name: 'Unreal Material Graph', description: 'Material Editor clipboard text with the Custom node and its inputs wired up (Unreal Engine)' },
+      { id: 'unrealFunction', name: 'Unreal Material Function', description: 'Material Function clipboard text with Function Inputs and Output (Unreal Engine)' },
+      { id: 'unityShader', name: 'Unity', description: 'Unlit ShaderLab shader, Standard surface shader in Surface mode (Unity)' },
+      { id: 'unityShaderGraph', name: 'Unity Shader Graph', description: 'Custom Function node file (Unity Shader Graph)' },
+      { id: 'godotSpatial', name: 'Godot', description: 'Spatial shader for 3D materials (Godot 4)' },
+      { id: 'godotCanvasItem', name: 'Godot 2D', description: 'Canvas item shader for 2D nodes (Godot 4)' },
       { id: 'spirv', name: 'SPIR-V', description: 'Standard Portable Intermediate Representation (Vulkan)' },
       { id: 'wgsl', name: 'WGSL', description: 'WebGPU Shading Language' },
       { id: 'metal', name: 'Metal', description: 'Metal Shading Language (Apple)' }
@@ -856,10 +3263,273 @@ app.get('/api/slang/targets', (req, res) => {
   });
 });
 
+// ============================================================================
+// SAVED SHADER ENDPOINTS
+// ============================================================================
+
+const shaderStore = createShaderStore(SHADER_STORE_DIR);
+
+// List saved shaders (summaries without code)
+app.get('/api/shaders', (req, res) => {
+  try {
+    res.json({ success: true, shaders: shaderStore.list() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a saved shader
+app.get('/api/shaders/:id', (req, res) => {
+  const shader = shaderStore.get(req.params.id);
+  if (!shader) {
+    return res.status(404).json({ success: false, error: 'Shader not found' });
+  }
+  res.json({ success: true, shader });
+});
+
+// Create a saved shader
+app.post('/api/shaders', (req, res) => {
+  try {
+    const result = shaderStore.create(req.body || {});
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.status(201).json({ success: true, shader: result.shader });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a saved shader
+app.put('/api/shaders/:id', (req, res) => {
+  try {
+    const result = shaderStore.update(req.params.id, req.body || {});
+    if (result.notFound) {
+      return res.status(404).json({ success: false, error: 'Shader not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, shader: result.shader });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a saved shader
+app.delete('/api/shaders/:id', (req, res) => {
+  try {
+    if (!shaderStore.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Shader not found' });
+    }
+    revisionStore.remove('saved', req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// REVISION HISTORY ENDPOINTS
+// ============================================================================
+
+const revisionStore = createRevisionStore(REVISION_STORE_DIR);
+
+// Revisions can only be recorded for a library file or saved shader that exists -
+// unknown scopes are left to the store, which rejects them
+function revisionOwnerExists(scope, id) {
+  if (scope === 'library') return /^[\w-]+$/.test(id) && fs.existsSync(path.join(LIBRARY_DIR, `${id}.slang`));
+  if (scope === 'saved') return Boolean(shaderStore.get(id));
+  return true;
+}
+
+// Revision timeline of a shader (scope is 'library' or 'saved'), newest first
+app.get('/api/revisions/:scope/:id', (req, res) => {
+  try {
+    const revisions = revisionStore.list(req.params.scope, req.params.id);
+    if (!revisions) {
+      return res.status(400).json({ success: false, error: 'Invalid shader id' });
+    }
+    res.json({ success: true, revisions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get one revision, including its code
+app.get('/api/revisions/:scope/:id/:revision', (req, res) => {
+  const revision = revisionStore.get(req.params.scope, req.params.id, Number(req.params.revision));
+  if (!revision) {
+    return res.status(404).json({ success: false, error: 'Revision not found' });
+  }
+  res.json({ success: true, revision });
+});
+
+// Snapshot the code after a successful compile or a save
+app.post('/api/revisions/:scope/:id', (req, res) => {
+  if (!revisionOwnerExists(req.params.scope, req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Shader not found' });
+  }
+  try {
+    const result = revisionStore.add(req.params.scope, req.params.id, req.body || {});
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.status(result.created ? 201 : 200).json({ success: true, revision: result.revision, created: result.created });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// SHARE LINK ENDPOINTS
+// ============================================================================
+
+const shareStore = createShareStore(SHARE_STORE_DIR);
+
+// Store a compressed share payload, returns the short link id
+app.post('/api/share', (req, res) => {
+  try {
+    const result = shareStore.create((req.body || {}).payload);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.status(201).json({ success: true, id: result.id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the payload behind a short link
+app.get('/api/share/:id', (req, res) => {
+  const share = shareStore.get(req.params.id);
+  if (!share) {
+    return res.status(404).json({ success: false, error: 'Share link not found' });
+  }
+  res.json({ success: true, payload: share.payload });
+});
+
+// ============================================================================
+// THUMBNAIL ENDPOINTS
+// ============================================================================
+
+// Thumbnails are uploaded as raw PNG bodies
+const pngBody = express.raw({ type: 'image/png', limit: '5mb' });
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function isPng(body) {
+  return Buffer.isBuffer(body) && body.length > PNG_SIGNATURE.length &&
+    body.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+}
+
+// Get a saved shader's thumbnail
+app.get('/api/shaders/:id/thumbnail', (req, res) => {
+  const file = shaderStore.getThumbnailPath(req.params.id);
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'Thumbnail not found' });
+  }
+  res.sendFile(file);
+});
+
+// Store a saved shader's thumbnail
+app.put('/api/shaders/:id/thumbnail', pngBody, (req, res) => {
+  if (!isPng(req.body)) {
+    return res.status(400).json({ success: false, error: 'Thumbnail must be a PNG image' });
+  }
+  try {
+    const shader = shaderStore.saveThumbnail(req.params.id, req.body);
+    if (!shader) {
+      return res.status(404).json({ success: false, error: 'Shader not found' });
+    }
+    res.json({ success: true, thumbnailUpdatedAt: shader.thumbnailUpdatedAt });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replace a library shader's thumbnail in public/images/thumbnails (named after the .slang file).
+// Dev-only: the file is written into the source tree, which the Vite dev server serves and the
+// build copies in - a deployed frontend only shows the new image after it is rebuilt and committed
+app.put('/api/library/thumbnails/:name', requireAdmin, pngBody, (req, res) => {
+  const { name } = req.params;
+  if (!/^[\w-]+$/.test(name) || !fs.existsSync(path.join(LIBRARY_DIR, `${name}.slang`))) {
+    return res.status(404).json({ success: false, error: 'Library shader not found' });
+  }
+  if (!isPng(req.body)) {
+    return res.status(400).json({ success: false, error: 'Thumbnail must be a PNG image' });
+  }
+  try {
+    fs.mkdirSync(LIBRARY_THUMBNAIL_DIR, { recursive: true });
+    fs.writeFileSync(path.join(LIBRARY_THUMBNAIL_DIR, `${name}.png`), req.body);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// PREVIEW MESH ENDPOINTS
+// ============================================================================
+
+// Models for the preview are uploaded as the raw glTF, GLB or OBJ file
+const meshBody = express.raw({ type: 'application/octet-stream', limit: '20mb' });
+const MESH_FORMATS = ['glb', 'gltf', 'obj'];
+
+// Check that the file looks like the format it claims, returns an error message or null
+function validateMeshFile(body, format) {
+  if (!Buffer.isBuffer(body) || body.length === 0) return 'Model file is empty';
+  switch (format) {
+    case 'glb':
+      return body.subarray(0, 4).toString('latin1') === 'glTF' ? null : 'Not a binary glTF (.glb) file';
+    case 'gltf':
+      try {
+        return JSON.parse(body.toString('utf-8')).asset ? null : 'glTF file has no asset section';
+      } catch (e) {
+        return 'glTF file is not valid JSON';
+      }
+    case 'obj':
+      return body.includes(0) ? 'OBJ file must be text' : null;
+    default:
+      return `Model format must be one of: ${MESH_FORMATS.join(', ')}`;
+  }
+}
+
+// Get a saved shader's preview model
+app.get('/api/shaders/:id/mesh', (req, res) => {
+  const file = shaderStore.getMeshPath(req.params.id);
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'Mesh not found' });
+  }
+  res.type('application/octet-stream').sendFile(file);
+});
+
+// Store a saved shader's preview model (?format=glb|gltf|obj&name=<original file name>)
+app.put('/api/shaders/:id/mesh', meshBody, (req, res) => {
+  const format = String(req.query.format || '');
+  const error = validateMeshFile(req.body, format);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const fileName = String(req.query.name || `model.${format}`).slice(0, 200);
+  try {
+    const shader = shaderStore.saveMesh(req.params.id, req.body, { fileName, format });
+    if (!shader) {
+      return res.status(404).json({ success: false, error: 'Shader not found' });
+    }
+    res.json({ success: true, customMesh: shader.customMesh });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Shader conversion server running on port ${PORT}`);
   console.log(`Using glslangValidator: ${GLSLANG_PATH}`);
   console.log(`Using spirv-cross: ${SPIRV_CROSS_PATH}`);
   console.log(`Using slangc: ${SLANG_PATH}`);
+  console.log(`Saved shaders: ${SHADER_STORE_DIR}`);
+  console.log(`Share links: ${SHARE_STORE_DIR}`);
+  console.log(`Revision history: ${REVISION_STORE_DIR}`);
+  console.log(`Compile cache: ${compileCache ? COMPILE_CACHE_DIR : 'disabled'}`);
 });
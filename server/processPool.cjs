@@ -0,0 +1,144 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+function createAbortError() {
+  const error = new Error('Job was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Run a process without blocking the event loop. Resolves with
+// { code, signal, stdout, stderr } when it exits, whatever the exit code, and
+// rejects when it can't be started, times out, overflows maxBuffer or is aborted.
+function runProcess(file, args, { timeout = 30000, maxBuffer = 1024 * 1024, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const child = spawn(file, args, { windowsHide: true });
+    const stdout = [];
+    const stderr = [];
+    let outputSize = 0;
+    let settled = false;
+
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+
+    const kill = (error) => {
+      child.kill('SIGKILL');
+      finish(reject, error);
+    };
+
+    const onAbort = () => kill(createAbortError());
+
+    const timer = setTimeout(() => {
+      const error = new Error(`${path.basename(file)} timed out after ${timeout / 1000}s`);
+      error.code = 'ETIMEDOUT';
+      kill(error);
+    }, timeout);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const collect = (chunks) => (chunk) => {
+      outputSize += chunk.length;
+      if (outputSize > maxBuffer) {
+        const error = new Error(`${path.basename(file)} produced more than ${maxBuffer} bytes of output`);
+        error.code = 'ENOBUFS';
+        kill(error);
+        return;
+      }
+      chunks.push(chunk);
+    };
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+
+    child.on('error', (error) => finish(reject, error));
+    child.on('close', (code, exitSignal) => finish(resolve, {
+      code,
+      signal: exitSignal,
+      stdout: Buffer.concat(stdout).toString(),
+      stderr: Buffer.concat(stderr).toString()
+    }));
+  });
+}
+
+// Queue of processes with at most `concurrency` running at once. Jobs can be
+// tagged with a jobId so clients can ask where their request is in the queue.
+function createProcessPool({ concurrency }) {
+  const queue = [];
+  const runningJobs = new Map(); // jobId -> number of running processes
+  let running = 0;
+
+  const trackRunning = (jobId, delta) => {
+    if (!jobId) return;
+    const count = (runningJobs.get(jobId) || 0) + delta;
+    if (count > 0) runningJobs.set(jobId, count);
+    else runningJobs.delete(jobId);
+  };
+
+  const next = () => {
+    while (running < concurrency && queue.length > 0) {
+      const job = queue.shift();
+      if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+
+      running++;
+      trackRunning(job.jobId, 1);
+      runProcess(job.file, job.args, job.options)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          running--;
+          trackRunning(job.jobId, -1);
+          next();
+        });
+    }
+  };
+
+  return {
+    // Same options as runProcess, plus an optional jobId
+    run(file, args, options = {}) {
+      const { jobId, ...processOptions } = options;
+      const { signal } = processOptions;
+
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(createAbortError());
+          return;
+        }
+
+        const job = { file, args, options: processOptions, jobId, signal, resolve, reject };
+
+        // Cancelling a queued job just takes it out of the queue
+        job.onAbort = () => {
+          const index = queue.indexOf(job);
+          if (index === -1) return;
+          queue.splice(index, 1);
+          reject(createAbortError());
+        };
+        if (signal) signal.addEventListener('abort', job.onAbort, { once: true });
+
+        queue.push(job);
+        next();
+      });
+    },
+
+    // { state: 'running' } or { state: 'queued', position } (1 = next to run), null if unknown
+    getJobStatus(jobId) {
+      if (runningJobs.has(jobId)) return { state: 'running', position: 0 };
+      const index = queue.findIndex(job => job.jobId === jobId);
+      return index === -1 ? null : { state: 'queued', position: index + 1 };
+    },
+
+    stats() {
+      return { concurrency, running, queued: queue.length };
+    }
+  };
+}
+
+module.exports = { createProcessPool, runProcess };
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+// Revision history of shader code, one JSON file per shader.
+//
+// Histories are grouped by scope: 'library' for the bundled shaders (keyed by
+// file name) and 'saved' for saved shaders (keyed by shader id). A revision is
+// only added when the code differs from the newest one, and the oldest
+// revisions are dropped past MAX_REVISIONS.
+
+const SCOPES = ['library', 'saved'];
+const REASONS = ['compile', 'save'];
+const ID_PATTERN = /^[\w-]+$/;
+const MAX_REVISIONS = 200;
+
+// Revision without its code, for the timeline
+function summarize({ code, parameterValues, ...summary }) {
+  return { ...summary, lineCount: code.split('\n').length };
+}
+
+function createRevisionStore(directory) {
+  const fileFor = (scope, id) => {
+    if (!SCOPES.includes(scope) || !ID_PATTERN.test(id)) return null;
+    return path.join(directory, scope, `${id}.json`);
+  };
+
+  const read = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+      return { nextId: 1, revisions: [] };
+    }
+  };
+
+  return {
+    // Revision summaries, newest first - null for an invalid scope or id
+    list(scope, id) {
+      const file = fileFor(scope, id);
+      if (!file) return null;
+      return read(file).revisions.map(summarize).reverse();
+    },
+
+    get(scope, id, revisionId) {
+      const file = fileFor(scope, id);
+      if (!file) return null;
+      return read(file).revisions.find(revision => revision.id === revisionId) || null;
+    },
+
+    add(scope, id, data) {
+      const file = fileFor(scope, id);
+      if (!file) return { error: 'Invalid shader id' };
+      if (typeof data.code !== 'string' || data.code.trim() === '') return { error: 'Revision code is required' };
+      if (!REASONS.includes(data.reason)) return { error: `Revision reason must be one of: ${REASONS.join(', ')}` };
+
+      const history = read(file);
+      const latest = history.revisions[history.revisions.length - 1];
+
+      // Same code again - a save only upgrades the newest revision
+      if (latest && latest.code === data.code) {
+        if (data.reason !== 'save' || latest.reason === 'save') return { revision: summarize(latest), created: false };
+        latest.reason = 'save';
+      } else {
+        history.revisions.push({
+          id: history.nextId++,
+          reason: data.reason,
+          code: data.code,
+          meshType: data.meshType,
+          parameterValues: data.parameterValues,
+          createdAt: new Date().toISOString()
+        });
+        history.revisions = history.revisions.slice(-MAX_REVISIONS);
+      }
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tempFile = `${file}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(history));
+      fs.renameSync(tempFile, file);
+
+      const revision = history.revisions[history.revisions.length - 1];
+      return { revision: summarize(revision), created: revision !== latest };
+    },
+
+    remove(scope, id) {
+      const file = fileFor(scope, id);
+      if (file) fs.rmSync(file, { force: true });
+    }
+  };
+}
+
+module.exports = { createRevisionStore };
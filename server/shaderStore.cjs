@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Fields a client may set on a saved shader (author, tags, description and
+// license mirror the metadata header in the code so the gallery can list them)
+const EDITABLE_FIELDS = [
+  'name', 'code', 'meshType', 'parameterValues', 'channels',
+  'author', 'tags', 'description', 'license'
+];
+
+const ID_PATTERN = /^[a-z0-9-]+$/;
+
+// Build a readable, unique id from the shader name, e.g. "my-fire-3fa9c2"
+function createShaderId(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'shader';
+  return `${slug}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Check a create/update payload, returns an error message or null
+function validateShader(data, partial) {
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') return 'Shader name is required';
+    if (data.name.length > 100) return 'Shader name must be 100 characters or less';
+  }
+  if (!partial || data.code !== undefined) {
+    if (typeof data.code !== 'string' || data.code.trim() === '') return 'Shader code is required';
+  }
+  return null;
+}
+
+// Copy the editable fields from a request body
+function pickEditableFields(data) {
+  const result = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) result[field] = data[field];
+  }
+  if (typeof result.name === 'string') result.name = result.name.trim();
+  if (result.tags !== undefined && !Array.isArray(result.tags)) result.tags = [];
+  return result;
+}
+
+// Saved user shaders, stored as one JSON file per shader in `directory`
+function createShaderStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const fileFor = (id) => path.join(directory, `${id}.json`);
+  const thumbnailFor = (id) => path.join(directory, `${id}.png`);
+  const meshFor = (id) => path.join(directory, `${id}.mesh`);
+
+  const read = (id) => {
+    if (!ID_PATTERN.test(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(id), 'utf-8'));
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const write = (shader) => {
+    // Write to a temp file first so a crash never leaves a half-written shader
+    const tempFile = `${fileFor(shader.id)}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(shader, null, 2));
+    fs.renameSync(tempFile, fileFor(shader.id));
+  };
+
+  return {
+    // Summaries of every saved shader, most recently updated first
+    list() {
+      return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .map(file => read(file.slice(0, -'.json'.length)))
+        .filter(Boolean)
+        .map(({ code, channels, parameterValues, ...summary }) => summary)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    get(id) {
+      return read(id);
+    },
+
+    create(data) {
+      const error = validateShader(data, false);
+      if (error) return { error };
+
+      const now = new Date().toISOString();
+      const shader = {
+        id: createShaderId(data.name),
+        ...pickEditableFields(data),
+        createdAt: now,
+        updatedAt: now
+      };
+      write(shader);
+      return { shader };
+    },
+
+    update(id, data) {
+      const existing = read(id);
+      if (!existing) return { notFound: true };
+
+      const error = validateShader(data, true);
+      if (error) return { error };
+
+      const shader = {
+        ...existing,
+        ...pickEditableFields(data),
+        updatedAt: new Date().toISOString()
+      };
+      write(shader);
+      return { shader };
+    },
+
+    remove(id) {
+      if (!read(id)) return false;
+      fs.rmSync(fileFor(id), { force: true });
+      fs.rmSync(thumbnailFor(id), { force: true });
+      fs.rmSync(meshFor(id), { force: true });
+      return true;
+    },
+
+    // Path of the shader's PNG thumbnail, or null if none was captured
+    getThumbnailPath(id) {
+      if (!read(id)) return null;
+      const file = thumbnailFor(id);
+      return fs.existsSync(file) ? file : null;
+    },
+
+    // Store a PNG thumbnail, thumbnailUpdatedAt lets clients bust their image cache
+    saveThumbnail(id, png) {
+      const existing = read(id);
+      if (!existing) return null;
+
+      fs.writeFileSync(thumbnailFor(id), png);
+      const shader = { ...existing, thumbnailUpdatedAt: new Date().toISOString() };
+      write(shader);
+      return shader;
+    },
+
+    // Path of the shader's uploaded preview model, or null if it has none
+    getMeshPath(id) {
+      const shader = read(id);
+      if (!shader || !shader.customMesh) return null;
+      const file = meshFor(id);
+      return fs.existsSync(file) ? file : null;
+    },
+
+    // Store a preview model (glTF, GLB or OBJ file), customMesh records its name and format
+    saveMesh(id, data, { fileName, format }) {
+      const existing = read(id);
+      if (!existing) return null;
+
+      fs.writeFileSync(meshFor(id), data);
+      const shader = {
+        ...existing,
+        customMesh: { fileName, format, size: data.length, updatedAt: new Date().toISOString() }
+      };
+      write(shader);
+      return shader;
+    }
+  };
+}
+
+module.exports = { createShaderStore };
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Short links for shared shaders whose payload is too big for a URL.
+//
+// The payload is the same compressed string the client would put in the URL,
+// the server stores it as is. Ids are derived from the payload, so sharing the
+// same shader twice gives the same link.
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{10}$/;
+const PAYLOAD_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MAX_PAYLOAD_LENGTH = 512 * 1024;
+
+function createShareId(payload) {
+  return crypto.createHash('sha256').update(payload).digest('base64url').slice(0, 10);
+}
+
+function createShareStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const fileFor = (id) => path.join(directory, `${id}.json`);
+
+  return {
+    get(id) {
+      if (!ID_PATTERN.test(id)) return null;
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(id), 'utf-8'));
+      } catch (e) {
+        return null;
+      }
+    },
+
+    create(payload) {
+      if (typeof payload !== 'string' || !PAYLOAD_PATTERN.test(payload)) {
+        return { error: 'Share payload must be a base64url string' };
+      }
+      if (payload.length > MAX_PAYLOAD_LENGTH) {
+        return { error: `Share payload must be ${MAX_PAYLOAD_LENGTH} characters or less` };
+      }
+
+      const id = createShareId(payload);
+      const file = fileFor(id);
+      if (!fs.existsSync(file)) {
+        const tempFile = `${file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ id, payload, createdAt: new Date().toISOString() }));
+        fs.renameSync(tempFile, file);
+      }
+      return { id };
+    }
+  };
+}
+
+module.exports = { createShareStore };
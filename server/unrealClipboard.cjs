@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+// Unreal Material Editor clipboard text (T3D).
+//
+// Copying nodes in the Material Editor puts one "Begin Object" block per graph
+// node on the clipboard: the MaterialGraphNode, the material expression inside
+// it and its pins. Links are stored on the pins (LinkedTo on both ends) and on
+// the expression inputs. Pasting text in the same shape recreates the nodes
+// with their connections; Unreal assigns fresh GUIDs on paste.
+
+function createGuid() {
+  return crypto.randomBytes(16).toString('hex').toUpperCase();
+}
+
+// Escape a string for a quoted T3D property value
+function quoteT3d(text) {
+  const escaped = String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/\t/g, '\\t');
+  return `"${escaped}"`;
+}
+
+function formatPin(pin) {
+  const links = pin.links.map(link => `${link.node.graphName} ${link.pin.id},`).join('');
+  return [
+    `PinId=${pin.id}`,
+    `PinName=${quoteT3d(pin.name)}`,
+    ...(pin.output ? ['Direction="EGPD_Output"'] : []),
+    `PinType.PinCategory=${quoteT3d(pin.category)}`,
+    'PinType.PinSubCategory=""',
+    'PinType.PinSubCategoryObject=None',
+    'PinType.PinSubCategoryMemberReference=()',
+    'PinType.PinValueType=()',
+    'PinType.ContainerType=None',
+    'PinType.bIsReference=False',
+    'PinType.bIsConst=False',
+    'PinType.bIsWeakPointer=False',
+    'PinType.bIsUObjectWrapper=False',
+    ...(links ? [`LinkedTo=(${links})`] : []),
+    'PersistentGuid=00000000000000000000000000000000',
+    'bHidden=False',
+    'bNotConnectable=False',
+    'bDefaultValueIsReadOnly=False',
+    'bDefaultValueIsIgnored=False',
+    'bAdvancedView=False',
+    'bOrphanedPin=False'
+  ].join(',') + ',';
+}
+
+// Material graph under construction. Nodes are added with their expression
+// properties and pins, then connected output pin -> input pin.
+function createMaterialGraph() {
+  const nodes = [];
+  const classCounts = {};
+
+  return {
+    // inputs: [{ name, property }] where property(link) returns the expression
+    // property line for a connected input, e.g. `A=${link}`
+    add(className, { x = 0, y = 0, properties = [], inputs = [], outputs = [''] } = {}) {
+      const index = classCounts[className] || 0;
+      classCounts[className] = index + 1;
+
+      const node = {
+        className,
+        graphName: `MaterialGraphNode_${nodes.length}`,
+        expressionName: `${className}_${index}`,
+        x,
+        y,
+        properties,
+        inputs: inputs.map(input => ({ ...input, id: createGuid(), category: 'required', links: [], output: false })),
+        outputs: outputs.map(name => ({
+          name,
+          id: createGuid(),
+          category: ['R', 'G', 'B', 'A'].includes(name) ? 'mask' : '',
+          links: [],
+          output: true
+        }))
+      };
+      nodes.push(node);
+      return node;
+    },
+
+    connect(source, outputIndex, target, inputName) {
+      const output = source.outputs[outputIndex];
+      const input = target.inputs.find(pin => pin.name === inputName);
+      if (!output || !input) throw new Error(`Cannot connect ${source.expressionName} to ${target.expressionName}.${inputName}`);
+      output.links.push({ node: target, pin: input });
+      input.links.push({ node: source, pin: output });
+      input.source = { node: source, outputIndex };
+    },
+
+    toString() {
+      return nodes.map(node => {
+        const expressionPath = `${node.className}'"${node.expressionName}"'`;
+        const inputProperties = node.inputs
+          .filter(input => input.source)
+          .map(input => {
+            const { node: source, outputIndex } = input.source;
+            const link = `(Expression=${source.className}'"${source.expressionName}"'${outputIndex > 0 ? `,OutputIndex=${outputIndex}` : ''})`;
+            return input.property(link);
+          });
+
+        return [
+          `Begin Object Class=/Script/UnrealEd.MaterialGraphNode Name="${node.graphName}"`,
+          `   Begin Object Class=/Script/Engine.${node.className} Name="${node.expressionName}"`,
+          '   End Object',
+          `   Begin Object Name="${node.expressionName}"`,
+          ...[...inputProperties, ...node.properties].map(line => `      ${line}`),
+          `      MaterialExpressionEditorX=${node.x}`,
+          `      MaterialExpressionEditorY=${node.y}`,
+          `      MaterialExpressionGuid=${createGuid()}`,
+          '   End Object',
+          `   MaterialExpression=${expressionPath}`,
+          `   NodePosX=${node.x}`,
+          `   NodePosY=${node.y}`,
+          `   NodeGuid=${createGuid()}`,
+          ...[...node.inputs, ...node.outputs].map(pin => `   CustomProperties Pin (${formatPin(pin)})`),
+          'End Object'
+        ].join('\n');
+      }).join('\n');
+    }
+  };
+}
+
+module.exports = { createMaterialGraph, createGuid, quoteT3d };
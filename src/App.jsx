@@ -1,6 +1,7 @@
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import Gallery from './components/Gallery'
 import Editor from './components/Editor'
+import ThumbnailBatch from './components/ThumbnailBatch'
 
 export default function App() {
   return (
@@ -9,6 +10,10 @@ export default function App() {
         <Route path="/" element={<Gallery />} />
         <Route path="/editor" element={<Editor />} />
         <Route path="/editor/:id" element={<Editor />} />
+        <Route path="/share" element={<Editor />} />
+        <Route path="/share/:shareId" element={<Editor />} />
+        {/* Library thumbnails live in the source tree, so they are only regenerated in dev */}
+        {import.meta.env.DEV && <Route path="/thumbnails" element={<ThumbnailBatch />} />}
       </Routes>
     </BrowserRouter>
   )
@@ -0,0 +1,66 @@
+import { useRef } from 'react'
+import { BUILTIN_TEXTURES, getChannelUrl, readImageChannel } from '../utils/channelTextures'
+
+function ChannelSlot({ index, channel, onChange }) {
+  const fileInputRef = useRef()
+  const url = getChannelUrl(channel)
+
+  const handleSelect = (e) => {
+    const value = e.target.value
+    if (value === 'none') {
+      onChange(index, null)
+    } else if (value === 'upload') {
+      fileInputRef.current.click()
+    } else {
+      onChange(index, { type: 'builtin', id: value })
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      onChange(index, await readImageChannel(file))
+    } catch (err) {
+      console.error('Failed to read image:', err)
+    }
+  }
+
+  const selectValue = !channel ? 'none' : (channel.type === 'builtin' ? channel.id : 'image')
+
+  return (
+    <div className="channel-slot">
+      <div className="channel-preview">
+        {url ? <img src={url} alt={`iChannel${index}`} /> : <span>None</span>}
+      </div>
+      <span className="channel-label">iChannel{index}</span>
+      <select className="channel-select" value={selectValue} onChange={handleSelect}>
+        <option value="none">None</option>
+        {BUILTIN_TEXTURES.map(t => (
+          <option key={t.id} value={t.id}>{t.name}</option>
+        ))}
+        {channel?.type === 'image' && <option value="image">{channel.name || 'Image'}</option>}
+        <option value="upload">Upload image...</option>
+      </select>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        style={{ display: 'none' }}
+        onChange={handleFile}
+      />
+    </div>
+  )
+}
+
+// iChannel0-3 texture inputs
+export default function ChannelPanel({ channels, onChange }) {
+  return (
+    <div className="channel-panel">
+      {channels.map((channel, i) => (
+        <ChannelSlot key={i} index={i} channel={channel} onChange={onChange} />
+      ))}
+    </div>
+  )
+}
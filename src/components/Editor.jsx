@@ -1,10 +1,41 @@
-import { useState, useCallback, useEffect, useRef } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react'
+import { useParams, useNavigate, useLocation } from 'react-router-dom'
 import Viewer from './Viewer'
 import ShaderEditor from './ShaderEditor'
 import ExportModal from './ExportModal'
+import RecorderModal from './RecorderModal'
+import ParameterPanel from './ParameterPanel'
+import ChannelPanel from './ChannelPanel'
+import ProblemsPanel from './ProblemsPanel'
+import RevisionPanel from './RevisionPanel'
 import { getShaderById } from '../shaders'
-import { compileSlang, isSlangAvailable } from '../utils/shaderApi'
+import {
+  compileSlangPasses,
+  isSlangAvailable,
+  getSavedShader,
+  createSavedShader,
+  updateSavedShader,
+  uploadSavedThumbnail,
+  uploadLibraryThumbnail,
+  uploadSavedMesh,
+  getSavedMesh,
+  getShareLink,
+  addRevision
+} from '../utils/shaderApi'
+import { createEmptyChannels } from '../utils/channelTextures'
+import { parseShaderMetadata } from '../utils/shaderMetadata'
+import {
+  BUILTIN_MESHES,
+  MESH_FILE_ACCEPT,
+  MAX_MESH_FILE_SIZE,
+  getMeshFormat,
+  parseMeshFile,
+  disposeGeometries,
+  getRememberedMeshType,
+  rememberMeshType
+} from '../utils/meshes'
+import { createShareUrl, decodeSharePayload } from '../utils/shareLink'
+import { fromSlangDiagnostics, fromCompileError, findSourceLine } from '../utils/diagnostics'
 import slangLogo from '../img/Slang_logo.png'
 
 // Default Slang code - simple starter template
@@ -17,12 +48,41 @@ float iFrameRate (Frames rendered per second)
 float2 iUV (Texture coordinates)
 float3 iNormal (Surface normal)
 float3 iPosition (Vertex position in local space)
+Texture2D iChannel0..3 (Input textures, sample with iChannel0.Sample(iChannel0Sampler, uv))
+float3 iChannelResolution[4] (Input texture size in pixels)
+float4 iMouse (xy = cursor pixel while dragging, zw = click pixel)
+float4 iDate (Year, month, day, seconds since midnight)
 */
 
 /*Output Variable
 float4 fragColor (The RGBA color output)
 */
 
+/*Material Parameters (shown as sliders in the preview)
+[Param] float Name = 1.0;
+[Range(0.0, 1.0)] float Name = 0.5;
+[Color] float3 Name = float3(1.0, 1.0, 1.0);
+[Param] float2/float3/float4 Name = float2(0.0, 0.0);
+[Param] bool Name = false;
+*/
+
+/*Multi-pass (optional)
+// @pass BufferA ... // @pass BufferD  (render into buffers, read with iBufferA.Sample(iBufferASampler, uv))
+// @pass Image                         (final pass drawn on the mesh)
+*/
+
+/*Sections
+// @global  (functions, structs and constants placed outside main)
+// @main    (code that runs inside main - the default)
+// @vertex  (runs per vertex: set float3 offset to move it in world space)
+*/
+
+/*Gallery Metadata (optional /** doc comment at the very top of the file)
+@title, @author, @tags (comma separated), @description, @license,
+@mesh (sphere, cube, plane, torusknot or character),
+@mode materialLibrary | surface | shaderToy  (code wrapper - surface fills a SurfaceOutput for lit PBR)
+*/
+
 // Simple gradient based on UV
 float3 color = float3(iUV.x, iUV.y, 0.5);
 
@@ -36,6 +96,34 @@ color *= light;
 // Output (required)
 fragColor = float4(color, 1.0);`
 
+// Pause after the last keystroke before a live compile starts (ms)
+const LIVE_COMPILE_DELAY = 500
+
+// A stored value can be reused if it has the same shape as the parameter's default
+function isCompatibleValue(value, param) {
+  if (Array.isArray(param.default)) {
+    return Array.isArray(value) && value.length === param.default.length
+  }
+  return typeof value === typeof param.default
+}
+
+// Keep slider values across recompiles when a parameter keeps its name and type.
+// Values without a previous definition (e.g. loaded from a saved shader) are kept if they fit.
+function mergeParameterValues(parameters, previousValues, previousParameters) {
+  const values = {}
+  for (const param of parameters) {
+    const previous = previousParameters.find(p => p.name === param.name)
+    const changed = previous && (
+      previous.valueType !== param.valueType ||
+      JSON.stringify(previous.default) !== JSON.stringify(param.default)
+    )
+    values[param.name] = !changed && param.name in previousValues && isCompatibleValue(previousValues[param.name], param)
+      ? previousValues[param.name]
+      : param.default
+  }
+  return values
+}
+
 // Compilation status enum
 const CompileStatus = {
   READY: 'ready',
@@ -45,20 +133,73 @@ const CompileStatus = {
 }
 
 export default function Editor() {
-  const { id } = useParams()
+  const { id, shareId } = useParams()
   const navigate = useNavigate()
+  const location = useLocation()
   const [meshType, setMeshType] = useState('sphere')
   const [userCode, setUserCode] = useState(DEFAULT_SLANG_CODE)
   const [shaderName, setShaderName] = useState('New Shader')
+  const [mode, setMode] = useState('materialLibrary') // Mode stored with the loaded shader, used when the code has no @mode line
   const [error, setError] = useState(null)
+  // Code wrapper used by the compiler ('materialLibrary', 'surface' or 'shaderToy'): the
+  // header's @mode line, else the stored mode
+  const compileMode = useMemo(() => parseShaderMetadata(userCode).mode || mode, [userCode, mode])
+
+  // Diagnostics from the last compile and from the WebGL shader compile in the preview
+  const [compileDiagnostics, setCompileDiagnostics] = useState([])
+  const [webglDiagnostics, setWebglDiagnostics] = useState([])
+  const diagnostics = useMemo(() => [...compileDiagnostics, ...webglDiagnostics], [compileDiagnostics, webglDiagnostics])
+  const compiledSourceRef = useRef('') // Source of the code currently in the preview
+  const shaderEditorRef = useRef(null)
   const [showExport, setShowExport] = useState(false)
   const [fps, setFps] = useState(0)
+  const [mouseMode, setMouseMode] = useState(false) // Drag on preview drives iMouse instead of the camera
+
+  // Model shown when meshType is 'custom': { fileName, format, data, geometries, savedFor }
+  // savedFor is the saved shader id the file is already stored with
+  const [customMesh, setCustomMesh] = useState(null)
+  const [meshLoading, setMeshLoading] = useState(false)
+  const [meshDragOver, setMeshDragOver] = useState(false)
+  const meshRequestRef = useRef(0) // Bumped per model load so a stale one is dropped
+  const meshInputRef = useRef(null)
+
+  // Saved shader state - savedId is set when editing a shader stored on the server
+  const [savedId, setSavedId] = useState(null)
+  const [savedCode, setSavedCode] = useState(DEFAULT_SLANG_CODE)
+  const [isSaving, setIsSaving] = useState(false)
+  const loadedIdRef = useRef(null) // Route id whose shader is currently in the editor
+  const [libraryFile, setLibraryFile] = useState(null) // File name when editing a library shader
+
+  // Thumbnail capture - the Viewer fills captureRef with a function returning a PNG blob
+  const captureRef = useRef(null)
+  // Recording - the Viewer fills recorderRef with a function that starts an off-screen recording
+  const recorderRef = useRef(null)
+  const [showRecorder, setShowRecorder] = useState(false)
+  const [thumbnailStatus, setThumbnailStatus] = useState(null) // null, 'capturing' or 'captured'
+  const [shareStatus, setShareStatus] = useState(null) // null, 'sharing' or 'copied'
+
+  // Revision history
+  const [showHistory, setShowHistory] = useState(false)
+  const [revisionCount, setRevisionCount] = useState(0) // Bumped after each snapshot so the timeline reloads
+  const [revisionPreview, setRevisionPreview] = useState(null) // Earlier revision shown in the viewer: { revision, code, vertexCode, bufferPasses, parameters, parameterValues }
 
   // Slang compilation state
   const [compileStatus, setCompileStatus] = useState(CompileStatus.READY)
   const [compiledGlsl, setCompiledGlsl] = useState(null) // Compiled GLSL from Slang
+  const [compiledVertexGlsl, setCompiledVertexGlsl] = useState(null) // Compiled "// @vertex" offset stage, if any
+  const [bufferPasses, setBufferPasses] = useState([]) // Compiled Buffer A-D passes (multi-pass shaders)
   const [slangAvailable, setSlangAvailable] = useState(false)
   const [isDirty, setIsDirty] = useState(true) // Track if code changed since last compile
+  const [queuePosition, setQueuePosition] = useState(0) // Place in the server's compile queue (0 = running)
+  const compileAbortRef = useRef(null)
+  const [liveCompile, setLiveCompile] = useState(false) // Recompile automatically while typing
+
+  // Material parameters declared in the shader and their current (live) values
+  const [parameters, setParameters] = useState([])
+  const [parameterValues, setParameterValues] = useState({})
+
+  // Textures bound to iChannel0-3
+  const [channels, setChannels] = useState(createEmptyChannels)
 
   // Track if we've done the initial auto-compile (reset when loading new shader)
   const hasInitiallyCompiled = useRef(false)
@@ -70,22 +211,120 @@ export default function Editor() {
     })
   }, [])
 
-  // Load shader if ID is provided
-  useEffect(() => {
-    if (id) {
-      const shader = getShaderById(id)
-      if (shader) {
-        setUserCode(shader.code)
-        setShaderName(shader.name)
-        setCompileStatus(CompileStatus.READY)
-        setCompiledGlsl(null)
-        setIsDirty(true)
-        // Reset auto-compile flag so new shader gets compiled automatically
-        hasInitiallyCompiled.current = false
+  // Cancel a compile still in flight when leaving the editor
+  useEffect(() => () => compileAbortRef.current?.abort(), [])
+
+  // Free the previous model's geometries when it is replaced
+  const customGeometries = customMesh?.geometries || null
+  useEffect(() => () => customGeometries && disposeGeometries(customGeometries), [customGeometries])
+
+  // Fetch and show the model a saved shader is previewed on
+  const loadSavedMesh = async (shader) => {
+    const request = ++meshRequestRef.current
+    setMeshLoading(true)
+    try {
+      const { fileName, format } = shader.customMesh
+      const data = await getSavedMesh(shader)
+      const geometries = await parseMeshFile(data, format)
+      if (request !== meshRequestRef.current) {
+        disposeGeometries(geometries)
+        return
       }
+      setCustomMesh({ fileName, format, data, geometries, savedFor: shader.id })
+    } catch (err) {
+      if (request === meshRequestRef.current) setError(`Could not load the preview model: ${err.message}`)
+    } finally {
+      if (request === meshRequestRef.current) setMeshLoading(false)
+    }
+  }
+
+  // Put a library or saved shader into the editor
+  const loadShader = (shader, userShaderId) => {
+    compileAbortRef.current?.abort()
+    setUserCode(shader.code)
+    setShaderName(shader.name)
+    setMode(shader.mode || 'materialLibrary')
+    setSavedId(userShaderId)
+    setLibraryFile(userShaderId ? null : shader.fileName)
+    setSavedCode(shader.code)
+    // Library shaders open on the mesh last picked for them, before their @mesh default
+    const shaderMeshType = (!userShaderId && shader.fileName && getRememberedMeshType(shader.fileName)) || shader.meshType
+    // Without a mesh of its own the shader keeps the current one, a custom model goes with the old shader
+    setMeshType(current => shaderMeshType || (current === 'custom' ? 'sphere' : current))
+    meshRequestRef.current++
+    setCustomMesh(null)
+    setMeshLoading(false)
+    if (shaderMeshType === 'custom' && userShaderId && shader.customMesh) loadSavedMesh(shader)
+    setParameters([])
+    setParameterValues(shader.parameterValues || {})
+    setChannels(shader.channels || createEmptyChannels())
+    setError(null)
+    setCompileDiagnostics([])
+    setWebglDiagnostics([])
+    setCompileStatus(CompileStatus.READY)
+    setCompiledGlsl(null)
+    setCompiledVertexGlsl(null)
+    setBufferPasses([])
+    setIsDirty(true)
+    setRevisionPreview(null)
+    // Reset auto-compile flag so new shader gets compiled automatically
+    hasInitiallyCompiled.current = false
+  }
+
+  // Load shader if ID is provided - library shaders first, then saved shaders from the server
+  useEffect(() => {
+    if (!id || id === loadedIdRef.current) return
+
+    const shader = getShaderById(id)
+    if (shader) {
+      loadedIdRef.current = id
+      loadShader(shader, null)
+      return
+    }
+
+    let cancelled = false
+    getSavedShader(id)
+      .then(saved => {
+        if (cancelled) return
+        loadedIdRef.current = id
+        loadShader(saved, saved.id)
+      })
+      .catch(err => {
+        if (!cancelled) setError(`Could not load shader: ${err.message}`)
+      })
+    return () => {
+      cancelled = true
     }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [id])
 
+  // Open a shared shader - from the URL fragment (/share#...) or a server short link (/share/:shareId)
+  const shareKey = location.pathname.startsWith('/share')
+    ? (shareId ? `share/${shareId}` : `share#${location.hash.slice(1)}`)
+    : null
+  useEffect(() => {
+    if (!shareKey || shareKey === loadedIdRef.current) return
+
+    let cancelled = false
+    const payload = shareId ? getShareLink(shareId) : Promise.resolve(location.hash.slice(1))
+    payload
+      .then(decodeSharePayload)
+      .then(shared => {
+        if (cancelled) return
+        loadedIdRef.current = shareKey
+        loadShader(shared, null)
+        // Not in this user's library yet, so it shows as unsaved
+        setSavedCode('')
+      })
+      .catch(err => {
+        if (!cancelled) setError(`Could not open share link: ${err.message}`)
+      })
+    return () => {
+      cancelled = true
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [shareKey])
+
   // Auto-compile on initial load when Slang is available
   useEffect(() => {
     if (!hasInitiallyCompiled.current &&
@@ -98,53 +337,362 @@ export default function Editor() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [slangAvailable, isDirty, compileStatus])
 
+  // Live mode: compile once typing pauses
+  useEffect(() => {
+    if (!liveCompile || !slangAvailable || !isDirty) return
+    const timer = setTimeout(() => handleCompile(), LIVE_COMPILE_DELAY)
+    return () => clearTimeout(timer)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [liveCompile, slangAvailable, isDirty, userCode])
+
   // Handle code changes
   const handleCodeChange = (value) => {
     setUserCode(value || '')
     setIsDirty(true)
-    if (compileStatus === CompileStatus.COMPILED || compileStatus === CompileStatus.ERROR) {
+    if (liveCompile && compileStatus === CompileStatus.COMPILING) {
+      // The running compile is for older code - drop it, the debounce starts a new one
+      compileAbortRef.current?.abort()
+      setCompileStatus(CompileStatus.READY)
+    } else if (compileStatus === CompileStatus.COMPILED || compileStatus === CompileStatus.ERROR) {
       setCompileStatus(CompileStatus.READY)
     }
   }
 
-  // Compile Slang code
-  const handleCompile = async () => {
+  // Revisions belong to the saved shader, or to the library shader's file while it isn't saved
+  const getRevisionOwner = () => {
+    if (savedId) return { scope: 'saved', id: savedId }
+    if (libraryFile) return { scope: 'library', id: libraryFile }
+    return null
+  }
+
+  // Snapshot code in the revision history - best effort, editing never waits for it
+  const recordRevision = (owner, code, reason) => {
+    if (!owner) return
+    addRevision(owner, { code, reason, meshType, parameterValues })
+      .then(() => setRevisionCount(count => count + 1))
+      .catch(() => {})
+  }
+
+  // Compile Slang code - only compiles asked for explicitly pass a reason and record a
+  // revision, live and initial compiles would fill the history with half-typed code
+  const handleCompile = async (revisionReason = null) => {
     if (compileStatus === CompileStatus.COMPILING) return
 
     setCompileStatus(CompileStatus.COMPILING)
     setError(null)
+    setQueuePosition(0)
+
+    // Only the newest compile may update the preview
+    compileAbortRef.current?.abort()
+    const controller = new AbortController()
+    compileAbortRef.current = controller
 
     try {
-      const result = await compileSlang(userCode, {
+      const result = await compileSlangPasses(userCode, {
         target: 'glsl',
-        mode: 'materialLibrary'
+        mode: compileMode,
+        signal: controller.signal,
+        onQueuePosition: setQueuePosition
       })
+      // Superseded by newer code or another shader while the response was on its way
+      if (controller.signal.aborted) return
 
-      setCompiledGlsl(result.code)
+      // The Image pass is drawn on the mesh, every other pass renders into a buffer
+      const imagePass = result.passes[result.passes.length - 1]
+      compiledSourceRef.current = userCode
+      setCompileDiagnostics(fromSlangDiagnostics(result.warnings))
+      setParameterValues(prev => mergeParameterValues(result.parameters, prev, parameters))
+      setParameters(result.parameters)
+      setBufferPasses(result.passes.slice(0, -1))
+      setCompiledGlsl(imagePass.code)
+      setCompiledVertexGlsl(imagePass.vertexCode || null)
       setCompileStatus(CompileStatus.COMPILED)
       setIsDirty(false)
+      if (revisionReason) recordRevision(getRevisionOwner(), userCode, revisionReason)
     } catch (err) {
-      setError(err.message)
+      if (err.name === 'AbortError' || controller.signal.aborted) return
+      setCompileDiagnostics(fromCompileError(err))
       setCompileStatus(CompileStatus.ERROR)
     }
   }
 
-  // Handle Ctrl+Enter from editor
+  // Fields stored with a saved shader, gallery metadata comes from the code's header
+  const getShaderData = () => {
+    const metadata = parseShaderMetadata(userCode)
+    return {
+      name: shaderName,
+      code: userCode,
+      meshType,
+      parameterValues,
+      channels,
+      author: metadata.author || '',
+      tags: metadata.tags,
+      description: metadata.description || '',
+      license: metadata.license || ''
+    }
+  }
+
+  // Upload the custom model with a saved shader, unless it is already stored with it
+  const saveCustomMesh = async (shaderId) => {
+    if (meshType !== 'custom' || !customMesh || customMesh.savedFor === shaderId) return
+    await uploadSavedMesh(shaderId, customMesh.data, { fileName: customMesh.fileName, format: customMesh.format })
+    setCustomMesh(prev => prev && { ...prev, savedFor: shaderId })
+  }
+
+  // Store the editor contents as a new saved shader and switch to it
+  const handleSaveAs = async () => {
+    if (isSaving) return
+
+    const name = window.prompt('Save shader as:', savedId ? `${shaderName} Copy` : shaderName)
+    if (!name || !name.trim()) return
+
+    setIsSaving(true)
+    try {
+      const shader = await createSavedShader({ ...getShaderData(), name })
+      await saveCustomMesh(shader.id)
+      recordRevision({ scope: 'saved', id: shader.id }, shader.code, 'save')
+      setSavedId(shader.id)
+      setSavedCode(shader.code)
+      setShaderName(shader.name)
+      // The editor already holds this shader, so the route change must not reload it
+      loadedIdRef.current = shader.id
+      navigate(`/editor/${shader.id}`, { replace: true })
+    } catch (err) {
+      setError(`Save failed: ${err.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // Update the saved shader, library and new shaders are saved as a copy
+  const handleSave = async () => {
+    if (!savedId) {
+      handleSaveAs()
+      return
+    }
+    if (isSaving) return
+
+    setIsSaving(true)
+    try {
+      const shader = await updateSavedShader(savedId, getShaderData())
+      await saveCustomMesh(savedId)
+      setSavedCode(shader.code)
+      recordRevision(getRevisionOwner(), shader.code, 'save')
+    } catch (err) {
+      setError(`Save failed: ${err.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // Compile an earlier revision and show it in the viewer instead of the current shader
+  const handleRevisionPreview = async (revision) => {
+    if (!revision) {
+      setRevisionPreview(null)
+      return
+    }
+    try {
+      const result = await compileSlangPasses(revision.code, {
+        target: 'glsl',
+        mode: parseShaderMetadata(revision.code).mode || mode
+      })
+      setRevisionPreview({
+        revision,
+        code: result.passes[result.passes.length - 1].code,
+        vertexCode: result.passes[result.passes.length - 1].vertexCode || null,
+        bufferPasses: result.passes.slice(0, -1),
+        parameters: result.parameters,
+        parameterValues: mergeParameterValues(result.parameters, revision.parameterValues || {}, [])
+      })
+    } catch (err) {
+      setError(`Revision #${revision.id} does not compile: ${err.message}`)
+    }
+  }
+
+  // Put an earlier revision back into the editor
+  const handleRevisionRestore = (revision) => {
+    setUserCode(revision.code)
+    if (revision.parameterValues) setParameterValues(revision.parameterValues)
+    setIsDirty(true)
+    setCompileStatus(CompileStatus.READY)
+    setRevisionPreview(null)
+    setShowHistory(false)
+  }
+
+  const handleCloseHistory = () => {
+    setShowHistory(false)
+    setRevisionPreview(null)
+  }
+
+  // Copy a link that opens the current editor contents, including slider values
+  const handleShare = async () => {
+    if (shareStatus === 'sharing') return
+
+    setShareStatus('sharing')
+    try {
+      const { url } = await createShareUrl({ name: shaderName, code: userCode, mode: compileMode, meshType, parameterValues })
+      try {
+        await navigator.clipboard.writeText(url)
+        setShareStatus('copied')
+      } catch {
+        // Clipboard access can be denied, let the user copy it by hand
+        setShareStatus(null)
+        window.prompt('Copy this link to share the shader:', url)
+      }
+    } catch (err) {
+      setError(`Share failed: ${err.message}`)
+      setShareStatus(null)
+    }
+  }
+
+  // Briefly show the copied state on the share button
+  useEffect(() => {
+    if (shareStatus !== 'copied') return
+    const timer = setTimeout(() => setShareStatus(null), 2000)
+    return () => clearTimeout(timer)
+  }, [shareStatus])
+
+  // Briefly show the captured state on the thumbnail button
+  useEffect(() => {
+    if (thumbnailStatus !== 'captured') return
+    const timer = setTimeout(() => setThumbnailStatus(null), 2000)
+    return () => clearTimeout(timer)
+  }, [thumbnailStatus])
+
+  // Render the compiled shader with the fixed thumbnail settings and store it as this shader's thumbnail
+  const handleCaptureThumbnail = async () => {
+    if (!captureRef.current || thumbnailStatus === 'capturing') return
+    // Library thumbnails are files in the source tree, so they can only be replaced in dev
+    if (!savedId && !(libraryFile && import.meta.env.DEV)) {
+      setError('Save the shader before capturing a thumbnail')
+      return
+    }
+
+    setThumbnailStatus('capturing')
+    try {
+      const png = await captureRef.current()
+      if (savedId) {
+        await uploadSavedThumbnail(savedId, png)
+      } else {
+        await uploadLibraryThumbnail(libraryFile, png)
+      }
+      setThumbnailStatus('captured')
+    } catch (err) {
+      setError(`Thumbnail capture failed: ${err.message}`)
+      setThumbnailStatus(null)
+    }
+  }
+
+  // Switch the preview mesh - saved shaders store it on save, library shaders remember it in this browser
+  const handleMeshTypeChange = (type) => {
+    setMeshType(type)
+    if (libraryFile && type !== 'custom') rememberMeshType(libraryFile, type)
+  }
+
+  // Show a chosen or dropped model file in the preview
+  const handleMeshFile = async (file) => {
+    const format = getMeshFormat(file.name)
+    if (!format) {
+      setError(`Unsupported model file: ${file.name} (use .glb, .gltf or .obj)`)
+      return
+    }
+    if (file.size > MAX_MESH_FILE_SIZE) {
+      setError(`Model is too large: ${file.name} (20 MB max)`)
+      return
+    }
+
+    const request = ++meshRequestRef.current
+    setMeshLoading(true)
+    try {
+      const data = await file.arrayBuffer()
+      const geometries = await parseMeshFile(data, format)
+      if (request !== meshRequestRef.current) {
+        disposeGeometries(geometries)
+        return
+      }
+      setCustomMesh({ fileName: file.name, format, data, geometries, savedFor: null })
+      setMeshType('custom')
+    } catch (err) {
+      if (request === meshRequestRef.current) setError(`Could not load model ${file.name}: ${err.message}`)
+    } finally {
+      if (request === meshRequestRef.current) setMeshLoading(false)
+    }
+  }
+
+  const handleMeshDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+    setMeshDragOver(true)
+  }
+
+  const handleMeshDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setMeshDragOver(false)
+  }
+
+  const handleMeshDrop = (e) => {
+    e.preventDefault()
+    setMeshDragOver(false)
+    const file = e.dataTransfer.files[0]
+    if (file) handleMeshFile(file)
+  }
+
+  // Handle Ctrl+Enter and Ctrl+S from editor
   const handleEditorKeyDown = (e) => {
     if (e.ctrlKey && e.key === 'Enter') {
-      handleCompile()
+      handleCompile('compile')
+    } else if (e.ctrlKey && e.key === 's') {
+      handleSave()
     }
   }
 
-  const handleError = useCallback((err) => {
+  // Errors of a previewed revision don't belong to the code in the editor
+  const handlePreviewError = useCallback((err) => {
+    if (err) setError(`Revision preview: ${err}`)
+  }, [])
+
+  // Preview errors - WebGL compile errors go to the problems list, mapped back to a source line if possible
+  const handleError = useCallback((err, shaderError) => {
+    if (shaderError) {
+      setError(null)
+      setWebglDiagnostics([{
+        line: findSourceLine(compiledSourceRef.current, shaderError.glslLine, shaderError.message),
+        severity: 'error',
+        code: '',
+        message: shaderError.message,
+        source: 'webgl',
+        pass: shaderError.pass
+      }])
+      return
+    }
     setError(err)
+    setWebglDiagnostics([])
+  }, [])
+
+  const handleProblemSelect = (diagnostic) => {
+    shaderEditorRef.current?.goToLine(diagnostic.line, diagnostic.column || 1)
+  }
+
+  const handleParameterChange = useCallback((name, value) => {
+    setParameterValues(prev => ({ ...prev, [name]: value }))
+  }, [])
+
+  const handleChannelChange = useCallback((index, channel) => {
+    setChannels(prev => prev.map((c, i) => (i === index ? channel : c)))
   }, [])
 
+  const handleParameterReset = () => {
+    setParameterValues(mergeParameterValues(parameters, {}, []))
+  }
+
   // Get compile button text and style
   const getCompileButtonContent = () => {
     switch (compileStatus) {
       case CompileStatus.COMPILING:
-        return { text: 'Compiling...', className: 'compile-btn compiling' }
+        return {
+          text: queuePosition > 0 ? `Queued (#${queuePosition})...` : 'Compiling...',
+          className: 'compile-btn compiling'
+        }
       case CompileStatus.COMPILED:
         return { text: isDirty ? 'Compile' : 'Compiled', className: `compile-btn ${isDirty ? 'ready' : 'compiled'}` }
       case CompileStatus.ERROR:
@@ -167,7 +715,10 @@ export default function Editor() {
                 <path d="M19 12H5M12 19l-7-7 7-7"/>
               </svg>
             </button>
-            <h2>{shaderName}</h2>
+            <h2>
+              {shaderName}
+              {userCode !== savedCode && <span className="unsaved-marker" title="Unsaved changes">*</span>}
+            </h2>
           </div>
           <div className="editor-options">
             {/* Slang Logo */}
@@ -175,10 +726,43 @@ export default function Editor() {
               <img src={slangLogo} alt="Slang" className="slang-logo" />
             </div>
 
+            {/* Save Buttons */}
+            <button
+              className="save-btn"
+              onClick={handleSave}
+              disabled={isSaving}
+              title={savedId ? 'Save (Ctrl+S)' : 'Save as a new shader (Ctrl+S)'}
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              className="save-btn"
+              onClick={handleSaveAs}
+              disabled={isSaving}
+              title="Save a copy under a new name"
+            >
+              Save As
+            </button>
+            <button
+              className="save-btn"
+              onClick={handleShare}
+              disabled={shareStatus === 'sharing'}
+              title="Copy a link that opens this shader with its mesh and parameter values"
+            >
+              {shareStatus === 'sharing' ? 'Sharing...' : shareStatus === 'copied' ? 'Link Copied' : 'Share'}
+            </button>
+            <button
+              className={`save-btn ${showHistory ? 'active' : ''}`}
+              onClick={() => (showHistory ? handleCloseHistory() : setShowHistory(true))}
+              title="Compare with, preview and restore earlier versions of this shader"
+            >
+              History
+            </button>
+
             {/* Compile Button */}
             <button
               className={compileButton.className}
-              onClick={handleCompile}
+              onClick={() => handleCompile('compile')}
               disabled={compileStatus === CompileStatus.COMPILING || !slangAvailable}
               title={slangAvailable ? "Compile Slang to GLSL (Ctrl+Enter)" : "Slang compiler not available"}
             >
@@ -187,15 +771,40 @@ export default function Editor() {
               )}
               {compileButton.text}
             </button>
+            <button
+              className={`live-btn ${liveCompile ? 'active' : ''}`}
+              onClick={() => setLiveCompile(!liveCompile)}
+              disabled={!slangAvailable}
+              title="Compile automatically while typing - the preview keeps the last working shader while there are errors"
+            >
+              Live
+            </button>
           </div>
         </div>
-        <div className="editor-container">
+        {showHistory && (
+          <RevisionPanel
+            owner={getRevisionOwner()}
+            currentCode={userCode}
+            refreshKey={revisionCount}
+            previewRevisionId={revisionPreview?.revision.id ?? null}
+            onPreview={handleRevisionPreview}
+            onRestore={handleRevisionRestore}
+            onClose={handleCloseHistory}
+          />
+        )}
+        {/* Kept mounted under the history panel so undo history and cursor survive */}
+        <div className={`editor-container ${showHistory ? 'hidden' : ''}`}>
           <ShaderEditor
             value={userCode}
             onChange={handleCodeChange}
             onKeyDown={handleEditorKeyDown}
+            diagnostics={diagnostics}
+            editorRef={shaderEditorRef}
+            mode={compileMode}
           />
         </div>
+        <ChannelPanel channels={channels} onChange={handleChannelChange} />
+        <ProblemsPanel diagnostics={diagnostics} onSelect={handleProblemSelect} />
         {error && (
           <div className={`error-panel ${error.startsWith('Warning:') ? 'warning' : ''}`}>
             {error}
@@ -212,45 +821,128 @@ export default function Editor() {
           </div>
           <div className="controls">
             <div className="mesh-selector">
+              {BUILTIN_MESHES.map(mesh => (
+                <button
+                  key={mesh.id}
+                  className={`mesh-btn ${meshType === mesh.id ? 'active' : ''}`}
+                  onClick={() => handleMeshTypeChange(mesh.id)}
+                >
+                  {mesh.label}
+                </button>
+              ))}
+              {customMesh && (
+                <button
+                  className={`mesh-btn ${meshType === 'custom' ? 'active' : ''}`}
+                  onClick={() => handleMeshTypeChange('custom')}
+                  title={customMesh.fileName}
+                >
+                  Model
+                </button>
+              )}
               <button
-                className={`mesh-btn ${meshType === 'sphere' ? 'active' : ''}`}
-                onClick={() => setMeshType('sphere')}
-              >
-                Sphere
-              </button>
-              <button
-                className={`mesh-btn ${meshType === 'cube' ? 'active' : ''}`}
-                onClick={() => setMeshType('cube')}
-              >
-                Cube
-              </button>
-              <button
-                className={`mesh-btn ${meshType === 'plane' ? 'active' : ''}`}
-                onClick={() => setMeshType('plane')}
+                className="mesh-btn"
+                onClick={() => meshInputRef.current?.click()}
+                disabled={meshLoading}
+                title="Preview on a glTF, GLB or OBJ model - or drop one on the preview. Saved shaders keep it"
               >
-                Plane
+                {meshLoading ? 'Loading...' : 'Import...'}
               </button>
+              <input
+                ref={meshInputRef}
+                type="file"
+                accept={MESH_FILE_ACCEPT}
+                hidden
+                onChange={e => {
+                  const file = e.target.files[0]
+                  e.target.value = ''
+                  if (file) handleMeshFile(file)
+                }}
+              />
             </div>
+            <button
+              className={`mesh-btn ${mouseMode ? 'active' : ''}`}
+              onClick={() => setMouseMode(!mouseMode)}
+              title="Drag on the preview to drive iMouse instead of orbiting (or hold Shift)"
+            >
+              iMouse
+            </button>
+            <button
+              className="export-btn"
+              onClick={handleCaptureThumbnail}
+              disabled={!compiledGlsl || thumbnailStatus === 'capturing'}
+              title="Render a 480x360 thumbnail at a fixed time and camera and use it in the gallery"
+            >
+              {thumbnailStatus === 'capturing' ? 'Capturing...' : thumbnailStatus === 'captured' ? 'Captured' : 'Thumbnail'}
+            </button>
+            <button
+              className="export-btn"
+              onClick={() => setShowRecorder(true)}
+              disabled={!compiledGlsl}
+              title="Render frames at a fixed resolution and frame rate to WebM, GIF or PNG"
+            >
+              Record
+            </button>
             <button className="export-btn" onClick={() => setShowExport(true)}>
               Export
             </button>
           </div>
         </div>
-        <div className="viewer-container">
+        <div
+          className={`viewer-container ${meshDragOver ? 'drag-over' : ''}`}
+          onDragOver={handleMeshDragOver}
+          onDragLeave={handleMeshDragLeave}
+          onDrop={handleMeshDrop}
+        >
+          {meshDragOver && <div className="mesh-drop-hint">Drop a glTF, GLB or OBJ model to preview on it</div>}
+          {revisionPreview && (
+            <div className="revision-preview-banner">
+              Previewing revision #{revisionPreview.revision.id}
+              <button onClick={() => setRevisionPreview(null)}>Show Current</button>
+            </div>
+          )}
           <Viewer
             meshType={meshType}
-            userCode={compiledGlsl}
-            onError={handleError}
+            customGeometries={customGeometries}
+            userCode={revisionPreview ? revisionPreview.code : compiledGlsl}
+            vertexCode={revisionPreview ? revisionPreview.vertexCode : compiledVertexGlsl}
+            bufferPasses={revisionPreview ? revisionPreview.bufferPasses : bufferPasses}
+            parameters={revisionPreview ? revisionPreview.parameters : parameters}
+            parameterValues={revisionPreview ? revisionPreview.parameterValues : parameterValues}
+            channels={channels}
+            mouseMode={mouseMode}
+            captureRef={captureRef}
+            recorderRef={recorderRef}
+            onError={revisionPreview ? handlePreviewError : handleError}
             onFpsUpdate={setFps}
             slangCompiled={compileStatus === CompileStatus.COMPILED && !isDirty}
           />
         </div>
+        <ParameterPanel
+          parameters={parameters}
+          values={parameterValues}
+          onChange={handleParameterChange}
+          onReset={handleParameterReset}
+        />
       </div>
 
+      {/* Recorder Modal */}
+      {showRecorder && (
+        <RecorderModal
+          recorderRef={recorderRef}
+          shaderName={shaderName}
+          onClose={() => setShowRecorder(false)}
+        />
+      )}
+
       {/* Export Modal */}
       {showExport && (
         <ExportModal
           userCode={userCode}
+          shaderName={shaderName}
+          parameterValues={parameterValues}
+          mode={compileMode}
+          meshType={meshType}
+          channels={channels}
           onClose={() => setShowExport(false)}
         />
       )}
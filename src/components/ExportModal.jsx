@@ -1,13 +1,44 @@
 import { useState, useEffect, useCallback } from 'react'
-import { compileSlang, isSlangAvailable } from '../utils/shaderApi'
+import { compileSlangPasses, compileExportBundle, isSlangAvailable } from '../utils/shaderApi'
+import { buildPassGraph, formatPassGraph } from '../utils/shaderPasses'
+import { buildThreeModule, getThreeModuleFileName } from '../utils/threeExport'
+import { buildHtmlPlayer, getHtmlPlayerFileName, PLAYER_DISPLAYS } from '../utils/htmlPlayer'
+import { getChannelUrl } from '../utils/channelTextures'
 
-export default function ExportModal({ userCode, onClose }) {
+// Tabs that wrap the preview's WebGL shaders in a JS module, built here rather than on the server
+const THREE_MODULE_TABS = ['threeModule', 'r3fModule']
+
+// Channel list when the editor has no textures bound
+const NO_CHANNELS = []
+
+// Variants of the Unreal tab: Custom node code, or Material Editor clipboard text to paste
+const UNREAL_VARIANTS = [
+  { tab: 'unrealHlsl', label: 'Custom Node' },
+  { tab: 'unrealGraph', label: 'Material Graph' },
+  { tab: 'unrealFunction', label: 'Material Function' }
+]
+
+// Fragment output of a pass, followed by its vertex offset stage when that is a separate shader
+function withVertexStage(pass) {
+  return pass.vertexCode ? `${pass.code}\n\n// ==== Vertex stage (vertexMain) ====\n${pass.vertexCode}` : pass.code
+}
+
+// Join the compiled passes of a multi-pass shader into one file, led by the pass graph
+function joinPassOutputs(passes) {
+  if (passes.length === 1) return withVertexStage(passes[0])
+  const sections = passes.map(pass => `// ==== Pass: ${pass.name} ====\n${withVertexStage(pass)}`)
+  return `${formatPassGraph(buildPassGraph(passes))}\n\n${sections.join('\n\n')}`
+}
+
+export default function ExportModal({ userCode, shaderName, parameterValues, mode = 'materialLibrary', meshType = 'sphere', channels = NO_CHANNELS, onClose }) {
   const [activeTab, setActiveTab] = useState('slang')
+  const [playerDisplay, setPlayerDisplay] = useState('quad')
   const [copied, setCopied] = useState(false)
   const [convertedCode, setConvertedCode] = useState('')
   const [isConverting, setIsConverting] = useState(false)
   const [conversionError, setConversionError] = useState(null)
   const [serverStatus, setServerStatus] = useState('checking')
+  const [bundleStatus, setBundleStatus] = useState(null) // null, 'building' or a message about the last bundle
 
   // Check server availability on mount
   useEffect(() => {
@@ -36,10 +67,42 @@ export default function ExportModal({ userCode, onClose }) {
     setConversionError(null)
 
     try {
+      // Three.js modules use the raw GLSL, translated the same way as in the preview
+      if (THREE_MODULE_TABS.includes(tab)) {
+        const result = await compileSlangPasses(userCode, { target: 'glsl', mode, parameterValues })
+        setConvertedCode(buildThreeModule({
+          name: shaderName || 'Shader',
+          passes: result.passes,
+          parameters: result.parameters,
+          react: tab === 'r3fModule'
+        }))
+        return
+      }
+
+      // The HTML player also runs the preview's WebGL shaders, with the channel textures inlined
+      if (tab === 'htmlPlayer') {
+        const result = await compileSlangPasses(userCode, { target: 'glsl', mode, parameterValues })
+        setConvertedCode(buildHtmlPlayer({
+          name: shaderName || 'Shader',
+          passes: result.passes,
+          parameters: result.parameters,
+          channels: channels.map(getChannelUrl),
+          display: playerDisplay,
+          meshType
+        }))
+        return
+      }
+
       // Map tab to Slang target
       const targetMap = {
         'hlsl': 'hlsl',
         'unrealHlsl': 'unrealHlsl',
+        'unrealGraph': 'unrealGraph',
+        'unrealFunction': 'unrealFunction',
+        'unityShader': 'unityShader',
+        'unityShaderGraph': 'unityShaderGraph',
+        'godotSpatial': 'godotSpatial',
+        'godotCanvasItem': 'godotCanvasItem',
         'glslOutput': 'glsl',
         'wgsl': 'wgsl',
         'metal': 'metal',
@@ -47,15 +110,16 @@ export default function ExportModal({ userCode, onClose }) {
       }
       const target = targetMap[tab] || 'hlsl'
 
-      const result = await compileSlang(userCode, { target, mode: 'materialLibrary', forExport: true })
-      setConvertedCode(result.code)
+      // Current slider values become the exported parameter defaults
+      const result = await compileSlangPasses(userCode, { target, mode, forExport: true, parameterValues, name: shaderName })
+      setConvertedCode(joinPassOutputs(result.passes))
     } catch (err) {
       setConversionError(err.message)
       setConvertedCode('')
     } finally {
       setIsConverting(false)
     }
-  }, [userCode, serverStatus])
+  }, [userCode, shaderName, parameterValues, mode, meshType, channels, playerDisplay, serverStatus])
 
   // Trigger conversion when tab changes
   useEffect(() => {
@@ -90,12 +154,33 @@ export default function ExportModal({ userCode, onClose }) {
       'glslOutput': 'glsl',
       'hlsl': 'hlsl',
       'unrealHlsl': 'hlsl',
+      'unrealGraph': 't3d',
+      'unrealFunction': 't3d',
+      'unityShader': 'shader',
+      'unityShaderGraph': 'hlsl',
+      'godotSpatial': 'gdshader',
+      'godotCanvasItem': 'gdshader',
+      'threeModule': 'js',
+      'r3fModule': 'jsx',
+      'htmlPlayer': 'html',
       'wgsl': 'wgsl',
       'metal': 'metal',
       'spirv': 'spv'
     }
     const ext = extMap[activeTab] || 'txt'
-    const filename = activeTab === 'unrealHlsl' ? `shader_unreal.${ext}` : `shader_material.${ext}`
+    const fileNames = {
+      'unrealHlsl': `shader_unreal.${ext}`,
+      'unrealGraph': `shader_unreal_graph.${ext}`,
+      'unrealFunction': `shader_unreal_function.${ext}`,
+      'unityShader': `shader_unity.${ext}`,
+      'unityShaderGraph': `shader_unity_graph.${ext}`,
+      'godotSpatial': `shader_godot.${ext}`,
+      'godotCanvasItem': `shader_godot_2d.${ext}`,
+      'threeModule': getThreeModuleFileName(shaderName || 'Shader'),
+      'r3fModule': getThreeModuleFileName(shaderName || 'Shader', true),
+      'htmlPlayer': getHtmlPlayerFileName(shaderName)
+    }
+    const filename = fileNames[activeTab] || `shader_material.${ext}`
     const blob = new Blob([code], { type: 'text/plain' })
     const url = URL.createObjectURL(blob)
     const a = document.createElement('a')
@@ -105,6 +190,25 @@ export default function ExportModal({ userCode, onClose }) {
     URL.revokeObjectURL(url)
   }
 
+  // Every target in one zip, targets that fail are listed in its manifest
+  const handleDownloadBundle = async () => {
+    setBundleStatus('building')
+    try {
+      const { blob, fileName, failedTargets } = await compileExportBundle(userCode, { name: shaderName, mode, parameterValues })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = fileName
+      a.click()
+      URL.revokeObjectURL(url)
+      setBundleStatus(failedTargets.length > 0 ? `Bundle downloaded - failed targets: ${failedTargets.join(', ')} (see manifest.json)` : null)
+    } catch (err) {
+      setBundleStatus(`Bundle failed: ${err.message}`)
+    }
+  }
+
+  const isUnrealTab = UNREAL_VARIANTS.some(variant => variant.tab === activeTab)
+
   const getStatusIndicator = () => {
     if (serverStatus === 'checking') return 'Checking...'
     if (serverStatus === 'online') return 'Server Online'
@@ -145,11 +249,53 @@ export default function ExportModal({ userCode, onClose }) {
               HLSL
             </button>
             <button
-              className={`modal-tab ${activeTab === 'unrealHlsl' ? 'active' : ''}`}
+              className={`modal-tab ${isUnrealTab ? 'active' : ''}`}
               onClick={() => setActiveTab('unrealHlsl')}
             >
               Unreal
             </button>
+            <button
+              className={`modal-tab ${activeTab === 'unityShader' ? 'active' : ''}`}
+              onClick={() => setActiveTab('unityShader')}
+            >
+              Unity
+            </button>
+            <button
+              className={`modal-tab ${activeTab === 'unityShaderGraph' ? 'active' : ''}`}
+              onClick={() => setActiveTab('unityShaderGraph')}
+            >
+              Unity SG
+            </button>
+            <button
+              className={`modal-tab ${activeTab === 'godotSpatial' ? 'active' : ''}`}
+              onClick={() => setActiveTab('godotSpatial')}
+            >
+              Godot
+            </button>
+            <button
+              className={`modal-tab ${activeTab === 'godotCanvasItem' ? 'active' : ''}`}
+              onClick={() => setActiveTab('godotCanvasItem')}
+            >
+              Godot 2D
+            </button>
+            <button
+              className={`modal-tab ${activeTab === 'threeModule' ? 'active' : ''}`}
+              onClick={() => setActiveTab('threeModule')}
+            >
+              Three.js
+            </button>
+            <button
+              className={`modal-tab ${activeTab === 'r3fModule' ? 'active' : ''}`}
+              onClick={() => setActiveTab('r3fModule')}
+            >
+              R3F
+            </button>
+            <button
+              className={`modal-tab ${activeTab === 'htmlPlayer' ? 'active' : ''}`}
+              onClick={() => setActiveTab('htmlPlayer')}
+            >
+              HTML Player
+            </button>
             <button
               className={`modal-tab ${activeTab === 'glslOutput' ? 'active' : ''}`}
               onClick={() => setActiveTab('glslOutput')}
@@ -171,6 +317,40 @@ export default function ExportModal({ userCode, onClose }) {
           </div>
         </div>
 
+        {isUnrealTab && (
+          <div className="modal-section">
+            <label>Unreal as:</label>
+            <div className="modal-tabs">
+              {UNREAL_VARIANTS.map(variant => (
+                <button
+                  key={variant.tab}
+                  className={`modal-tab ${activeTab === variant.tab ? 'active' : ''}`}
+                  onClick={() => setActiveTab(variant.tab)}
+                >
+                  {variant.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'htmlPlayer' && (
+          <div className="modal-section">
+            <label>Play on:</label>
+            <div className="modal-tabs">
+              {PLAYER_DISPLAYS.map(display => (
+                <button
+                  key={display.id}
+                  className={`modal-tab ${playerDisplay === display.id ? 'active' : ''}`}
+                  onClick={() => setPlayerDisplay(display.id)}
+                >
+                  {display.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div className="code-preview">
           {isConverting ? (
             <div className="converting-indicator">Converting...</div>
@@ -181,10 +361,22 @@ export default function ExportModal({ userCode, onClose }) {
           )}
         </div>
 
+        {bundleStatus && bundleStatus !== 'building' && (
+          <div className="bundle-status">{bundleStatus}</div>
+        )}
+
         <div className="modal-actions">
           <button className="close-btn" onClick={onClose}>
             Close
           </button>
+          <button
+            className="copy-btn"
+            onClick={handleDownloadBundle}
+            disabled={serverStatus !== 'online' || bundleStatus === 'building'}
+            title="Slang source, HLSL, Unreal (code, material graph and function), Unity, Godot, GLSL, WGSL, Metal and SPIR-V plus a manifest, in one zip"
+          >
+            {bundleStatus === 'building' ? 'Building...' : 'Download All (.zip)'}
+          </button>
           <button
             className="copy-btn"
             onClick={handleDownload}
@@ -1,9 +1,92 @@
+import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { shaders } from '../shaders'
+import { shaders as libraryShaders } from '../shaders'
+import { listSavedShaders, deleteSavedShader, getSavedThumbnailUrl } from '../utils/shaderApi'
+import { matchesShaderSearch } from '../utils/shaderMetadata'
 import ShaderCard from './ShaderCard'
 
+const SORT_OPTIONS = [
+  { id: 'default', label: 'Default' },
+  { id: 'name', label: 'Name' },
+  { id: 'author', label: 'Author' }
+]
+
+// Compare strings case-insensitively, empty values last
+function compareText(a, b) {
+  if (!a) return b ? 1 : 0
+  if (!b) return -1
+  return a.localeCompare(b, undefined, { sensitivity: 'base' })
+}
+
+// Default order: saved shaders (most recent first), then the library
+function sortShaders(list, sortBy) {
+  const sorted = [...list]
+  switch (sortBy) {
+    case 'name':
+      return sorted.sort((a, b) => compareText(a.name, b.name))
+    case 'author':
+      return sorted.sort((a, b) => compareText(a.author, b.author) || compareText(a.name, b.name))
+    default:
+      return sorted
+  }
+}
+
 export default function Gallery() {
   const navigate = useNavigate()
+  const [savedShaders, setSavedShaders] = useState([])
+  const [error, setError] = useState(null)
+  const [search, setSearch] = useState('')
+  const [selectedTags, setSelectedTags] = useState([])
+  const [sortBy, setSortBy] = useState('default')
+
+  // Load saved user shaders from the server
+  useEffect(() => {
+    let cancelled = false
+    listSavedShaders().then(list => {
+      if (!cancelled) setSavedShaders(list)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const handleDelete = async (shader) => {
+    if (!window.confirm(`Delete "${shader.name}"? This cannot be undone.`)) return
+
+    try {
+      await deleteSavedShader(shader.id)
+      setSavedShaders(prev => prev.filter(s => s.id !== shader.id))
+      setError(null)
+    } catch (err) {
+      setError(`Delete failed: ${err.message}`)
+    }
+  }
+
+  const toggleTag = (tag) => {
+    setSelectedTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]))
+  }
+
+  // Saved shaders (most recent first) followed by the built-in library
+  const allShaders = [
+    ...savedShaders.map(shader => ({
+      ...shader,
+      tags: shader.tags || [],
+      thumbnail: getSavedThumbnailUrl(shader) || '/images/placeholder.svg',
+      saved: true
+    })),
+    ...libraryShaders
+  ]
+
+  const allTags = [...new Set(allShaders.flatMap(shader => shader.tags))].sort()
+
+  const shaders = sortShaders(
+    allShaders.filter(shader =>
+      matchesShaderSearch(shader, search) &&
+      selectedTags.every(tag => shader.tags.includes(tag))
+    ),
+    sortBy
+  )
+  const isFiltered = search.trim() !== '' || selectedTags.length > 0
 
   return (
     <div className="gallery">
@@ -12,23 +95,83 @@ export default function Gallery() {
           <h1>Material Library</h1>
           <p className="gallery-subtitle">Browse and explore shader materials</p>
         </div>
-        <button className="new-shader-btn" onClick={() => navigate('/editor')}>
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <path d="M12 5v14M5 12h14"/>
-          </svg>
-          New
-        </button>
+        <div className="gallery-actions">
+          {import.meta.env.DEV && (
+            <button
+              className="thumbnails-btn"
+              onClick={() => navigate('/thumbnails')}
+              title="Regenerate the thumbnails of every library shader (dev only - writes public/images/thumbnails)"
+            >
+              Thumbnails
+            </button>
+          )}
+          <button className="new-shader-btn" onClick={() => navigate('/editor')}>
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M12 5v14M5 12h14"/>
+            </svg>
+            New
+          </button>
+        </div>
       </header>
 
+      {error && <div className="error-panel gallery-error">{error}</div>}
+
+      <div className="gallery-toolbar">
+        <input
+          type="search"
+          className="gallery-search"
+          placeholder="Search by name, author, description or tag..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <label className="gallery-sort">
+          Sort
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+            {SORT_OPTIONS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {allTags.length > 0 && (
+        <div className="gallery-tags">
+          {allTags.map(tag => (
+            <button
+              key={tag}
+              className={`tag-chip ${selectedTags.includes(tag) ? 'active' : ''}`}
+              onClick={() => toggleTag(tag)}
+            >
+              {tag}
+            </button>
+          ))}
+          {selectedTags.length > 0 && (
+            <button className="tag-clear-btn" onClick={() => setSelectedTags([])}>
+              Clear
+            </button>
+          )}
+        </div>
+      )}
+
       <div className="gallery-grid">
         {shaders.map(shader => (
-          <ShaderCard key={shader.id} shader={shader} />
+          <ShaderCard
+            key={shader.id}
+            shader={shader}
+            selectedTags={selectedTags}
+            onTagClick={toggleTag}
+            onDelete={shader.saved ? handleDelete : undefined}
+          />
         ))}
       </div>
 
       {shaders.length === 0 && (
         <div className="gallery-empty">
-          <p>No shaders found. Add .txt files to the OpenGLLibrary folder.</p>
+          <p>
+            {isFiltered
+              ? 'No shaders match the current search.'
+              : 'No shaders found. Add .slang files to the SlangLibrary folder or save one from the editor.'}
+          </p>
         </div>
       )}
     </div>
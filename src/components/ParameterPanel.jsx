@@ -0,0 +1,112 @@
+// Convert an RGB(A) float array (0-1) to a #rrggbb string for <input type="color">
+function toHexColor(value) {
+  return '#' + value.slice(0, 3).map(v => {
+    const c = Math.round(Math.min(Math.max(v, 0), 1) * 255)
+    return c.toString(16).padStart(2, '0')
+  }).join('')
+}
+
+// Convert a #rrggbb string back to floats, keeping any existing alpha
+function fromHexColor(hex, previous) {
+  const rgb = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255)
+  return previous.length === 4 ? [...rgb, previous[3]] : rgb
+}
+
+function ParameterControl({ param, value, onChange }) {
+  switch (param.kind) {
+    case 'range':
+      return (
+        <div className="param-control">
+          <input
+            type="range"
+            min={param.min}
+            max={param.max}
+            step={(param.max - param.min) / 1000}
+            value={value}
+            onChange={e => onChange(parseFloat(e.target.value))}
+          />
+          <span className="param-value">{value.toFixed(3)}</span>
+        </div>
+      )
+    case 'color':
+      return (
+        <div className="param-control">
+          <input
+            type="color"
+            value={toHexColor(value)}
+            onChange={e => onChange(fromHexColor(e.target.value, value))}
+          />
+          {value.length === 4 && (
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.01}
+              value={value[3]}
+              title="Alpha"
+              onChange={e => onChange([...value.slice(0, 3), parseFloat(e.target.value)])}
+            />
+          )}
+        </div>
+      )
+    case 'vector':
+      return (
+        <div className="param-control">
+          {value.map((component, i) => (
+            <input
+              key={i}
+              type="number"
+              step={0.01}
+              value={component}
+              onChange={e => {
+                const next = [...value]
+                next[i] = parseFloat(e.target.value) || 0
+                onChange(next)
+              }}
+            />
+          ))}
+        </div>
+      )
+    case 'bool':
+      return (
+        <div className="param-control">
+          <input type="checkbox" checked={!!value} onChange={e => onChange(e.target.checked)} />
+        </div>
+      )
+    default:
+      return (
+        <div className="param-control">
+          <input
+            type="number"
+            step={0.01}
+            value={value}
+            onChange={e => onChange(parseFloat(e.target.value) || 0)}
+          />
+        </div>
+      )
+  }
+}
+
+// Auto-generated controls for the material parameters declared in the shader
+export default function ParameterPanel({ parameters, values, onChange, onReset }) {
+  if (!parameters || parameters.length === 0) return null
+
+  return (
+    <div className="parameter-panel">
+      <div className="parameter-panel-header">
+        <span>Parameters</span>
+        <button className="mesh-btn" onClick={onReset}>Reset</button>
+      </div>
+      {parameters.map(param => (
+        <div key={param.name} className="param-row">
+          <label title={param.name}>{param.label}</label>
+          <ParameterControl
+            param={param}
+            value={values[param.name] ?? param.default}
+            onChange={value => onChange(param.name, value)}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,39 @@
+// Clickable list of compile diagnostics - selecting one jumps to its line in the editor
+export default function ProblemsPanel({ diagnostics, onSelect }) {
+  if (diagnostics.length === 0) return null
+
+  const errorCount = diagnostics.filter(d => d.severity === 'error').length
+  const warningCount = diagnostics.length - errorCount
+
+  return (
+    <div className="problems-panel">
+      <div className="problems-header">
+        <span>Problems</span>
+        {errorCount > 0 && <span className="problems-count error">{errorCount} {errorCount === 1 ? 'error' : 'errors'}</span>}
+        {warningCount > 0 && <span className="problems-count warning">{warningCount} {warningCount === 1 ? 'warning' : 'warnings'}</span>}
+      </div>
+      <ul className="problems-list">
+        {diagnostics.map((d, i) => (
+          <li
+            key={i}
+            className={`problem-row ${d.severity} ${d.line ? 'clickable' : ''}`}
+            onClick={d.line ? () => onSelect(d) : undefined}
+            title={d.line ? 'Go to line' : undefined}
+          >
+            <span className="problem-icon">{d.severity === 'warning' ? '⚠' : '✕'}</span>
+            <span className="problem-message">
+              {d.pass && <span className="problem-pass">{d.pass}</span>}
+              {d.message}
+              {d.code && <span className="problem-code">{d.source} {d.code}</span>}
+            </span>
+            {d.line && (
+              <span className="problem-location">
+                Ln {d.line}{d.column ? `, Col ${d.column}` : ''}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,175 @@
+import { useState, useEffect, useRef } from 'react'
+import { recordShader, RECORDING_FORMATS, RECORDING_SIZES, RECORDING_FRAME_RATES } from '../utils/recording'
+import { isWebmSupported } from '../utils/webmEncoder'
+
+const MAX_DURATION = 60
+
+// Record the preview off-screen at a fixed size and frame rate and download it
+export default function RecorderModal({ recorderRef, shaderName, onClose }) {
+  const [size, setSize] = useState(RECORDING_SIZES[2])
+  const [fps, setFps] = useState(30)
+  const [duration, setDuration] = useState('5') // As typed, clamped when used
+  const [format, setFormat] = useState('webm')
+  const [seamless, setSeamless] = useState(false)
+  const [webmSupported, setWebmSupported] = useState(true)
+  const [progress, setProgress] = useState(null) // null, or the finished fraction while recording
+  const [status, setStatus] = useState(null)
+  const abortRef = useRef(null)
+
+  useEffect(() => {
+    isWebmSupported().then(supported => {
+      setWebmSupported(supported)
+      if (!supported) setFormat(current => (current === 'webm' ? 'gif' : current))
+    })
+  }, [])
+
+  // Closing the dialog cancels a running recording
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  const recording = progress !== null
+  const seconds = Math.min(Math.max(Number(duration) || 0, 0.1), MAX_DURATION)
+  const frameCount = Math.max(1, Math.round(seconds * fps))
+
+  const handleRecord = async () => {
+    if (!recorderRef.current) {
+      setStatus('Compile the shader before recording')
+      return
+    }
+
+    const controller = new AbortController()
+    abortRef.current = controller
+    setStatus(null)
+    setProgress(0)
+    try {
+      const { blob, fileName } = await recordShader(recorderRef.current, {
+        width: size.width,
+        height: size.height,
+        fps,
+        duration: seconds,
+        format,
+        seamless,
+        name: shaderName,
+        onProgress: setProgress,
+        signal: controller.signal
+      })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = fileName
+      a.click()
+      URL.revokeObjectURL(url)
+      setStatus(`Saved ${fileName} (${(blob.size / 1024 / 1024).toFixed(1)} MB)`)
+    } catch (err) {
+      if (err.name !== 'AbortError') setStatus(`Recording failed: ${err.message}`)
+    } finally {
+      abortRef.current = null
+      setProgress(null)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={recording ? undefined : onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Record Preview</h3>
+        </div>
+
+        <div className="modal-section">
+          <label>Resolution:</label>
+          <div className="modal-tabs">
+            {RECORDING_SIZES.map(option => (
+              <button
+                key={option.label}
+                className={`modal-tab ${size === option ? 'active' : ''}`}
+                onClick={() => setSize(option)}
+                disabled={recording}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="modal-section">
+          <label>Frame rate:</label>
+          <div className="modal-tabs">
+            {RECORDING_FRAME_RATES.map(rate => (
+              <button
+                key={rate}
+                className={`modal-tab ${fps === rate ? 'active' : ''}`}
+                onClick={() => setFps(rate)}
+                disabled={recording}
+              >
+                {rate} fps
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="modal-section">
+          <label>Format:</label>
+          <div className="modal-tabs">
+            {RECORDING_FORMATS.map(option => (
+              <button
+                key={option.id}
+                className={`modal-tab ${format === option.id ? 'active' : ''}`}
+                onClick={() => setFormat(option.id)}
+                disabled={recording || (option.id === 'webm' && !webmSupported)}
+                title={option.id === 'webm' && !webmSupported ? 'This browser has no WebCodecs video encoder' : undefined}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="modal-section recorder-options">
+          <label>
+            Duration (seconds):
+            <input
+              type="number"
+              min="0.1"
+              max={MAX_DURATION}
+              step="0.1"
+              value={duration}
+              onChange={e => setDuration(e.target.value)}
+              disabled={recording}
+            />
+            <span className="recorder-frames">{frameCount} frames</span>
+          </label>
+          <label title="Crossfade the last quarter into the start so the output loops without a jump">
+            <input
+              type="checkbox"
+              checked={seamless}
+              onChange={e => setSeamless(e.target.checked)}
+              disabled={recording}
+            />
+            Seamless loop
+          </label>
+        </div>
+
+        {recording && (
+          <div className="recorder-progress">
+            <div className="recorder-progress-bar" style={{ width: `${Math.round(progress * 100)}%` }} />
+          </div>
+        )}
+        {status && <div className="bundle-status">{status}</div>}
+
+        <div className="modal-actions">
+          {recording ? (
+            <button className="close-btn" onClick={() => abortRef.current?.abort()}>
+              Cancel
+            </button>
+          ) : (
+            <button className="close-btn" onClick={onClose}>
+              Close
+            </button>
+          )}
+          <button className="copy-btn" onClick={handleRecord} disabled={recording}>
+            {recording ? `Recording... ${Math.round(progress * 100)}%` : 'Record'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react'
+import { DiffEditor } from '@monaco-editor/react'
+import { listRevisions, getRevision } from '../utils/shaderApi'
+
+const REASON_LABELS = { compile: 'Compiled', save: 'Saved' }
+
+function formatRevisionTime(isoDate) {
+  const date = new Date(isoDate)
+  const sameDay = date.toDateString() === new Date().toDateString()
+  return sameDay ? date.toLocaleTimeString() : date.toLocaleString()
+}
+
+// Timeline of a shader's earlier code - diff against the editor, preview in the viewer or restore
+export default function RevisionPanel({ owner, currentCode, refreshKey, previewRevisionId, onPreview, onRestore, onClose }) {
+  const [revisions, setRevisions] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [selected, setSelected] = useState(null) // Full revision, with code
+  const [error, setError] = useState(null)
+
+  const ownerKey = owner ? `${owner.scope}/${owner.id}` : null
+
+  // Reload the timeline when a new snapshot is recorded
+  useEffect(() => {
+    if (!owner) return
+    let cancelled = false
+    listRevisions(owner)
+      .then(list => {
+        if (cancelled) return
+        setRevisions(list)
+        setError(null)
+        setSelectedId(current => (list.some(r => r.id === current) ? current : list[0]?.id ?? null))
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message)
+      })
+    return () => {
+      cancelled = true
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ownerKey, refreshKey])
+
+  useEffect(() => {
+    if (!owner || selectedId === null) {
+      setSelected(null)
+      return
+    }
+    let cancelled = false
+    getRevision(owner, selectedId)
+      .then(revision => {
+        if (!cancelled) setSelected(revision)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message)
+      })
+    return () => {
+      cancelled = true
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ownerKey, selectedId])
+
+  const renderBody = () => {
+    if (!owner) {
+      return <div className="revision-empty">Save the shader to start its revision history.</div>
+    }
+    if (error) {
+      return <div className="revision-empty error">{error}</div>
+    }
+    if (revisions.length === 0) {
+      return <div className="revision-empty">No revisions yet - they are recorded on each successful compile and save.</div>
+    }
+
+    return (
+      <div className="revision-body">
+        <ul className="revision-list">
+          {revisions.map(revision => (
+            <li
+              key={revision.id}
+              className={`revision-row ${revision.id === selectedId ? 'active' : ''}`}
+              onClick={() => setSelectedId(revision.id)}
+            >
+              <span className="revision-number">#{revision.id}</span>
+              <span className={`revision-reason ${revision.reason}`}>{REASON_LABELS[revision.reason]}</span>
+              <span className="revision-time">{formatRevisionTime(revision.createdAt)}</span>
+              {revision.id === previewRevisionId && <span className="revision-previewing">Previewing</span>}
+            </li>
+          ))}
+        </ul>
+        <div className="revision-diff">
+          {selected && selected.id === selectedId ? (
+            <>
+              <div className="revision-diff-toolbar">
+                <span>#{selected.id} → current code</span>
+                <div className="revision-actions">
+                  <button
+                    className="mesh-btn"
+                    onClick={() => onPreview(previewRevisionId === selected.id ? null : selected)}
+                    title="Render this revision in the preview to compare it with the current shader"
+                  >
+                    {previewRevisionId === selected.id ? 'Show Current' : 'Preview'}
+                  </button>
+                  <button
+                    className="save-btn"
+                    onClick={() => onRestore(selected)}
+                    title="Replace the editor contents with this revision"
+                  >
+                    Restore
+                  </button>
+                </div>
+              </div>
+              <div className="revision-diff-editor">
+                <DiffEditor
+                  height="100%"
+                  language="slang"
+                  theme="vs-dark"
+                  original={selected.code}
+                  modified={currentCode}
+                  options={{
+                    readOnly: true,
+                    renderSideBySide: false,
+                    minimap: { enabled: false },
+                    fontSize: 13,
+                    scrollBeyondLastLine: false,
+                    automaticLayout: true
+                  }}
+                />
+              </div>
+            </>
+          ) : (
+            <div className="revision-empty">Loading revision...</div>
+          )}
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="revision-panel">
+      <div className="revision-header">
+        <span>History</span>
+        <button className="revision-close" onClick={onClose} title="Back to the editor">×</button>
+      </div>
+      {renderBody()}
+    </div>
+  )
+}
@@ -1,6 +1,6 @@
 import { useNavigate } from 'react-router-dom'
 
-export default function ShaderCard({ shader }) {
+export default function ShaderCard({ shader, selectedTags = [], onTagClick, onDelete }) {
   const navigate = useNavigate()
 
   const handleClick = () => {
@@ -12,6 +12,18 @@ export default function ShaderCard({ shader }) {
     e.target.src = '/images/placeholder.svg'
   }
 
+  const handleTagClick = (e, tag) => {
+    // Filter the gallery instead of opening the editor
+    e.stopPropagation()
+    onTagClick(tag)
+  }
+
+  const handleDelete = (e) => {
+    // Don't open the editor when deleting
+    e.stopPropagation()
+    onDelete(shader)
+  }
+
   return (
     <div className="shader-card" onClick={handleClick}>
       <div className="shader-preview">
@@ -23,7 +35,32 @@ export default function ShaderCard({ shader }) {
         />
       </div>
       <div className="shader-info">
-        <h3>{shader.name}</h3>
+        <div className="shader-info-header">
+          <h3>{shader.name}</h3>
+          {shader.saved && <span className="shader-badge">Saved</span>}
+          {onDelete && (
+            <button className="shader-delete-btn" onClick={handleDelete} title="Delete shader">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M3 6h18M8 6V4h8v2M19 6l-1 14H6L5 6"/>
+              </svg>
+            </button>
+          )}
+        </div>
+        {shader.author && <p className="shader-author">by {shader.author}</p>}
+        {shader.description && <p className="shader-description">{shader.description}</p>}
+        {shader.tags?.length > 0 && (
+          <div className="shader-tags">
+            {shader.tags.map(tag => (
+              <button
+                key={tag}
+                className={`tag-chip small ${selectedTags.includes(tag) ? 'active' : ''}`}
+                onClick={onTagClick ? (e) => handleTagClick(e, tag) : undefined}
+              >
+                {tag}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   )
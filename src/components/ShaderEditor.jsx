@@ -1,7 +1,69 @@
+import { useRef, useState, useEffect } from 'react'
 import Editor from '@monaco-editor/react'
+import { registerSlangLanguageFeatures, setModelMode } from '../utils/slangLanguage'
+
+const MARKER_OWNER = 'shader-diagnostics'
+
+export default function ShaderEditor({ value, onChange, onKeyDown, diagnostics = [], editorRef, mode = 'materialLibrary' }) {
+  // Commands are registered once on mount, so read the latest handler through a ref
+  const onKeyDownRef = useRef(onKeyDown)
+  onKeyDownRef.current = onKeyDown
+
+  const [instance, setInstance] = useState(null) // { editor, monaco } once mounted
+
+  // Completions and hovers list the predefined inputs of the current compile mode
+  useEffect(() => {
+    const model = instance?.editor.getModel()
+    if (model) setModelMode(model, mode)
+  }, [instance, mode])
+
+  // Show diagnostics as squiggles, gutter icons and hover text
+  useEffect(() => {
+    if (!instance) return
+    const { editor, monaco } = instance
+    const model = editor.getModel()
+    if (!model) return
+
+    const lineCount = model.getLineCount()
+    const markers = diagnostics
+      .filter(d => d.line)
+      .map(d => {
+        const line = Math.min(d.line, lineCount)
+        const maxColumn = model.getLineMaxColumn(line)
+        const hasRange = d.column && d.endColumn && d.column < maxColumn
+        return {
+          severity: d.severity === 'warning' ? monaco.MarkerSeverity.Warning : monaco.MarkerSeverity.Error,
+          message: d.pass ? `${d.pass}: ${d.message}` : d.message,
+          code: d.code || undefined,
+          source: d.source,
+          startLineNumber: line,
+          endLineNumber: line,
+          startColumn: hasRange ? d.column : model.getLineFirstNonWhitespaceColumn(line) || 1,
+          endColumn: hasRange ? Math.min(d.endColumn, maxColumn) : maxColumn
+        }
+      })
+    monaco.editor.setModelMarkers(model, MARKER_OWNER, markers)
+  }, [instance, diagnostics])
+
+  // Let the parent move the cursor to a problem
+  useEffect(() => {
+    if (!editorRef || !instance) return
+    editorRef.current = {
+      goToLine(line, column = 1) {
+        const { editor } = instance
+        editor.revealLineInCenter(line)
+        editor.setPosition({ lineNumber: line, column })
+        editor.focus()
+      }
+    }
+    return () => {
+      editorRef.current = null
+    }
+  }, [editorRef, instance])
 
-export default function ShaderEditor({ value, onChange, onKeyDown }) {
   const handleEditorMount = (editor, monaco) => {
+    setInstance({ editor, monaco })
+
     // Register GLSL language if not already registered
     if (!monaco.languages.getLanguages().some(lang => lang.id === 'glsl')) {
       monaco.languages.register({ id: 'glsl' })
@@ -70,7 +132,8 @@ export default function ShaderEditor({ value, onChange, onKeyDown }) {
             [/\b(abs|acos|all|any|asin|atan|atan2|ceil|clamp|clip|cos|cosh|cross|ddx|ddy|degrees|determinant|distance|dot|exp|exp2|faceforward|floor|fmod|frac|frexp|fwidth|isfinite|isinf|isnan|ldexp|length|lerp|lit|log|log10|log2|mad|max|min|modf|mul|normalize|pow|radians|rcp|reflect|refract|round|rsqrt|saturate|sign|sin|sincos|sinh|smoothstep|sqrt|step|tan|tanh|tex1D|tex2D|tex3D|texCUBE|transpose|trunc)\b/, 'function'],
 
             // Pre-defined variables (from our wrapper)
-            [/\b(iResolution|iTime|iTimeDelta|iFrame|iFrameRate|iUV|iNormal|iPosition|fragColor)\b/, 'variable.predefined'],
+            [/\b(iResolution|iTime|iTimeDelta|iFrame|iFrameRate|iUV|iNormal|iPosition|iMouse|iDate|fragColor)\b/, 'variable.predefined'],
+            [/\b(iChannel[0-3](?:Sampler)?|iChannelResolution|iChannelTime|iBuffer[A-D](?:Sampler)?)\b/, 'variable.predefined'],
 
             // Numbers
             [/\b\d+\.?\d*([eE][-+]?\d+)?[fFhHlL]?\b/, 'number'],
@@ -92,12 +155,16 @@ export default function ShaderEditor({ value, onChange, onKeyDown }) {
       })
     }
 
-    // Add Ctrl+Enter keybinding for compile
-    if (onKeyDown) {
-      editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, () => {
-        onKeyDown({ ctrlKey: true, key: 'Enter' })
-      })
-    }
+    // Completion, hover and signature help
+    registerSlangLanguageFeatures(monaco)
+
+    // Add Ctrl+Enter keybinding for compile and Ctrl+S for save
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, () => {
+      onKeyDownRef.current?.({ ctrlKey: true, key: 'Enter' })
+    })
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
+      onKeyDownRef.current?.({ ctrlKey: true, key: 's' })
+    })
   }
 
   return (
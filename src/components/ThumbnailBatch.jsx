@@ -0,0 +1,173 @@
+import { useState, useRef, useCallback, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import Viewer from './Viewer'
+import { shaders } from '../shaders'
+import { compileSlangPasses, uploadLibraryThumbnail, getAdminToken, setAdminToken } from '../utils/shaderApi'
+
+// Frames to wait after swapping shaders so the new material is built and drawn
+const SETTLE_FRAMES = 3
+
+function waitForFrames(count) {
+  return new Promise(resolve => {
+    const step = (remaining) => {
+      if (remaining === 0) resolve()
+      else requestAnimationFrame(() => step(remaining - 1))
+    }
+    step(count)
+  })
+}
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  working: 'Rendering...',
+  done: 'Updated',
+  error: 'Failed'
+}
+
+// Regenerates the thumbnail of every library shader in the browser: each shader is
+// compiled, shown in an off-screen capture of the Viewer and uploaded to the server.
+// Dev-only - the server writes the images into public/images/thumbnails in the source
+// tree (it needs ADMIN_TOKEN set), so commit them and rebuild to publish new thumbnails
+export default function ThumbnailBatch() {
+  const navigate = useNavigate()
+  const captureRef = useRef(null)
+  const viewerErrorRef = useRef(null)
+  const stopRef = useRef(false)
+  const previewUrlsRef = useRef([])
+  const [current, setCurrent] = useState(null)
+  const [results, setResults] = useState({})
+  const [running, setRunning] = useState(false)
+  const [adminToken, setAdminTokenState] = useState(getAdminToken)
+
+  // Release captured previews when leaving the page
+  useEffect(() => {
+    const previewUrls = previewUrlsRef.current
+    return () => previewUrls.forEach(url => URL.revokeObjectURL(url))
+  }, [])
+
+  const handleError = useCallback((err) => {
+    viewerErrorRef.current = err
+  }, [])
+
+  const setResult = (id, result) => {
+    setResults(prev => ({ ...prev, [id]: result }))
+  }
+
+  const handleStart = async () => {
+    stopRef.current = false
+    setRunning(true)
+    setResults(Object.fromEntries(shaders.map(shader => [shader.id, { status: 'pending' }])))
+
+    for (const shader of shaders) {
+      if (stopRef.current) break
+      setResult(shader.id, { status: 'working' })
+
+      try {
+        const result = await compileSlangPasses(shader.code, {
+          target: 'glsl',
+          mode: shader.mode || 'materialLibrary'
+        })
+
+        viewerErrorRef.current = null
+        const imagePass = result.passes[result.passes.length - 1]
+        setCurrent({
+          meshType: shader.meshType || 'sphere',
+          userCode: imagePass.code,
+          vertexCode: imagePass.vertexCode || null,
+          bufferPasses: result.passes.slice(0, -1),
+          parameters: result.parameters,
+          parameterValues: Object.fromEntries(result.parameters.map(p => [p.name, p.default]))
+        })
+        await waitForFrames(SETTLE_FRAMES)
+
+        if (viewerErrorRef.current) throw new Error(viewerErrorRef.current)
+        if (!captureRef.current) throw new Error('Preview is not ready')
+
+        const png = await captureRef.current()
+        await uploadLibraryThumbnail(shader.fileName, png)
+
+        const preview = URL.createObjectURL(png)
+        previewUrlsRef.current.push(preview)
+        setResult(shader.id, { status: 'done', preview })
+      } catch (err) {
+        setResult(shader.id, { status: 'error', message: err.message })
+      }
+    }
+
+    setRunning(false)
+  }
+
+  const handleAdminTokenChange = (e) => {
+    setAdminTokenState(e.target.value)
+    setAdminToken(e.target.value)
+  }
+
+  const handleStop = () => {
+    stopRef.current = true
+  }
+
+  const finished = Object.values(results).filter(r => r.status === 'done' || r.status === 'error').length
+
+  return (
+    <div className="thumbnail-batch">
+      <header className="thumbnail-batch-header">
+        <button className="back-btn" onClick={() => navigate('/')} disabled={running}>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7"/>
+          </svg>
+        </button>
+        <h2>Regenerate Library Thumbnails</h2>
+        <input
+          type="password"
+          className="thumbnail-batch-token"
+          placeholder="Admin token"
+          value={adminToken}
+          onChange={handleAdminTokenChange}
+          disabled={running}
+          title="The server's ADMIN_TOKEN - needed to write the thumbnails"
+        />
+        {running && <span className="thumbnail-batch-progress">{finished} / {shaders.length}</span>}
+        {running ? (
+          <button className="export-btn" onClick={handleStop}>Stop</button>
+        ) : (
+          <button className="export-btn" onClick={handleStart} disabled={shaders.length === 0 || !adminToken}>Start</button>
+        )}
+      </header>
+
+      <div className="thumbnail-batch-content">
+        <div className="thumbnail-batch-viewer">
+          <Viewer
+            meshType={current?.meshType || 'sphere'}
+            userCode={current?.userCode || null}
+            vertexCode={current?.vertexCode || null}
+            bufferPasses={current?.bufferPasses}
+            parameters={current?.parameters}
+            parameterValues={current?.parameterValues}
+            captureRef={captureRef}
+            onError={handleError}
+            slangCompiled
+          />
+        </div>
+
+        <ul className="thumbnail-batch-list">
+          {shaders.map(shader => {
+            const result = results[shader.id]
+            return (
+              <li key={shader.id} className={`thumbnail-batch-item ${result?.status || ''}`}>
+                <img
+                  src={result?.preview || shader.thumbnail}
+                  alt={shader.name}
+                  onError={(e) => { e.target.src = '/images/placeholder.svg' }}
+                />
+                <span className="thumbnail-batch-name">{shader.name}</span>
+                <span className="thumbnail-batch-status" title={result?.message}>
+                  {result ? STATUS_LABELS[result.status] : ''}
+                </span>
+              </li>
+            )
+          })}
+        </ul>
+      </div>
+    </div>
+  )
+}
@@ -2,89 +2,404 @@ import { useRef, useMemo, useEffect, useState } from 'react'
 import { Canvas, useFrame, useThree } from '@react-three/fiber'
 import { OrbitControls } from '@react-three/drei'
 import * as THREE from 'three'
+import { CHANNEL_COUNT, getChannelUrl } from '../utils/channelTextures'
+import { BUFFER_NAMES } from '../utils/shaderPasses'
+import { createBuiltinGeometries, disposeGeometries } from '../utils/meshes'
+import {
+  VERTEX_SHADER,
+  QUAD_VERTEX_SHADER,
+  VERTEX_PREFIX,
+  buildVertexShader,
+  convertSlangGlslToWebGL,
+  convertSlangVertexToWebGL,
+  enableDerivatives
+} from '../utils/webglShader'
+
+// Stable defaults so the material isn't rebuilt on every render
+const NO_PARAMETERS = []
+const NO_VALUES = {}
+const NO_CHANNELS = []
+const NO_PASSES = []
+
+// Thumbnails are rendered off-screen at a fixed size, time and camera so every
+// capture of a shader comes out the same
+const THUMBNAIL_WIDTH = 480
+const THUMBNAIL_HEIGHT = 360
+const THUMBNAIL_TIME = 2.0
+const THUMBNAIL_FRAME_RATE = 60
+
+// Date for thumbnails and recordings, advanced by the render time
+const CAPTURE_DATE = [2025, 0, 1, 43200] // Jan 1st, noon
+
+// 1x1 black texture bound to channels without an image
+function createBlankTexture() {
+  const texture = new THREE.DataTexture(new Uint8Array([0, 0, 0, 255]), 1, 1)
+  texture.needsUpdate = true
+  return texture
+}
+
+// Convert a material parameter value into a three.js uniform value
+function toUniformValue(param, value) {
+  switch (param.valueType) {
+    case 'bool':
+      return value ? 1 : 0
+    case 'float2':
+      return new THREE.Vector2(...value)
+    case 'float3':
+      return new THREE.Vector3(...value)
+    case 'float4':
+      return new THREE.Vector4(...value)
+    default:
+      return value
+  }
+}
 
-// Fixed vertex shader - users don't need to touch this
-const VERTEX_SHADER = `
-varying vec2 vUv;
-varying vec3 vNormal;
-varying vec3 vPosition;
-
-void main() {
-  vUv = uv;
-  vNormal = normalize(normalMatrix * normal);
-  vPosition = position;
-  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+// Compile a fragment (or vertex) shader on the GL context and return a readable error, or null if it compiles.
+// The error keeps the failing line of the generated GLSL so the editor can map it back to the source.
+function getShaderCompileError(gl, shaderSource, stage = 'fragment') {
+  const glContext = gl.getContext()
+  const vertex = stage === 'vertex'
+  const source = vertex ? VERTEX_PREFIX + shaderSource : enableDerivatives(shaderSource)
+  const shader = glContext.createShader(vertex ? glContext.VERTEX_SHADER : glContext.FRAGMENT_SHADER)
+  glContext.shaderSource(shader, source)
+  glContext.compileShader(shader)
+
+  const success = glContext.getShaderParameter(shader, glContext.COMPILE_STATUS)
+  const log = glContext.getShaderInfoLog(shader)
+  glContext.deleteShader(shader)
+
+  if (success || !log) return null
+
+  // Parse error message
+  const lineMatch = log.match(/ERROR: \d+:(\d+):(.*)/)
+  if (!lineMatch) {
+    return { message: log, glslLine: null }
+  }
+  const glslLine = source.split('\n')[parseInt(lineMatch[1]) - 1] || null
+  return { message: `WebGL Error${vertex ? ' (vertex stage)' : ''}: ${lineMatch[2].trim()}`, glslLine }
 }
-`
 
-// Convert spirv-cross GLSL ES output to WebGL-compatible GLSL
-function convertSlangGlslToWebGL(glslEsCode) {
-  let code = glslEsCode
+// Register a uniform for every material parameter (values are updated live by ShaderMesh)
+function registerParameterUniforms(uniforms, parameters, parameterValues) {
+  for (const param of parameters) {
+    const current = uniforms[param.name]
+    const value = parameterValues[param.name] ?? param.default
+    if (current && current.valueType === param.valueType) continue
+    uniforms[param.name] = { value: toUniformValue(param, value), valueType: param.valueType }
+  }
+}
 
-  // Remove #version directive (WebGL doesn't need it)
-  code = code.replace(/#version\s+\d+.*\r?\n?/g, '')
+function createBufferTarget(width, height) {
+  return new THREE.WebGLRenderTarget(width, height, {
+    type: THREE.HalfFloatType,
+    minFilter: THREE.LinearFilter,
+    magFilter: THREE.LinearFilter,
+    depthBuffer: false
+  })
+}
 
-  // Remove precision declarations (we'll add our own)
-  code = code.replace(/precision\s+(lowp|mediump|highp)\s+(float|int)\s*;\s*\r?\n?/g, '')
+// Buffer A-D passes: each renders a fullscreen quad into a ping-pong pair of render
+// targets. Returns the pass materials (or a compile error) and a render function
+// that ShaderMesh calls every frame before the mesh itself is drawn.
+function useBufferPasses(bufferPasses, uniforms, parameters, parameterValues) {
+  const { gl } = useThree()
+  const targetsRef = useRef({})
+  const lastGoodRef = useRef(null)
+
+  const quad = useMemo(() => {
+    const scene = new THREE.Scene()
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1)
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2))
+    mesh.frustumCulled = false
+    scene.add(mesh)
+    return { scene, camera, mesh }
+  }, [])
+
+  const compiled = useMemo(() => {
+    registerParameterUniforms(uniforms, parameters, parameterValues)
+
+    const materials = []
+    for (const pass of bufferPasses) {
+      const fragmentShader = convertSlangGlslToWebGL(pass.code, parameters)
+      const error = getShaderCompileError(gl, fragmentShader)
+      if (error) {
+        return { materials: [], error: { ...error, pass: pass.name } }
+      }
+      materials.push({
+        name: pass.name,
+        material: new THREE.ShaderMaterial({ uniforms, vertexShader: QUAD_VERTEX_SHADER, fragmentShader })
+      })
+    }
+    return { materials, error: null }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [bufferPasses, parameters, uniforms, gl])
+
+  // Passes that fail to compile leave the last working ones running
+  const passes = compiled.error && lastGoodRef.current ? lastGoodRef.current : compiled
+
+  // New pass code restarts the simulation from empty buffers
+  useEffect(() => {
+    if (!passes.error) lastGoodRef.current = passes
+    return () => {
+      passes.materials.forEach(({ material }) => material.dispose())
+      Object.values(targetsRef.current).forEach(({ read, write }) => {
+        read.dispose()
+        write.dispose()
+      })
+      targetsRef.current = {}
+    }
+  }, [passes])
+
+  // Point every iBuffer uniform at the most recently completed frame of that buffer
+  const bindBuffers = () => {
+    for (const name of BUFFER_NAMES) {
+      const target = targetsRef.current[name]
+      if (target) uniforms[`i${name}`].value = target.read.texture
+    }
+  }
+
+  const render = () => {
+    if (passes.materials.length === 0) return
+
+    const width = Math.max(1, Math.round(uniforms.uResolution.value.x))
+    const height = Math.max(1, Math.round(uniforms.uResolution.value.y))
+    const previousTarget = gl.getRenderTarget()
+
+    for (const { name, material } of passes.materials) {
+      let target = targetsRef.current[name]
+      if (!target) {
+        target = targetsRef.current[name] = {
+          read: createBufferTarget(width, height),
+          write: createBufferTarget(width, height)
+        }
+      } else if (target.read.width !== width || target.read.height !== height) {
+        target.read.setSize(width, height)
+        target.write.setSize(width, height)
+      }
 
-  // Remove the GlobalParams_std140 struct definition
-  code = code.replace(/struct\s+GlobalParams_std140\s*\{[^}]*\}\s*;\s*/gs, '')
+      // A pass reading its own buffer sees the previous frame
+      bindBuffers()
+      quad.mesh.material = material
+      gl.setRenderTarget(target.write)
+      gl.render(quad.scene, quad.camera)
+      ;[target.read, target.write] = [target.write, target.read]
+    }
 
-  // Remove the uniform struct instance declaration
-  code = code.replace(/uniform\s+GlobalParams_std140\s+globalParams\s*;\s*/g, `
-uniform vec2 uResolution;
-uniform float uTime;
-uniform float uTimeDelta;
-uniform float uFrame;
-uniform float uFrameRate;
-`)
+    gl.setRenderTarget(previousTarget)
+    bindBuffers()
+  }
 
-  // Map spirv-cross uniform references to our uniform names
-  code = code.replace(/globalParams\.uResolution/g, 'uResolution')
-  code = code.replace(/globalParams\.uTime/g, 'uTime')
-  code = code.replace(/globalParams\.uTimeDelta/g, 'uTimeDelta')
-  code = code.replace(/globalParams\.uFrame/g, 'uFrame')
-  code = code.replace(/globalParams\.uFrameRate/g, 'uFrameRate')
+  // Start the buffers over from empty
+  const reset = () => {
+    Object.values(targetsRef.current).forEach(({ read, write }) => {
+      read.dispose()
+      write.dispose()
+    })
+    targetsRef.current = {}
+    for (const name of BUFFER_NAMES) {
+      // Buffer textures went with their targets, blank ones are freed here
+      const previous = uniforms[`i${name}`].value
+      if (previous?.isDataTexture) previous.dispose()
+      uniforms[`i${name}`].value = createBlankTexture()
+    }
+  }
 
-  // Map spirv-cross varying names to our vertex shader's varying names
-  code = code.replace(/\binput_uv\b/g, 'vUv')
-  code = code.replace(/\binput_normal\b/g, 'vNormal')
-  code = code.replace(/\binput_position\b/g, 'vPosition')
+  return { error: compiled.error, active: passes.materials.length > 0, render, reset }
+}
 
-  // Remove highp qualifiers from varying declarations (we'll use global precision)
-  code = code.replace(/varying\s+highp\s+/g, 'varying ')
+// Save the uniforms the frame loop drives, returns a function that puts them back
+function saveFrameUniforms(uniforms) {
+  const saved = {
+    resolution: uniforms.uResolution.value.clone(),
+    time: uniforms.uTime.value,
+    timeDelta: uniforms.uTimeDelta.value,
+    frame: uniforms.uFrame.value,
+    frameRate: uniforms.uFrameRate.value,
+    mouse: uniforms.uMouse.value.clone(),
+    date: uniforms.uDate.value.clone(),
+    channelTime: [...uniforms.iChannelTime.value]
+  }
+
+  return () => {
+    uniforms.uResolution.value.copy(saved.resolution)
+    uniforms.uTime.value = saved.time
+    uniforms.uTimeDelta.value = saved.timeDelta
+    uniforms.uFrame.value = saved.frame
+    uniforms.uFrameRate.value = saved.frameRate
+    uniforms.uMouse.value.copy(saved.mouse)
+    uniforms.uDate.value.copy(saved.date)
+    uniforms.iChannelTime.value = saved.channelTime
+  }
+}
 
-  // Convert gl_FragData[0] to gl_FragColor
-  code = code.replace(/gl_FragData\s*\[\s*0\s*\]/g, 'gl_FragColor')
+// Frame uniforms for an off-screen render at a fixed time, with no mouse input
+function setFrameUniforms(uniforms, { width, height, time, frame, fps }) {
+  uniforms.uResolution.value.set(width, height)
+  uniforms.uTime.value = time
+  uniforms.uTimeDelta.value = 1 / fps
+  uniforms.uFrame.value = frame
+  uniforms.uFrameRate.value = fps
+  uniforms.uMouse.value.set(0, 0, 0, 0)
+  uniforms.uDate.value.set(CAPTURE_DATE[0], CAPTURE_DATE[1], CAPTURE_DATE[2], CAPTURE_DATE[3] + time)
+  uniforms.iChannelTime.value.fill(time)
+}
 
-  // Convert infinite loop pattern for(;;) to WebGL-compatible loop
-  code = code.replace(/for\s*\(\s*;\s*;\s*\)/g, 'for(int _loopIdx = 0; _loopIdx < 10000; _loopIdx++)')
+// Render the buffer passes and the scene into a render target and read it back.
+// Shader output is written as-is (no sRGB target) so images match the on-screen preview.
+function renderToImage(gl, scene, camera, target, buffers) {
+  const { width, height } = target
+  const pixels = new Uint8Array(width * height * 4)
+  const previousTarget = gl.getRenderTarget()
+  try {
+    buffers.render()
+    gl.setRenderTarget(target)
+    gl.render(scene, camera)
+    gl.readRenderTargetPixels(target, 0, 0, width, height, pixels)
+  } finally {
+    gl.setRenderTarget(previousTarget)
+  }
+
+  // WebGL rows start at the bottom, image rows at the top
+  const image = new ImageData(width, height)
+  const rowSize = width * 4
+  for (let y = 0; y < height; y++) {
+    const sourceRow = (height - 1 - y) * rowSize
+    image.data.set(pixels.subarray(sourceRow, sourceRow + rowSize), y * rowSize)
+  }
+  return image
+}
 
-  // Add precision qualifier at the beginning
-  code = 'precision highp float;\n' + code
+// Render the scene into a PNG with the fixed thumbnail settings, then restore the live uniforms
+function renderThumbnail(gl, scene, uniforms, buffers) {
+  const target = new THREE.WebGLRenderTarget(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT)
+
+  const camera = new THREE.PerspectiveCamera(50, THUMBNAIL_WIDTH / THUMBNAIL_HEIGHT, 0.1, 1000)
+  camera.position.set(0, 0, 5)
+  camera.lookAt(0, 0, 0)
+
+  const restore = saveFrameUniforms(uniforms)
+  const lastFrame = Math.round(THUMBNAIL_TIME * THUMBNAIL_FRAME_RATE)
+  const frameUniforms = (frame) => ({
+    width: THUMBNAIL_WIDTH,
+    height: THUMBNAIL_HEIGHT,
+    time: frame / THUMBNAIL_FRAME_RATE,
+    frame,
+    fps: THUMBNAIL_FRAME_RATE
+  })
 
-  // Clean up multiple empty lines and carriage returns
-  code = code.replace(/\r\n/g, '\n')
-  code = code.replace(/\n{3,}/g, '\n\n')
+  let image
+  try {
+    // Buffer passes run from empty up to the captured frame, like the live preview
+    // does, so feedback shaders come out the same on every capture
+    if (buffers.active) {
+      buffers.reset()
+      for (let frame = 0; frame < lastFrame; frame++) {
+        setFrameUniforms(uniforms, frameUniforms(frame))
+        buffers.render()
+      }
+    }
+    setFrameUniforms(uniforms, frameUniforms(lastFrame))
+    image = renderToImage(gl, scene, camera, target, buffers)
+  } finally {
+    target.dispose()
+    restore()
+    // The live preview starts its buffers over after a capture
+    if (buffers.active) buffers.reset()
+  }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = THUMBNAIL_WIDTH
+  canvas.height = THUMBNAIL_HEIGHT
+  canvas.getContext('2d').putImageData(image, 0, 0)
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode thumbnail'))), 'image/png')
+  })
+}
 
-  return code.trim()
+// Start an off-screen recording from the current camera. The live frame loop is
+// paused and buffer passes restart empty, so frame N is the same on every run.
+// The recorder drives time and frame number through renderFrame until finish().
+function startRecording(gl, scene, liveCamera, uniforms, buffers, pausedRef, { width, height }) {
+  const camera = liveCamera.clone()
+  camera.aspect = width / height
+  camera.updateProjectionMatrix()
+
+  const target = new THREE.WebGLRenderTarget(width, height)
+  const restore = saveFrameUniforms(uniforms)
+  pausedRef.current = true
+  buffers.reset()
+
+  return {
+    renderFrame({ time, frame, fps }) {
+      setFrameUniforms(uniforms, { width, height, time, frame, fps })
+      return renderToImage(gl, scene, camera, target, buffers)
+    },
+
+    finish() {
+      target.dispose()
+      restore()
+      buffers.reset()
+      pausedRef.current = false
+    }
+  }
 }
 
-function ShaderMesh({ meshType, userCode, onError, slangCompiled }) {
-  const meshRef = useRef()
+function ShaderMesh({ meshType, customGeometries, userCode, vertexCode, bufferPasses, parameters, parameterValues, channels, mouseRef, captureRef, recorderRef, onError, slangCompiled }) {
   const materialRef = useRef()
-  const { gl } = useThree()
+  const { gl, scene, camera } = useThree()
   const frameCountRef = useRef(0)
   const lastTimeRef = useRef(0)
+  const pausedRef = useRef(false) // Set while recording, the recorder drives the uniforms
 
   const uniforms = useMemo(() => ({
     uResolution: { value: new THREE.Vector2(800, 600) },
     uTime: { value: 0 },
     uTimeDelta: { value: 0 },
     uFrame: { value: 0 },
-    uFrameRate: { value: 60 }
+    uFrameRate: { value: 60 },
+    uMouse: { value: new THREE.Vector4() },
+    uDate: { value: new THREE.Vector4() },
+    iChannelResolution: { value: Array.from({ length: CHANNEL_COUNT }, () => new THREE.Vector3(1, 1, 1)) },
+    iChannelTime: { value: new Array(CHANNEL_COUNT).fill(0) },
+    ...Object.fromEntries(Array.from({ length: CHANNEL_COUNT }, (_, i) => [`iChannel${i}`, { value: createBlankTexture() }])),
+    ...Object.fromEntries(BUFFER_NAMES.map(name => [`i${name}`, { value: createBlankTexture() }]))
   }), [])
 
+  const buffers = useBufferPasses(bufferPasses, uniforms, parameters, parameterValues)
+
+  // Load channel textures and bind them to iChannel0-3
+  useEffect(() => {
+    const loader = new THREE.TextureLoader()
+    const loaded = []
+    let cancelled = false
+
+    for (let i = 0; i < CHANNEL_COUNT; i++) {
+      const url = getChannelUrl(channels[i])
+      if (!url) {
+        uniforms[`iChannel${i}`].value = createBlankTexture()
+        uniforms.iChannelResolution.value[i].set(1, 1, 1)
+        continue
+      }
+      loader.load(url, (texture) => {
+        if (cancelled) {
+          texture.dispose()
+          return
+        }
+        texture.wrapS = THREE.RepeatWrapping
+        texture.wrapT = THREE.RepeatWrapping
+        loaded.push(texture)
+        uniforms[`iChannel${i}`].value = texture
+        uniforms.iChannelResolution.value[i].set(texture.image.width, texture.image.height, 1)
+      })
+    }
+
+    return () => {
+      cancelled = true
+      loaded.forEach(texture => texture.dispose())
+    }
+  }, [channels, uniforms])
+
   // Update resolution on resize
   useEffect(() => {
     const updateResolution = () => {
@@ -97,6 +412,9 @@ function ShaderMesh({ meshType, userCode, onError, slangCompiled }) {
     return () => window.removeEventListener('resize', updateResolution)
   }, [uniforms])
 
+  // Last material that compiled, kept on screen while newer code has errors
+  const lastGoodMaterialRef = useRef(null)
+
   const material = useMemo(() => {
     // Check if we have compiled code
     if (!userCode) {
@@ -107,41 +425,47 @@ function ShaderMesh({ meshType, userCode, onError, slangCompiled }) {
 
     // userCode is already the compiled GLSL from server
     // We need to convert it from GLSL 450 to WebGL-compatible GLSL
-    const fragmentShader = convertSlangGlslToWebGL(userCode)
-
-    // Manually compile shader to check for errors
-    const glContext = gl.getContext()
-    const shader = glContext.createShader(glContext.FRAGMENT_SHADER)
-    glContext.shaderSource(shader, fragmentShader)
-    glContext.compileShader(shader)
-
-    const success = glContext.getShaderParameter(shader, glContext.COMPILE_STATUS)
-    const log = glContext.getShaderInfoLog(shader)
-    glContext.deleteShader(shader)
-
-    if (!success && log) {
-      // Parse error message
-      let errorMsg = log
-      const lineMatch = log.match(/ERROR: \d+:(\d+):(.*)/)
-      if (lineMatch) {
-        const msg = lineMatch[2].trim()
-        errorMsg = `WebGL Error: ${msg}`
-      }
-      onError(errorMsg)
-      return new THREE.MeshBasicMaterial({ color: 0x331111 })
+    const fragmentShader = convertSlangGlslToWebGL(userCode, parameters)
+    // A "// @vertex" section replaces the fixed vertex shader (normals are recomputed after the offset)
+    const vertexShader = vertexCode ? buildVertexShader(convertSlangVertexToWebGL(vertexCode, parameters)) : VERTEX_SHADER
+
+    // Manually compile shader to check for errors (buffer pass errors included)
+    const shaderError = buffers.error || getShaderCompileError(gl, fragmentShader) ||
+      (vertexCode ? getShaderCompileError(gl, vertexShader, 'vertex') : null)
+    if (shaderError) {
+      onError(shaderError.pass ? `${shaderError.pass}: ${shaderError.message}` : shaderError.message, shaderError)
+      return lastGoodMaterialRef.current || new THREE.MeshBasicMaterial({ color: 0x331111 })
     }
 
     onError(null)
 
+    registerParameterUniforms(uniforms, parameters, parameterValues)
+
     return new THREE.ShaderMaterial({
       uniforms,
-      vertexShader: VERTEX_SHADER,
+      vertexShader,
       fragmentShader,
       side: THREE.DoubleSide
     })
-  }, [userCode, uniforms, onError, gl, slangCompiled])
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userCode, vertexCode, buffers.error, parameters, uniforms, onError, gl, slangCompiled])
+
+  // Push parameter changes straight into the uniforms - no recompile needed
+  useEffect(() => {
+    for (const param of parameters) {
+      const uniform = uniforms[param.name]
+      const value = parameterValues[param.name]
+      if (!uniform || value === undefined) continue
+      if (typeof uniform.value === 'number') {
+        uniform.value = toUniformValue(param, value)
+      } else {
+        uniform.value.fromArray(value)
+      }
+    }
+  }, [parameters, parameterValues, uniforms])
 
   useFrame((state) => {
+    if (pausedRef.current) return
     if (materialRef.current && materialRef.current.uniforms) {
       const currentTime = state.clock.elapsedTime
       const deltaTime = currentTime - lastTimeRef.current
@@ -152,28 +476,80 @@ function ShaderMesh({ meshType, userCode, onError, slangCompiled }) {
       materialRef.current.uniforms.uTimeDelta.value = deltaTime
       materialRef.current.uniforms.uFrame.value = frameCountRef.current
       materialRef.current.uniforms.uFrameRate.value = deltaTime > 0 ? 1 / deltaTime : 60
+      materialRef.current.uniforms.iChannelTime.value.fill(currentTime)
+
+      // iMouse in pixels (ShaderToy convention): xy = position while pressed,
+      // zw = click position, z negative once released, w positive only on the click frame
+      const mouse = mouseRef.current
+      const resolution = materialRef.current.uniforms.uResolution.value
+      materialRef.current.uniforms.uMouse.value.set(
+        mouse.x * resolution.x,
+        mouse.y * resolution.y,
+        (mouse.down ? 1 : -1) * mouse.clickX * resolution.x,
+        (mouse.clicked ? 1 : -1) * mouse.clickY * resolution.y
+      )
+      mouse.clicked = false
+
+      // iDate: year, month (0-11), day (1-31), seconds since midnight
+      const now = new Date()
+      materialRef.current.uniforms.uDate.value.set(
+        now.getFullYear(),
+        now.getMonth(),
+        now.getDate(),
+        now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds() + now.getMilliseconds() / 1000
+      )
+
+      // Multi-pass: update Buffer A-D before the mesh samples them
+      buffers.render()
     }
   })
 
   // Update material ref when material changes
   useEffect(() => {
     materialRef.current = material
-  }, [material])
+    if (material.isShaderMaterial) {
+      lastGoodMaterialRef.current = material
+    } else if (!userCode) {
+      // A new shader is loading, don't fall back to the previous one
+      lastGoodMaterialRef.current = null
+    }
+  }, [material, userCode])
 
-  const geometry = useMemo(() => {
-    switch (meshType) {
-      case 'cube':
-        return new THREE.BoxGeometry(2, 2, 2)
-      case 'plane':
-        return new THREE.PlaneGeometry(3, 3, 32, 32)
-      case 'sphere':
-      default:
-        return new THREE.SphereGeometry(1.5, 64, 64)
+  // Let the editor capture thumbnails of the current material
+  useEffect(() => {
+    if (!captureRef) return
+    captureRef.current = () => renderThumbnail(gl, scene, uniforms, buffers)
+    return () => {
+      captureRef.current = null
+    }
+  }, [captureRef, gl, scene, uniforms, buffers])
+
+  // Let the editor record the current material frame by frame
+  useEffect(() => {
+    if (!recorderRef) return
+    recorderRef.current = (size) => startRecording(gl, scene, camera, uniforms, buffers, pausedRef, size)
+    return () => {
+      recorderRef.current = null
     }
-  }, [meshType])
+  }, [recorderRef, gl, scene, camera, uniforms, buffers])
+
+  // Built-in shapes are created here, models are loaded by the editor.
+  // 'custom' shows the sphere until its model is there
+  const showCustom = meshType === 'custom' && !!customGeometries
+  const builtinGeometries = useMemo(
+    () => (showCustom ? null : createBuiltinGeometries(meshType)),
+    [meshType, showCustom]
+  )
+  useEffect(() => () => builtinGeometries && disposeGeometries(builtinGeometries), [builtinGeometries])
 
+  // Every part of a model is drawn with the shader
+  const geometries = builtinGeometries || customGeometries
   return (
-    <mesh ref={meshRef} geometry={geometry} material={material} />
+    <group>
+      {geometries.map((geometry, i) => (
+        <mesh key={i} geometry={geometry} material={material} />
+      ))}
+    </group>
   )
 }
 
@@ -198,17 +574,76 @@ function FpsTracker({ onFpsUpdate }) {
   return null
 }
 
-export default function Viewer({ meshType, userCode, onError, onFpsUpdate, slangCompiled }) {
+// Normalized (0-1, bottom-left origin) pointer position relative to the canvas
+function getPointerUv(e) {
+  const rect = e.currentTarget.getBoundingClientRect()
+  return {
+    x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+    y: Math.min(Math.max(1 - (e.clientY - rect.top) / rect.height, 0), 1)
+  }
+}
+
+export default function Viewer({ meshType, customGeometries = null, userCode, vertexCode = null, bufferPasses = NO_PASSES, parameters = NO_PARAMETERS, parameterValues = NO_VALUES, channels = NO_CHANNELS, mouseMode = false, captureRef, recorderRef, onError, onFpsUpdate, slangCompiled }) {
+  const mouseRef = useRef({ x: 0, y: 0, clickX: 0, clickY: 0, down: false, clicked: false })
+  const [shiftHeld, setShiftHeld] = useState(false)
+
+  // Holding Shift temporarily routes drags to iMouse instead of the orbit camera
+  useEffect(() => {
+    const handleKey = (e) => setShiftHeld(e.shiftKey)
+    const handleBlur = () => setShiftHeld(false)
+    window.addEventListener('keydown', handleKey)
+    window.addEventListener('keyup', handleKey)
+    window.addEventListener('blur', handleBlur)
+    return () => {
+      window.removeEventListener('keydown', handleKey)
+      window.removeEventListener('keyup', handleKey)
+      window.removeEventListener('blur', handleBlur)
+    }
+  }, [])
+
+  const mouseActive = mouseMode || shiftHeld
+
+  const handlePointerDown = (e) => {
+    if (!mouseActive || e.button !== 0) return
+    const { x, y } = getPointerUv(e)
+    Object.assign(mouseRef.current, { x, y, clickX: x, clickY: y, down: true, clicked: true })
+  }
+
+  const handlePointerMove = (e) => {
+    if (!mouseRef.current.down) return
+    Object.assign(mouseRef.current, getPointerUv(e))
+  }
+
+  const handlePointerUp = () => {
+    mouseRef.current.down = false
+  }
+
   return (
-    <Canvas camera={{ position: [0, 0, 5], fov: 50 }}>
+    <Canvas
+      camera={{ position: [0, 0, 5], fov: 50 }}
+      style={{ cursor: mouseActive ? 'crosshair' : 'auto' }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerLeave={handlePointerUp}
+    >
       <color attach="background" args={['#0a0a0f']} />
       <ShaderMesh
         meshType={meshType}
+        customGeometries={customGeometries}
         userCode={userCode}
+        vertexCode={vertexCode}
+        bufferPasses={bufferPasses}
+        parameters={parameters}
+        parameterValues={parameterValues}
+        channels={channels}
+        mouseRef={mouseRef}
+        captureRef={captureRef}
+        recorderRef={recorderRef}
         onError={onError}
         slangCompiled={slangCompiled}
       />
-      <OrbitControls enableDamping dampingFactor={0.05} />
+      <OrbitControls enabled={!mouseActive} enableDamping dampingFactor={0.05} />
       <FpsTracker onFpsUpdate={onFpsUpdate} />
     </Canvas>
   )
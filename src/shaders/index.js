@@ -1,14 +1,24 @@
+import { parseShaderMetadata } from '../utils/shaderMetadata'
+
 // Import all shader files from SlangLibrary folder
 const shaderModules = import.meta.glob('/SlangLibrary/*.slang', { query: '?raw', import: 'default', eager: true })
 
 // Process into a usable format
 export const shaders = Object.entries(shaderModules).map(([path, code]) => {
-  // Extract filename without extension as the shader name
+  // Extract filename without extension, used for the id and as the fallback name
   const filename = path.split('/').pop().replace('.slang', '')
+  const metadata = parseShaderMetadata(code)
 
   return {
     id: filename.toLowerCase().replace(/\s+/g, '-'),
-    name: filename,
+    fileName: filename,
+    name: metadata.title || filename,
+    author: metadata.author,
+    tags: metadata.tags,
+    description: metadata.description,
+    license: metadata.license,
+    meshType: metadata.mesh,
+    mode: metadata.mode,
     code: code.trim(),
     thumbnail: `/images/thumbnails/${filename}.png`
   }
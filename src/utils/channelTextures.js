@@ -0,0 +1,103 @@
+// Built-in textures for the iChannel0-3 inputs, generated on a canvas so they
+// don't need to ship as image files.
+
+export const CHANNEL_COUNT = 4
+
+const TEXTURE_SIZE = 256
+
+export const BUILTIN_TEXTURES = [
+  { id: 'rgbaNoise', name: 'RGBA Noise' },
+  { id: 'grayNoise', name: 'Gray Noise' },
+  { id: 'checker', name: 'Checker' },
+  { id: 'uvGrid', name: 'UV Grid' }
+]
+
+// Empty channel list (no texture bound to any channel)
+export function createEmptyChannels() {
+  return Array.from({ length: CHANNEL_COUNT }, () => null)
+}
+
+// Small deterministic PRNG so noise textures look the same on every load
+function mulberry32(seed) {
+  return () => {
+    seed |= 0
+    seed = (seed + 0x6D2B79F5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function drawBuiltinTexture(ctx, id) {
+  const size = TEXTURE_SIZE
+  const image = ctx.createImageData(size, size)
+  const data = image.data
+  const random = mulberry32(1383)
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = (y * size + x) * 4
+      switch (id) {
+        case 'rgbaNoise':
+          data[i] = random() * 255
+          data[i + 1] = random() * 255
+          data[i + 2] = random() * 255
+          data[i + 3] = random() * 255
+          break
+        case 'grayNoise': {
+          const v = random() * 255
+          data[i] = data[i + 1] = data[i + 2] = v
+          data[i + 3] = 255
+          break
+        }
+        case 'checker': {
+          const v = ((x >> 5) + (y >> 5)) % 2 === 0 ? 230 : 40
+          data[i] = data[i + 1] = data[i + 2] = v
+          data[i + 3] = 255
+          break
+        }
+        case 'uvGrid':
+        default: {
+          const line = x % 32 === 0 || y % 32 === 0
+          data[i] = line ? 255 : (x / size) * 255
+          data[i + 1] = line ? 255 : (1 - y / size) * 255
+          data[i + 2] = line ? 255 : 64
+          data[i + 3] = 255
+        }
+      }
+    }
+  }
+
+  ctx.putImageData(image, 0, 0)
+}
+
+const builtinCache = new Map()
+
+// Data URL for a built-in texture (generated once, then cached)
+export function getBuiltinTextureUrl(id) {
+  if (!builtinCache.has(id)) {
+    const canvas = document.createElement('canvas')
+    canvas.width = TEXTURE_SIZE
+    canvas.height = TEXTURE_SIZE
+    drawBuiltinTexture(canvas.getContext('2d'), id)
+    builtinCache.set(id, canvas.toDataURL('image/png'))
+  }
+  return builtinCache.get(id)
+}
+
+// Image URL for a channel entry ({ type: 'builtin', id } or { type: 'image', src })
+export function getChannelUrl(channel) {
+  if (!channel) return null
+  if (channel.type === 'builtin') return getBuiltinTextureUrl(channel.id)
+  return channel.src
+}
+
+// Read an uploaded image file as a data URL channel entry
+export function readImageChannel(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve({ type: 'image', name: file.name, src: reader.result })
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+}
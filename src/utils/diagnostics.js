@@ -0,0 +1,101 @@
+// Editor diagnostics
+//
+// Compile problems are normalized into one shape for the Monaco markers and the
+// problems list:
+//   { line, column?, endColumn?, severity: 'error' | 'warning', code, message, source, pass? }
+// line is null when a problem can't be tied to a source line.
+
+const LINE_PREFIX = /^Line (\d+):\s*(.*)$/
+
+/**
+ * Convert Slang compiler diagnostics (error.errors or warnings) into editor diagnostics
+ * @param {Array} errors - Diagnostics from the compile API
+ * @returns {Array} Editor diagnostics
+ */
+export function fromSlangDiagnostics(errors) {
+  return errors.map(e => ({
+    line: e.line || null,
+    column: e.column,
+    endColumn: e.endColumn,
+    severity: e.type === 'warning' ? 'warning' : 'error',
+    code: e.code || '',
+    message: e.message,
+    source: e.code === 'param' ? 'parameters' : 'slang',
+    pass: e.pass
+  }))
+}
+
+/**
+ * Diagnostics for a failed compile request
+ * Falls back to a single diagnostic when the error has no structured list.
+ * @param {Error} err - Error thrown by compileSlang / compileSlangPasses
+ * @returns {Array} Editor diagnostics
+ */
+export function fromCompileError(err) {
+  if (err.errors?.length > 0) {
+    return fromSlangDiagnostics(err.errors)
+  }
+
+  // Pass splitting errors read "Line N: message"
+  const lineMatch = err.message.match(LINE_PREFIX)
+  return [{
+    line: lineMatch ? parseInt(lineMatch[1]) : null,
+    severity: 'error',
+    code: '',
+    message: lineMatch ? lineMatch[2] : err.message,
+    source: err.stage || 'slang',
+    pass: err.pass
+  }]
+}
+
+// Words of generated GLSL that never point at user code
+const GLSL_WORDS = new Set([
+  'float', 'int', 'bool', 'void', 'vec2', 'vec3', 'vec4', 'ivec2', 'ivec3', 'ivec4', 'bvec2', 'bvec3', 'bvec4',
+  'mat2', 'mat3', 'mat4', 'sampler2D', 'uniform', 'varying', 'const', 'in', 'out', 'inout', 'highp', 'mediump',
+  'lowp', 'precision', 'if', 'else', 'for', 'while', 'do', 'return', 'break', 'continue', 'discard', 'struct',
+  'true', 'false', 'main', 'gl_FragColor', 'texture2D', 'globalParams', 'vUv', 'vNormal', 'vPosition'
+])
+
+// Identifiers in a line of generated code, with the compiler's _N suffixes removed
+function getIdentifiers(text) {
+  const words = text.match(/[A-Za-z_]\w*/g) || []
+  return [...new Set(words.map(word => word.replace(/_\d+$/, '')))]
+    .filter(word => word.length > 1 && !GLSL_WORDS.has(word))
+}
+
+function containsWord(line, word) {
+  return new RegExp(`\\b${word}\\b`).test(line)
+}
+
+/**
+ * Find the source line a line of generated GLSL most likely came from
+ * The generated code is rewritten by the compiler, so this matches identifiers:
+ * the name quoted in the WebGL message weighs most, then the other names on the line.
+ * @param {string} source - The Slang source that was compiled
+ * @param {string} generatedLine - Text of the failing line in the generated GLSL
+ * @param {string} message - WebGL error message
+ * @returns {number|null} 1-based source line, or null if nothing matches well enough
+ */
+export function findSourceLine(source, generatedLine, message) {
+  const quoted = (message.match(/'([A-Za-z_]\w*)'/) || [])[1]?.replace(/_\d+$/, '')
+  const identifiers = getIdentifiers(generatedLine || '')
+  if (!quoted && identifiers.length === 0) return null
+
+  let bestLine = null
+  let bestScore = 0
+
+  source.split('\n').forEach((line, index) => {
+    const code = line.replace(/\/\/.*$/, '')
+    if (!code.trim()) return
+
+    let score = identifiers.filter(word => containsWord(code, word)).length
+    if (quoted && containsWord(code, quoted)) score += 3
+    if (score > bestScore) {
+      bestScore = score
+      bestLine = index + 1
+    }
+  })
+
+  // A single shared name is too weak a hint unless it's the one the message is about
+  return bestScore >= 2 ? bestLine : null
+}
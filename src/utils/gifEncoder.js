@@ -0,0 +1,206 @@
+// Animated GIF encoder
+//
+// Each frame gets its own 256 colour palette (median cut over a sample of its
+// pixels) and is LZW-compressed as GIF89a requires. No dithering: shader output
+// is mostly smooth gradients, which dithering turns into visible noise.
+
+const MAX_SAMPLES = 20000
+
+// Median cut: split the box with the widest channel range at its median until
+// there are `count` boxes, then average each box
+function buildPalette(pixels, count = 256) {
+  const pixelCount = pixels.length / 4
+  const step = Math.max(1, Math.floor(pixelCount / MAX_SAMPLES))
+  const samples = []
+  for (let i = 0; i < pixelCount; i += step) {
+    samples.push([pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]])
+  }
+
+  const widest = (box) => {
+    let best = { channel: 0, range: -1 }
+    for (let channel = 0; channel < 3; channel++) {
+      let min = 255
+      let max = 0
+      for (const color of box) {
+        if (color[channel] < min) min = color[channel]
+        if (color[channel] > max) max = color[channel]
+      }
+      if (max - min > best.range) best = { channel, range: max - min }
+    }
+    return best
+  }
+
+  let boxes = [samples]
+  while (boxes.length < count) {
+    let target = -1
+    let split = null
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return
+      const candidate = widest(box)
+      if (candidate.range > 0 && (!split || candidate.range > split.range)) {
+        target = i
+        split = candidate
+      }
+    })
+    if (target < 0) break
+
+    const box = boxes[target].sort((a, b) => a[split.channel] - b[split.channel])
+    const middle = box.length >> 1
+    boxes = [...boxes.slice(0, target), box.slice(0, middle), box.slice(middle), ...boxes.slice(target + 1)]
+  }
+
+  const palette = boxes.map(box => {
+    const sum = [0, 0, 0]
+    for (const color of box) {
+      sum[0] += color[0]
+      sum[1] += color[1]
+      sum[2] += color[2]
+    }
+    return sum.map(value => Math.round(value / box.length))
+  })
+  while (palette.length < count) palette.push([0, 0, 0])
+  return palette
+}
+
+// Palette index of every pixel, nearest colour looked up once per 15-bit colour
+function mapToPalette(pixels, palette) {
+  const cache = new Int16Array(32768).fill(-1)
+  const indices = new Uint8Array(pixels.length / 4)
+
+  for (let i = 0; i < indices.length; i++) {
+    const r = pixels[i * 4]
+    const g = pixels[i * 4 + 1]
+    const b = pixels[i * 4 + 2]
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3)
+    if (cache[key] < 0) {
+      let best = 0
+      let bestDistance = Infinity
+      for (let p = 0; p < palette.length; p++) {
+        const dr = palette[p][0] - r
+        const dg = palette[p][1] - g
+        const db = palette[p][2] - b
+        const distance = dr * dr + dg * dg + db * db
+        if (distance < bestDistance) {
+          best = p
+          bestDistance = distance
+        }
+      }
+      cache[key] = best
+    }
+    indices[i] = cache[key]
+  }
+  return indices
+}
+
+// GIF flavour of LZW: variable code size from 9 up to 12 bits, clear code when the table is full
+function lzwEncode(indices, minCodeSize, output) {
+  const clearCode = 1 << minCodeSize
+  const endCode = clearCode + 1
+  let codeSize = minCodeSize + 1
+  let nextCode = endCode + 1
+  let table = new Map()
+
+  let block = []
+  let bitBuffer = 0
+  let bitCount = 0
+  const writeCode = (code) => {
+    bitBuffer |= code << bitCount
+    bitCount += codeSize
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 0xff)
+      bitBuffer >>>= 8
+      bitCount -= 8
+      if (block.length === 255) {
+        output.push(255, ...block)
+        block = []
+      }
+    }
+  }
+
+  writeCode(clearCode)
+  let prefix = indices[0]
+  for (let i = 1; i < indices.length; i++) {
+    const key = prefix * 256 + indices[i]
+    const code = table.get(key)
+    if (code !== undefined) {
+      prefix = code
+      continue
+    }
+
+    writeCode(prefix)
+    if (nextCode === 4096) {
+      writeCode(clearCode)
+      table = new Map()
+      codeSize = minCodeSize + 1
+      nextCode = endCode + 1
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++
+      table.set(key, nextCode++)
+    }
+    prefix = indices[i]
+  }
+  writeCode(prefix)
+  writeCode(endCode)
+
+  if (bitCount > 0) block.push(bitBuffer & 0xff)
+  if (block.length > 0) output.push(block.length, ...block)
+  output.push(0) // Block terminator
+}
+
+/**
+ * Create a looping animated GIF
+ * @param {number} width
+ * @param {number} height
+ * @param {object} [options]
+ * @param {number} [options.fps] - Frames per second (GIF delays are in 1/100 s)
+ * @returns {{addFrame: (image: ImageData) => void, finish: () => Blob}}
+ */
+export function createGifEncoder(width, height, { fps = 30 } = {}) {
+  const chunks = []
+  let frameIndex = 0
+
+  const header = []
+  const writeShort = (value) => header.push(value & 0xff, (value >> 8) & 0xff)
+  header.push(...'GIF89a'.split('').map(c => c.charCodeAt(0)))
+  writeShort(width)
+  writeShort(height)
+  header.push(0, 0, 0) // No global colour table, background 0, square pixels
+  // NETSCAPE2.0 application extension: loop forever
+  header.push(0x21, 0xff, 11, ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)), 3, 1, 0, 0, 0)
+  chunks.push(new Uint8Array(header))
+
+  return {
+    addFrame(image) {
+      const bytes = []
+      const writeShort = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff)
+
+      // Delays rounded so their sum stays on the real frame times
+      const delay = Math.round(((frameIndex + 1) * 100) / fps) - Math.round((frameIndex * 100) / fps)
+      frameIndex++
+
+      // Graphic control extension
+      bytes.push(0x21, 0xf9, 4, 0x04) // Disposal: do not dispose
+      writeShort(delay)
+      bytes.push(0, 0)
+
+      // Image descriptor with a 256 colour local colour table
+      const palette = buildPalette(image.data)
+      bytes.push(0x2c)
+      writeShort(0)
+      writeShort(0)
+      writeShort(width)
+      writeShort(height)
+      bytes.push(0x87)
+      for (const color of palette) bytes.push(color[0], color[1], color[2])
+
+      bytes.push(8) // LZW minimum code size
+      lzwEncode(mapToPalette(image.data, palette), 8, bytes)
+      chunks.push(new Uint8Array(bytes))
+    },
+
+    finish() {
+      chunks.push(new Uint8Array([0x3b])) // Trailer
+      return new Blob(chunks, { type: 'image/gif' })
+    }
+  }
+}
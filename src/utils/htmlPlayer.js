@@ -0,0 +1,508 @@
+// Standalone HTML player export
+//
+// Builds one self-contained HTML file that plays the shader without the
+// library: the WebGL shaders the preview uses, the channel textures as data
+// URLs and a small WebGL runtime that drives the uniforms. Nothing is loaded
+// from the network, so the file also works offline from file://.
+
+import {
+  VERTEX_SHADER,
+  QUAD_VERTEX_SHADER,
+  VERTEX_PREFIX,
+  buildVertexShader,
+  convertSlangGlslToWebGL,
+  convertSlangVertexToWebGL,
+  enableDerivatives
+} from './webglShader'
+import { IMAGE_PASS } from './shaderPasses'
+
+// How the image pass is drawn
+export const PLAYER_DISPLAYS = [
+  { id: 'quad', label: 'Fullscreen Quad' },
+  { id: 'mesh', label: 'Rotating Mesh' }
+]
+
+// Runs inside the exported page. Reads the PLAYER object written before it.
+// Kept free of template placeholders and backticks so it can be embedded as is.
+const PLAYER_RUNTIME = `
+(function () {
+  var canvas = document.getElementById('player')
+  var errorBox = document.getElementById('error')
+  var webgl2 = true
+  var gl = canvas.getContext('webgl2', { antialias: true })
+  if (!gl) {
+    webgl2 = false
+    gl = canvas.getContext('webgl', { antialias: true })
+  }
+  if (!gl) return showError('WebGL is not available in this browser')
+  gl.getExtension('OES_standard_derivatives')
+  var halfFloat = webgl2 && gl.getExtension('EXT_color_buffer_float')
+
+  function showError(message) {
+    errorBox.textContent = message
+    errorBox.style.display = 'block'
+  }
+
+  // ---- Shaders ----
+
+  function compile(type, source) {
+    var shader = gl.createShader(type)
+    gl.shaderSource(shader, source)
+    gl.compileShader(shader)
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader))
+    return shader
+  }
+
+  // Program with its uniform locations by name (arrays under their base name)
+  function createProgram(vertexSource, fragmentSource) {
+    var program = gl.createProgram()
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource))
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource))
+    gl.bindAttribLocation(program, 0, 'position')
+    gl.linkProgram(program)
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program))
+
+    var uniforms = {}
+    var count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS)
+    for (var i = 0; i < count; i++) {
+      var name = gl.getActiveUniform(program, i).name.replace(/\\[0\\]$/, '')
+      uniforms[name] = gl.getUniformLocation(program, name)
+    }
+    return {
+      program: program,
+      uniforms: uniforms,
+      attributes: {
+        position: gl.getAttribLocation(program, 'position'),
+        normal: gl.getAttribLocation(program, 'normal'),
+        uv: gl.getAttribLocation(program, 'uv')
+      }
+    }
+  }
+
+  // ---- Geometry (same shapes and sizes as the preview) ----
+
+  function grid(columns, rows, vertex) {
+    var positions = [], normals = [], uvs = [], indices = []
+    for (var iy = 0; iy <= rows; iy++) {
+      for (var ix = 0; ix <= columns; ix++) {
+        var v = vertex(ix / columns, iy / rows)
+        positions.push(v.position[0], v.position[1], v.position[2])
+        normals.push(v.normal[0], v.normal[1], v.normal[2])
+        uvs.push(v.uv[0], v.uv[1])
+      }
+    }
+    for (iy = 0; iy < rows; iy++) {
+      for (ix = 0; ix < columns; ix++) {
+        var a = iy * (columns + 1) + ix
+        var b = a + columns + 1
+        indices.push(a, b, a + 1, b, b + 1, a + 1)
+      }
+    }
+    return { positions: positions, normals: normals, uvs: uvs, indices: indices }
+  }
+
+  function plane(size, segments) {
+    return grid(segments, segments, function (u, v) {
+      return { position: [(u - 0.5) * size, (0.5 - v) * size, 0], normal: [0, 0, 1], uv: [u, 1 - v] }
+    })
+  }
+
+  function sphere(radius, segments) {
+    return grid(segments, segments, function (u, v) {
+      var x = -Math.cos(u * 2 * Math.PI) * Math.sin(v * Math.PI)
+      var y = Math.cos(v * Math.PI)
+      var z = Math.sin(u * 2 * Math.PI) * Math.sin(v * Math.PI)
+      return { position: [x * radius, y * radius, z * radius], normal: [x, y, z], uv: [u, 1 - v] }
+    })
+  }
+
+  // Six faces, each a grid turned to face along one axis
+  function cube(size) {
+    var faces = [
+      [[0, 0, -1], [0, 1, 0], [1, 0, 0]],
+      [[0, 0, 1], [0, 1, 0], [-1, 0, 0]],
+      [[1, 0, 0], [0, 0, -1], [0, 1, 0]],
+      [[1, 0, 0], [0, 0, 1], [0, -1, 0]],
+      [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+      [[-1, 0, 0], [0, 1, 0], [0, 0, -1]]
+    ]
+    var result = { positions: [], normals: [], uvs: [], indices: [] }
+    faces.forEach(function (axes) {
+      var right = axes[0], up = axes[1], normal = axes[2]
+      var face = grid(1, 1, function (u, v) {
+        var position = [0, 1, 2].map(function (k) {
+          return ((u - 0.5) * right[k] + (0.5 - v) * up[k] + 0.5 * normal[k]) * size
+        })
+        return { position: position, normal: normal, uv: [u, 1 - v] }
+      })
+      var offset = result.positions.length / 3
+      result.positions = result.positions.concat(face.positions)
+      result.normals = result.normals.concat(face.normals)
+      result.uvs = result.uvs.concat(face.uvs)
+      result.indices = result.indices.concat(face.indices.map(function (i) { return i + offset }))
+    })
+    return result
+  }
+
+  function createMesh(shape) {
+    function buffer(target, data) {
+      var handle = gl.createBuffer()
+      gl.bindBuffer(target, handle)
+      gl.bufferData(target, data, gl.STATIC_DRAW)
+      return handle
+    }
+    return {
+      position: buffer(gl.ARRAY_BUFFER, new Float32Array(shape.positions)),
+      normal: buffer(gl.ARRAY_BUFFER, new Float32Array(shape.normals)),
+      uv: buffer(gl.ARRAY_BUFFER, new Float32Array(shape.uvs)),
+      index: buffer(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(shape.indices)),
+      count: shape.indices.length
+    }
+  }
+
+  // Attributes are disabled again so the next program never sees a smaller mesh's buffers
+  function drawMesh(pass, mesh) {
+    var enabled = ['position', 'normal', 'uv'].filter(function (name) {
+      var location = pass.attributes[name]
+      if (location < 0) return false
+      gl.bindBuffer(gl.ARRAY_BUFFER, mesh[name])
+      gl.enableVertexAttribArray(location)
+      gl.vertexAttribPointer(location, name === 'uv' ? 2 : 3, gl.FLOAT, false, 0, 0)
+      return true
+    })
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.index)
+    gl.drawElements(gl.TRIANGLES, mesh.count, gl.UNSIGNED_SHORT, 0)
+    enabled.forEach(function (name) {
+      gl.disableVertexAttribArray(pass.attributes[name])
+    })
+  }
+
+  // ---- Textures ----
+
+  function createTexture(width, height, pixels, type) {
+    var texture = gl.createTexture()
+    gl.bindTexture(gl.TEXTURE_2D, texture)
+    var internalFormat = halfFloat && type === gl.HALF_FLOAT ? gl.RGBA16F : gl.RGBA
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, gl.RGBA, type || gl.UNSIGNED_BYTE, pixels || null)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+    return texture
+  }
+
+  var blankTexture = createTexture(1, 1, new Uint8Array([0, 0, 0, 255]))
+  var channels = [0, 1, 2, 3].map(function () {
+    return { texture: blankTexture, resolution: [1, 1, 1] }
+  })
+
+  function isPowerOfTwo(n) {
+    return (n & (n - 1)) === 0
+  }
+
+  // Channel images repeat and are flipped like three.js textures
+  PLAYER.channels.forEach(function (url, i) {
+    if (!url) return
+    var image = new Image()
+    image.onload = function () {
+      var texture = gl.createTexture()
+      var mipmaps = webgl2 || (isPowerOfTwo(image.width) && isPowerOfTwo(image.height))
+      gl.bindTexture(gl.TEXTURE_2D, texture)
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true)
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image)
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false)
+      var wrap = mipmaps ? gl.REPEAT : gl.CLAMP_TO_EDGE
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap)
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap)
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, mipmaps ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR)
+      if (mipmaps) gl.generateMipmap(gl.TEXTURE_2D)
+      channels[i] = { texture: texture, resolution: [image.width, image.height, 1] }
+    }
+    image.src = url
+  })
+
+  // ---- Buffer passes (ping-pong render targets, a pass reading itself sees the last frame) ----
+
+  function createTarget(width, height) {
+    var texture = createTexture(width, height, null, halfFloat ? gl.HALF_FLOAT : gl.UNSIGNED_BYTE)
+    var framebuffer = gl.createFramebuffer()
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer)
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0)
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null)
+    return { texture: texture, framebuffer: framebuffer }
+  }
+
+  function deleteTarget(target) {
+    if (!target) return
+    gl.deleteTexture(target.texture)
+    gl.deleteFramebuffer(target.framebuffer)
+  }
+
+  var passes
+  try {
+    passes = PLAYER.bufferPasses.map(function (pass) {
+      var compiled = createProgram(PLAYER.quadVertexShader, pass.fragmentShader)
+      compiled.name = pass.name
+      return compiled
+    })
+    var image = createProgram(PLAYER.vertexShader, PLAYER.fragmentShader)
+  } catch (error) {
+    return showError(error.message)
+  }
+
+  var quad = createMesh(plane(2, 1))
+  var shapes = {
+    cube: function () { return cube(2) },
+    plane: function () { return plane(3, 32) },
+    sphere: function () { return sphere(1.5, 64) }
+  }
+  var mesh = PLAYER.display === 'quad' ? quad : createMesh((shapes[PLAYER.mesh] || shapes.sphere)())
+
+  // ---- Uniforms ----
+
+  var mouse = { x: 0, y: 0, clickX: 0, clickY: 0, down: false, clicked: false }
+
+  function pointerUv(event) {
+    var rect = canvas.getBoundingClientRect()
+    return {
+      x: Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+      y: Math.min(Math.max(1 - (event.clientY - rect.top) / rect.height, 0), 1)
+    }
+  }
+
+  canvas.addEventListener('pointerdown', function (event) {
+    var uv = pointerUv(event)
+    mouse.x = mouse.clickX = uv.x
+    mouse.y = mouse.clickY = uv.y
+    mouse.down = mouse.clicked = true
+    canvas.setPointerCapture(event.pointerId)
+  })
+  canvas.addEventListener('pointermove', function (event) {
+    if (!mouse.down) return
+    var uv = pointerUv(event)
+    mouse.x = uv.x
+    mouse.y = uv.y
+  })
+  canvas.addEventListener('pointerup', function () {
+    mouse.down = false
+  })
+
+  function setUniforms(pass, frame) {
+    var u = pass.uniforms
+    var set = function (name, apply) {
+      if (u[name]) apply(u[name])
+    }
+    set('uResolution', function (l) { gl.uniform2f(l, frame.width, frame.height) })
+    set('uTime', function (l) { gl.uniform1f(l, frame.time) })
+    set('uTimeDelta', function (l) { gl.uniform1f(l, frame.delta) })
+    set('uFrame', function (l) { gl.uniform1f(l, frame.frame) })
+    set('uFrameRate', function (l) { gl.uniform1f(l, frame.delta > 0 ? 1 / frame.delta : 60) })
+    set('uMouse', function (l) { gl.uniform4fv(l, frame.mouse) })
+    set('uDate', function (l) { gl.uniform4fv(l, frame.date) })
+    set('iChannelTime', function (l) { gl.uniform1fv(l, [frame.time, frame.time, frame.time, frame.time]) })
+    set('iChannelResolution', function (l) {
+      gl.uniform3fv(l, channels.reduce(function (all, channel) { return all.concat(channel.resolution) }, []))
+    })
+    set('modelViewMatrix', function (l) { gl.uniformMatrix4fv(l, false, frame.modelView) })
+    set('projectionMatrix', function (l) { gl.uniformMatrix4fv(l, false, frame.projection) })
+    set('normalMatrix', function (l) { gl.uniformMatrix3fv(l, false, frame.normalMatrix) })
+    set('modelMatrix', function (l) { gl.uniformMatrix4fv(l, false, frame.model) })
+    set('viewMatrix', function (l) { gl.uniformMatrix4fv(l, false, frame.view) })
+    set('cameraPosition', function (l) { gl.uniform3fv(l, [0, 0, 5]) })
+
+    PLAYER.parameters.forEach(function (param) {
+      set(param.name, function (l) {
+        var value = param.value
+        if (param.type === 'bool') gl.uniform1i(l, value ? 1 : 0)
+        else if (param.type === 'float') gl.uniform1f(l, value)
+        else gl['uniform' + value.length + 'fv'](l, value)
+      })
+    })
+
+    // Units 0-3 for the channels, 4 and up for the buffers
+    channels.forEach(function (channel, i) {
+      set('iChannel' + i, function (l) {
+        gl.activeTexture(gl.TEXTURE0 + i)
+        gl.bindTexture(gl.TEXTURE_2D, channel.texture)
+        gl.uniform1i(l, i)
+      })
+    })
+    passes.forEach(function (buffer, i) {
+      set('i' + buffer.name, function (l) {
+        gl.activeTexture(gl.TEXTURE4 + i)
+        gl.bindTexture(gl.TEXTURE_2D, buffer.read ? buffer.read.texture : blankTexture)
+        gl.uniform1i(l, 4 + i)
+      })
+    })
+  }
+
+  // Camera at z = 5 with a 50 degree field of view, like the preview
+  function perspective(aspect) {
+    var near = 0.1, far = 1000
+    var f = 1 / Math.tan((50 * Math.PI) / 360)
+    return [f / aspect, 0, 0, 0, 0, f, 0, 0, 0, 0, (far + near) / (near - far), -1, 0, 0, (2 * far * near) / (near - far), 0]
+  }
+
+  // Spin around Y with a slight tilt towards the camera
+  function rotation(time) {
+    var ay = time * 0.4, ax = 0.3
+    var cy = Math.cos(ay), sy = Math.sin(ay), cx = Math.cos(ax), sx = Math.sin(ax)
+    return [cy, sx * sy, -cx * sy, 0, cx, sx, sy, -sx * cy, cx * cy]
+  }
+
+  // ---- Frame loop ----
+
+  var start = performance.now()
+  var last = 0
+  var frameNumber = 0
+
+  function render(now) {
+    var scale = Math.min(window.devicePixelRatio || 1, 2)
+    var width = Math.max(1, Math.round(canvas.clientWidth * scale))
+    var height = Math.max(1, Math.round(canvas.clientHeight * scale))
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width
+      canvas.height = height
+    }
+
+    var time = (now - start) / 1000
+    var date = new Date()
+    var r = rotation(time)
+    var frame = {
+      time: time,
+      delta: time - last,
+      frame: ++frameNumber,
+      width: width,
+      height: height,
+      // iMouse in pixels: xy while pressed, zw = click, z negative once released, w positive on the click frame
+      mouse: [
+        mouse.x * width,
+        mouse.y * height,
+        (mouse.down ? 1 : -1) * mouse.clickX * width,
+        (mouse.clicked ? 1 : -1) * mouse.clickY * height
+      ],
+      date: [
+        date.getFullYear(),
+        date.getMonth(),
+        date.getDate(),
+        date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds() + date.getMilliseconds() / 1000
+      ],
+      projection: perspective(width / height),
+      model: [r[0], r[1], r[2], 0, r[3], r[4], r[5], 0, r[6], r[7], r[8], 0, 0, 0, 0, 1],
+      view: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, -5, 1],
+      modelView: [r[0], r[1], r[2], 0, r[3], r[4], r[5], 0, r[6], r[7], r[8], 0, 0, 0, -5, 1],
+      normalMatrix: r
+    }
+    last = time
+    mouse.clicked = false
+
+    gl.disable(gl.DEPTH_TEST)
+    gl.disable(gl.CULL_FACE)
+    passes.forEach(function (pass) {
+      if (!pass.read || pass.width !== width || pass.height !== height) {
+        deleteTarget(pass.read)
+        deleteTarget(pass.write)
+        pass.read = createTarget(width, height)
+        pass.write = createTarget(width, height)
+        pass.width = width
+        pass.height = height
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, pass.write.framebuffer)
+      gl.viewport(0, 0, width, height)
+      gl.useProgram(pass.program)
+      setUniforms(pass, frame)
+      drawMesh(pass, quad)
+      var written = pass.write
+      pass.write = pass.read
+      pass.read = written
+    })
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null)
+    gl.viewport(0, 0, width, height)
+    gl.clearColor(0.039, 0.039, 0.059, 1)
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT)
+    if (PLAYER.display === 'mesh') gl.enable(gl.DEPTH_TEST)
+    gl.useProgram(image.program)
+    setUniforms(image, frame)
+    drawMesh(image, mesh)
+
+    requestAnimationFrame(render)
+  }
+
+  requestAnimationFrame(render)
+})()
+`
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * File name for the exported player
+ * @param {string} name - Shader name
+ * @returns {string} e.g. "my_shader.html"
+ */
+export function getHtmlPlayerFileName(name) {
+  const baseName = String(name || '').trim().replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'shader'
+  return `${baseName}.html`
+}
+
+/**
+ * Build a standalone HTML page that plays the shader
+ * @param {object} shader
+ * @param {string} shader.name - Shader name, used as the page title
+ * @param {Array<{name: string, code: string, vertexCode?: string}>} shader.passes - GLSL output of compileSlangPasses (not forExport)
+ * @param {Array} shader.parameters - Material parameters, played with their default values
+ * @param {Array<string|null>} [shader.channels] - Image URLs for iChannel0-3, data URLs to stay self-contained
+ * @param {string} [shader.display] - 'quad' for a fullscreen quad, 'mesh' for a rotating mesh
+ * @param {string} [shader.meshType] - Mesh for the 'mesh' display: sphere, cube or plane
+ * @returns {string} HTML document
+ */
+export function buildHtmlPlayer({ name, passes, parameters = [], channels = [], display = 'quad', meshType = 'sphere' }) {
+  const imagePass = passes.find(pass => pass.name === IMAGE_PASS)
+  const toFragmentShader = code => enableDerivatives(convertSlangGlslToWebGL(code, parameters))
+  // The fullscreen quad has no mesh to move, so the vertex offset only plays on the mesh
+  const meshVertexShader = imagePass.vertexCode
+    ? buildVertexShader(convertSlangVertexToWebGL(imagePass.vertexCode, parameters))
+    : VERTEX_SHADER
+
+  const player = {
+    display,
+    mesh: meshType,
+    quadVertexShader: VERTEX_PREFIX + QUAD_VERTEX_SHADER,
+    vertexShader: VERTEX_PREFIX + (display === 'quad' ? QUAD_VERTEX_SHADER : meshVertexShader),
+    fragmentShader: toFragmentShader(imagePass.code),
+    bufferPasses: passes
+      .filter(pass => pass !== imagePass)
+      .map(pass => ({ name: pass.name, fragmentShader: toFragmentShader(pass.code) })),
+    parameters: parameters.map(param => ({ name: param.name, type: param.valueType, value: param.default })),
+    channels: Array.from({ length: 4 }, (_, i) => channels[i] || null)
+  }
+
+  // "</script>" inside a shader or data URL must not end the script element
+  const playerJson = JSON.stringify(player, null, 2).replace(/<\//g, '<\\/')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(name)}</title>
+<!-- Exported from Online Material Library - plays offline, no other files needed -->
+<style>
+  html, body { margin: 0; height: 100%; background: #0a0a0f; overflow: hidden; }
+  #player { display: block; width: 100%; height: 100%; touch-action: none; }
+  #error { display: none; position: fixed; left: 16px; right: 16px; bottom: 16px; margin: 0; padding: 12px; background: #331111; color: #ff8080; font: 12px monospace; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<canvas id="player"></canvas>
+<pre id="error"></pre>
+<script>
+var PLAYER = ${playerJson}
+</script>
+<script>${PLAYER_RUNTIME}</script>
+</body>
+</html>
+`
+}
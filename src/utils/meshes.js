@@ -0,0 +1,204 @@
+// Preview meshes
+//
+// The built-in shapes and models dropped on the preview (glTF, GLB or OBJ). A
+// model is flattened into one geometry per mesh with its node transforms baked
+// in, then every part is moved and scaled together to fit the same 3 unit box
+// as the built-in sphere - vPosition stays in that space, so a shader looks
+// the same size on any model. All parts are drawn with the shader's material.
+
+import * as THREE from 'three'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js'
+
+export const BUILTIN_MESHES = [
+  { id: 'sphere', label: 'Sphere' },
+  { id: 'cube', label: 'Cube' },
+  { id: 'plane', label: 'Plane' },
+  { id: 'torusknot', label: 'Torus Knot' },
+  { id: 'character', label: 'Character' }
+]
+
+// Model file extensions and the format they are parsed as
+const MESH_FORMATS = { glb: 'glb', gltf: 'gltf', obj: 'obj' }
+
+export const MESH_FILE_ACCEPT = Object.keys(MESH_FORMATS).map(extension => `.${extension}`).join(',')
+
+export const MAX_MESH_FILE_SIZE = 20 * 1024 * 1024
+
+// Largest dimension of a model after normalization (the sphere's diameter)
+const FIT_SIZE = 3
+
+const REMEMBERED_MESH_KEY = 'previewMesh:'
+
+// Center the parts on the origin and scale them together to FIT_SIZE
+function fitGeometries(geometries) {
+  const bounds = new THREE.Box3()
+  for (const geometry of geometries) {
+    geometry.computeBoundingBox()
+    bounds.union(geometry.boundingBox)
+  }
+
+  const size = bounds.getSize(new THREE.Vector3())
+  const largest = Math.max(size.x, size.y, size.z)
+  const center = bounds.getCenter(new THREE.Vector3())
+  const scale = largest > 0 ? FIT_SIZE / largest : 1
+
+  for (const geometry of geometries) {
+    geometry.translate(-center.x, -center.y, -center.z)
+    geometry.scale(scale, scale, scale)
+    geometry.computeBoundingBox()
+    geometry.computeBoundingSphere()
+  }
+  return geometries
+}
+
+// Mannequin made of separate parts, each with its own 0-1 UV layout, so UV
+// seams and part boundaries show up like they do on a real character
+function createCharacterGeometries() {
+  const part = (geometry, [x, y, z], { rotateZ = 0, scale } = {}) => {
+    if (scale) geometry.scale(...scale)
+    if (rotateZ) geometry.rotateZ(rotateZ)
+    geometry.translate(x, y, z)
+    return geometry
+  }
+
+  return [
+    part(new THREE.SphereGeometry(0.12, 48, 24), [0, 1.64, 0], { scale: [0.9, 1.1, 1] }),
+    part(new THREE.CylinderGeometry(0.045, 0.055, 0.12, 24), [0, 1.48, 0]),
+    part(new THREE.CapsuleGeometry(0.15, 0.42, 12, 32), [0, 1.16, 0], { scale: [1.3, 1, 0.75] }),
+    part(new THREE.CapsuleGeometry(0.045, 0.56, 8, 24), [-0.3, 1.08, 0], { rotateZ: -0.12 }),
+    part(new THREE.CapsuleGeometry(0.045, 0.56, 8, 24), [0.3, 1.08, 0], { rotateZ: 0.12 }),
+    part(new THREE.CapsuleGeometry(0.07, 0.74, 8, 24), [-0.1, 0.46, 0]),
+    part(new THREE.CapsuleGeometry(0.07, 0.74, 8, 24), [0.1, 0.46, 0]),
+    part(new THREE.BoxGeometry(0.11, 0.06, 0.24, 2, 1, 4), [-0.1, 0.03, 0.05]),
+    part(new THREE.BoxGeometry(0.11, 0.06, 0.24, 2, 1, 4), [0.1, 0.03, 0.05])
+  ]
+}
+
+/**
+ * Create the geometries of a built-in mesh
+ * @param {string} meshType - Id from BUILTIN_MESHES, unknown ids give the sphere
+ * @returns {THREE.BufferGeometry[]}
+ */
+export function createBuiltinGeometries(meshType) {
+  switch (meshType) {
+    case 'cube':
+      return [new THREE.BoxGeometry(2, 2, 2)]
+    case 'plane':
+      return [new THREE.PlaneGeometry(3, 3, 32, 32)]
+    case 'torusknot':
+      return fitGeometries([new THREE.TorusKnotGeometry(1, 0.32, 256, 32)])
+    case 'character':
+      return fitGeometries(createCharacterGeometries())
+    case 'sphere':
+    default:
+      return [new THREE.SphereGeometry(1.5, 64, 64)]
+  }
+}
+
+/**
+ * Model format of a file, from its extension
+ * @param {string} fileName
+ * @returns {'glb'|'gltf'|'obj'|null}
+ */
+export function getMeshFormat(fileName) {
+  const extension = String(fileName).split('.').pop().toLowerCase()
+  return MESH_FORMATS[extension] || null
+}
+
+// A dropped .gltf is a single file, so its buffers and images must be embedded as data URIs
+function checkEmbeddedResources(data) {
+  let json
+  try {
+    json = JSON.parse(new TextDecoder().decode(data))
+  } catch {
+    throw new Error('The .gltf file is not valid JSON')
+  }
+  const external = [...(json.buffers || []), ...(json.images || [])]
+    .find(resource => resource.uri && !resource.uri.startsWith('data:'))
+  if (external) {
+    throw new Error(`The model references ${external.uri} - use a .glb or a .gltf with embedded buffers`)
+  }
+}
+
+function parseGltf(data) {
+  return new Promise((resolve, reject) => {
+    new GLTFLoader().parse(data, '', gltf => resolve(gltf.scene), error => reject(error instanceof Error ? error : new Error(String(error))))
+  })
+}
+
+/**
+ * Parse a model file into normalized preview geometries
+ * @param {ArrayBuffer} data - File contents
+ * @param {string} format - 'glb', 'gltf' or 'obj'
+ * @returns {Promise<THREE.BufferGeometry[]>} One geometry per mesh in the model
+ */
+export async function parseMeshFile(data, format) {
+  let root
+  switch (format) {
+    case 'gltf':
+      checkEmbeddedResources(data)
+      root = await parseGltf(data)
+      break
+    case 'glb':
+      root = await parseGltf(data)
+      break
+    case 'obj':
+      root = new OBJLoader().parse(new TextDecoder().decode(data))
+      break
+    default:
+      throw new Error(`Unsupported model format: ${format}`)
+  }
+
+  root.updateMatrixWorld(true)
+  const geometries = []
+  root.traverse(object => {
+    // Skinned meshes are taken in their bind pose, points and lines are skipped
+    if (!object.isMesh || !object.geometry?.attributes.position) return
+
+    const geometry = object.geometry.clone()
+    geometry.applyMatrix4(object.matrixWorld)
+    if (!geometry.attributes.normal) geometry.computeVertexNormals()
+    geometries.push(geometry)
+  })
+
+  if (geometries.length === 0) {
+    throw new Error('The model contains no meshes')
+  }
+  return fitGeometries(geometries)
+}
+
+/**
+ * Free the GPU buffers of preview geometries
+ * @param {THREE.BufferGeometry[]} geometries
+ */
+export function disposeGeometries(geometries) {
+  geometries.forEach(geometry => geometry.dispose())
+}
+
+/**
+ * Built-in mesh last chosen for a library shader
+ * @param {string} fileName - Library file name
+ * @returns {string|null}
+ */
+export function getRememberedMeshType(fileName) {
+  try {
+    const meshType = localStorage.getItem(REMEMBERED_MESH_KEY + fileName)
+    return BUILTIN_MESHES.some(mesh => mesh.id === meshType) ? meshType : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Remember the built-in mesh chosen for a library shader (saved shaders store it on the server)
+ * @param {string} fileName - Library file name
+ * @param {string} meshType
+ */
+export function rememberMeshType(fileName, meshType) {
+  try {
+    localStorage.setItem(REMEMBERED_MESH_KEY + fileName, meshType)
+  } catch {
+    // Storage can be full or disabled - the choice just isn't remembered
+  }
+}
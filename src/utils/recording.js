@@ -0,0 +1,137 @@
+// Preview recording
+//
+// Renders the shader frame by frame at a fixed resolution and frame rate - time
+// and frame number come from the frame index, not the clock, so a recording
+// always comes out the same however slowly it renders - and encodes the frames
+// as WebM, an animated GIF or a zipped PNG sequence.
+
+import { zipSync } from 'fflate'
+import { createGifEncoder } from './gifEncoder'
+import { createWebmEncoder } from './webmEncoder'
+
+export const RECORDING_FORMATS = [
+  { id: 'webm', label: 'WebM', extension: 'webm' },
+  { id: 'gif', label: 'GIF', extension: 'gif' },
+  { id: 'png', label: 'PNG Sequence', extension: 'zip' }
+]
+
+export const RECORDING_SIZES = [
+  { label: '480 x 360', width: 480, height: 360 },
+  { label: '512 x 512', width: 512, height: 512 },
+  { label: '1280 x 720', width: 1280, height: 720 },
+  { label: '1080 x 1080', width: 1080, height: 1080 },
+  { label: '1920 x 1080', width: 1920, height: 1080 }
+]
+
+export const RECORDING_FRAME_RATES = [24, 30, 60]
+
+// Share of a seamless loop spent crossfading from the end back into the start
+const LOOP_BLEND = 0.25
+
+// PNG frames zipped as <name>/frame_0001.png, ... - stored without compression,
+// the PNGs are already compressed
+function createPngSequenceEncoder(width, height, { baseName }) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  const files = {}
+  let frameCount = 0
+
+  return {
+    async addFrame(image) {
+      ctx.putImageData(image, 0, 0)
+      const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Could not encode frame'))), 'image/png')
+      })
+      const number = String(++frameCount).padStart(4, '0')
+      files[`${baseName}/frame_${number}.png`] = new Uint8Array(await blob.arrayBuffer())
+    },
+
+    finish() {
+      return new Blob([zipSync(files, { level: 0 })], { type: 'application/zip' })
+    }
+  }
+}
+
+function createEncoder(format, width, height, options) {
+  switch (format) {
+    case 'webm':
+      return createWebmEncoder(width, height, options)
+    case 'gif':
+      return createGifEncoder(width, height, options)
+    case 'png':
+      return createPngSequenceEncoder(width, height, options)
+    default:
+      throw new Error(`Unknown recording format: ${format}`)
+  }
+}
+
+// Crossfade of two frames, weight 0 = from, 1 = to
+function blendFrames(from, to, weight) {
+  const data = new Uint8ClampedArray(from.data.length)
+  for (let i = 0; i < data.length; i++) {
+    data[i] = from.data[i] + (to.data[i] - from.data[i]) * weight
+  }
+  return new ImageData(data, from.width, from.height)
+}
+
+// Let the page repaint and handle input between frames
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+/**
+ * Record the shader
+ * @param {function} startRecording - The Viewer's recorder: ({ width, height }) => { renderFrame, finish }
+ * @param {object} options
+ * @param {number} options.width - Output size in pixels
+ * @param {number} options.height
+ * @param {number} options.fps - Frames per second
+ * @param {number} options.duration - Length in seconds
+ * @param {string} options.format - 'webm', 'gif' or 'png'
+ * @param {boolean} [options.seamless] - Crossfade the end into the start so the output loops without a jump
+ * @param {string} [options.name] - Shader name, used for the file name
+ * @param {function} [options.onProgress] - Called with the finished fraction (0-1)
+ * @param {AbortSignal} [options.signal] - Cancels the recording
+ * @returns {Promise<{blob: Blob, fileName: string}>}
+ */
+export async function recordShader(startRecording, { width, height, fps, duration, format, seamless = false, name, onProgress, signal }) {
+  const baseName = String(name || '').trim().replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'shader'
+  const { extension } = RECORDING_FORMATS.find(f => f.id === format) || {}
+  const encoder = createEncoder(format, width, height, { fps, baseName })
+
+  const frameCount = Math.max(1, Math.round(duration * fps))
+  // A seamless loop renders `blendCount` extra frames past the end and fades them
+  // into the first ones. Output starts after the fade-in, so it stays in order:
+  // frames blendCount..N-1, then the blended frames, which lead back into frame blendCount
+  const blendCount = seamless ? Math.min(Math.round(frameCount * LOOP_BLEND), frameCount - 1) : 0
+  const totalFrames = frameCount + blendCount
+  const heldFrames = []
+
+  const renderer = startRecording({ width, height })
+  try {
+    for (let frame = 0; frame < totalFrames; frame++) {
+      if (signal?.aborted) throw new DOMException('Recording cancelled', 'AbortError')
+
+      const image = renderer.renderFrame({ time: frame / fps, frame, fps })
+      if (frame < blendCount) {
+        heldFrames.push(image)
+      } else if (frame < frameCount) {
+        await encoder.addFrame(image)
+      } else {
+        const i = frame - frameCount
+        await encoder.addFrame(blendFrames(image, heldFrames[i], i / blendCount))
+        heldFrames[i] = null
+      }
+
+      onProgress?.((frame + 1) / totalFrames)
+      await nextTask()
+    }
+  } finally {
+    renderer.finish()
+  }
+
+  const suffix = seamless ? '_loop' : ''
+  return { blob: await encoder.finish(), fileName: `${baseName}${suffix}.${extension}` }
+}
@@ -1,3 +1,5 @@
+import { splitShaderPasses, buildPassGraph, IMAGE_PASS } from './shaderPasses';
+
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
 /**
@@ -78,25 +80,44 @@ export async function getToolsInfo() {
  *
  * @param {string} source - The user's Slang code
  * @param {object} options - Compilation options
- * @param {string} options.target - Target format: 'glsl', 'hlsl', 'spirv', 'wgsl', 'metal'
- * @param {string} options.mode - 'materialLibrary' or 'shaderToy'
+ * @param {string} options.target - Target format: 'glsl', 'hlsl', 'unrealHlsl', 'unityShader', 'unityShaderGraph', 'godotSpatial', 'godotCanvasItem', 'spirv', 'wgsl', 'metal'
+ * @param {string} options.mode - 'materialLibrary', 'surface' or 'shaderToy'
+ * @param {string} options.stage - 'fragment' (default) or 'vertex' for the "// @vertex" offset section
  * @param {boolean} options.forExport - If true, apply cleanup for readable export output
- * @returns {Promise<{code: string, target: string, mode: string}>}
+ * @param {object} options.parameterValues - Current material parameter values, used as export defaults
+ * @param {string} options.name - Shader name, used by the Unity targets for the shader and function names
+ * @param {AbortSignal} options.signal - Cancels the request and the server-side compile
+ * @param {function} options.onQueuePosition - Called with the job's place in the server queue (0 = running)
+ * @returns {Promise<{code: string, target: string, mode: string, parameters: Array, warnings: Array, cache: {hit: boolean, tier: string|null, key: string}|null}>}
+ * @throws {Error} With `errors` (diagnostics: line, column?, endColumn?, type, code, message) and `stage`
  */
 export async function compileSlang(source, options = {}) {
   const {
     target = 'glsl',
     mode = 'materialLibrary',
-    forExport = false
+    stage = 'fragment',
+    forExport = false,
+    parameterValues = null,
+    name,
+    signal,
+    onQueuePosition
   } = options;
 
-  const response = await fetch(`${API_URL}/api/slang/compile`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ source, target, mode, forExport })
-  });
+  const jobId = createJobId();
+  const stopWatching = onQueuePosition ? watchJobQueue(jobId, onQueuePosition) : null;
 
-  const data = await response.json();
+  let data;
+  try {
+    const response = await fetch(`${API_URL}/api/slang/compile`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ source, target, mode, stage, forExport, parameterValues, name, jobId }),
+      signal
+    });
+    data = await response.json();
+  } finally {
+    stopWatching?.();
+  }
 
   if (!data.success) {
     const error = new Error(data.error || 'Compilation failed');
@@ -108,7 +129,185 @@ export async function compileSlang(source, options = {}) {
   return {
     code: data.code,
     target: data.target,
-    mode: data.mode
+    mode: data.mode,
+    parameters: data.parameters || [],
+    warnings: data.warnings || [],
+    cache: data.cache || null
+  };
+}
+
+/**
+ * Id for a compile job, matching the server's accepted format ([\w-], at most 64 characters)
+ * crypto.randomUUID only exists in secure contexts, so pages served over plain HTTP fall back
+ * to a timestamp with random digits
+ * @returns {string}
+ */
+function createJobId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// How often a waiting compile asks the server for its queue position
+const QUEUE_POLL_INTERVAL = 500;
+
+/**
+ * Poll the server for a compile job's queue position until stopped
+ * The first poll waits one interval, so fast compiles never report a position.
+ * @param {string} jobId - Job id sent with the compile request
+ * @param {function} onQueuePosition - Receives the position (0 = running)
+ * @returns {function} Stops polling
+ */
+function watchJobQueue(jobId, onQueuePosition) {
+  let stopped = false;
+  let timer = null;
+
+  const poll = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/jobs/${jobId}`);
+      if (response.ok && !stopped) {
+        const status = await response.json();
+        if (!stopped) onQueuePosition(status.position);
+      }
+    } catch {
+      // Position updates are informational only
+    }
+    if (!stopped) timer = setTimeout(poll, QUEUE_POLL_INTERVAL);
+  };
+  timer = setTimeout(poll, QUEUE_POLL_INTERVAL);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+// Marker line of the vertex offset section
+const VERTEX_MARKER = /^\s*\/\/\s*@vertex\s*$/m;
+
+// Export targets that leave the vertex offset stage to a file of its own (the
+// engine targets build it into the fragment output)
+const SEPARATE_VERTEX_TARGETS = ['hlsl', 'wgsl', 'metal'];
+
+/**
+ * Compile every pass of a (possibly multi-pass) shader to a target format
+ * Single-pass shaders produce one 'Image' pass. In surface mode only the Image
+ * pass is lit, Buffer passes still write fragColor. An Image pass with a
+ * "// @vertex" section also gets the vertex offset stage as vertexCode (for
+ * export only on targets that don't include it in the fragment output).
+ *
+ * @param {string} source - The user's Slang code, with optional "// @pass" sections
+ * @param {object} options - Same options as compileSlang
+ * @returns {Promise<{passes: Array<{name: string, code: string, vertexCode?: string}>, parameters: Array, warnings: Array}>}
+ */
+export async function compileSlangPasses(source, options = {}) {
+  const passes = splitShaderPasses(source);
+
+  const results = await Promise.all(passes.map(async (pass) => {
+    try {
+      // Engine targets name their output after the shader, which has to stay unique per pass
+      const name = passes.length > 1 && options.name ? `${options.name} ${pass.name}` : options.name;
+      const mode = options.mode === 'surface' && pass.name !== IMAGE_PASS ? 'materialLibrary' : options.mode;
+      const withVertex = pass.name === IMAGE_PASS && options.mode !== 'shaderToy' && VERTEX_MARKER.test(pass.source) &&
+        (!options.forExport || SEPARATE_VERTEX_TARGETS.includes(options.target));
+
+      const [fragment, vertex] = await Promise.all([
+        compileSlang(pass.source, { ...options, mode, name }),
+        withVertex ? compileSlang(pass.source, { ...options, mode, name, stage: 'vertex' }) : null
+      ]);
+      if (!vertex) return fragment;
+      return {
+        ...fragment,
+        vertexCode: vertex.code,
+        parameters: [...fragment.parameters, ...vertex.parameters],
+        warnings: [...fragment.warnings, ...vertex.warnings]
+      };
+    } catch (err) {
+      // Name the failing pass so errors in multi-pass shaders are easy to find
+      if (passes.length > 1) {
+        err.message = `${pass.name}: ${err.message}`;
+        err.pass = pass.name;
+        err.errors = (err.errors || []).map(e => ({ ...e, pass: pass.name }));
+      }
+      throw err;
+    }
+  }));
+
+  // Parameters may be declared in the common section (shared) or in a single pass
+  const parameters = [];
+  for (const result of results) {
+    for (const param of result.parameters) {
+      if (!parameters.some(p => p.name === param.name)) parameters.push(param);
+    }
+  }
+
+  // Warnings in the common section are reported by every pass, keep one of each
+  const warnings = [];
+  for (const result of results) {
+    for (const warning of result.warnings) {
+      if (!warnings.some(w => w.line === warning.line && w.message === warning.message)) warnings.push(warning);
+    }
+  }
+
+  return {
+    passes: passes.map((pass, i) => ({
+      name: pass.name,
+      source: pass.source,
+      code: results[i].code,
+      ...(results[i].vertexCode ? { vertexCode: results[i].vertexCode } : {})
+    })),
+    parameters,
+    warnings
+  };
+}
+
+/**
+ * Compile a shader to every export target and download the results as one zip
+ * The zip holds the Slang source, one folder per target and a manifest.json
+ * describing uniforms, inputs, tool versions and any target that failed.
+ *
+ * @param {string} source - The user's Slang code, with optional "// @pass" sections
+ * @param {object} options - Bundle options
+ * @param {string} options.name - Shader name, used for the zip and file names
+ * @param {string} options.mode - 'materialLibrary', 'surface' or 'shaderToy'
+ * @param {object} options.parameterValues - Current material parameter values, used as export defaults
+ * @returns {Promise<{blob: Blob, fileName: string, failedTargets: string[]}>}
+ */
+export async function compileExportBundle(source, options = {}) {
+  const {
+    name = 'shader',
+    mode = 'materialLibrary',
+    parameterValues = null
+  } = options;
+
+  // Passes are split here so the server compiles the same sources as the preview
+  const passes = splitShaderPasses(source);
+
+  const response = await fetch(`${API_URL}/api/slang/bundle`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name,
+      source,
+      mode,
+      parameterValues,
+      passes: passes.map(pass => ({ name: pass.name, source: pass.source })),
+      passGraph: buildPassGraph(passes)
+    })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Bundle export failed');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const failed = response.headers.get('X-Bundle-Failed-Targets');
+  return {
+    blob: await response.blob(),
+    fileName: (disposition.match(/filename="([^"]+)"/) || [])[1] || 'shader.zip',
+    failedTargets: failed ? failed.split(',') : []
   };
 }
 
@@ -143,3 +342,389 @@ export async function getSlangTargets() {
     return [];
   }
 }
+
+// ============================================================================
+// SAVED SHADER API
+// ============================================================================
+
+/**
+ * Send a request to the saved shader endpoints and unwrap the response
+ *
+ * @param {string} path - Path below /api/shaders
+ * @param {object} init - fetch options
+ * @returns {Promise<object>} The response data
+ */
+async function requestShaderStore(path, init = {}) {
+  let response;
+  try {
+    response = await fetch(`${API_URL}/api/shaders${path}`, {
+      ...init,
+      headers: init.body ? { 'Content-Type': 'application/json' } : undefined
+    });
+  } catch {
+    throw new Error('Shader server is not available. Please ensure the server is running.');
+  }
+
+  if (response.status === 413) {
+    throw new Error('Shader is too large to save (try smaller channel images)');
+  }
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.error || 'Shader request failed');
+  }
+
+  return data;
+}
+
+/**
+ * List saved user shaders (summaries without code)
+ * Returns an empty list when the server is not available.
+ *
+ * @returns {Promise<Array<{id: string, name: string, meshType: string, createdAt: string, updatedAt: string}>>}
+ */
+export async function listSavedShaders() {
+  try {
+    const data = await requestShaderStore('');
+    return data.shaders;
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get a saved user shader
+ *
+ * @param {string} id - Saved shader id
+ * @returns {Promise<object>} The shader: {id, name, code, meshType, parameterValues, channels, createdAt, updatedAt}
+ */
+export async function getSavedShader(id) {
+  const data = await requestShaderStore(`/${encodeURIComponent(id)}`);
+  return data.shader;
+}
+
+/**
+ * Save a new user shader
+ *
+ * @param {object} shader - {name, code, meshType, parameterValues, channels}
+ * @returns {Promise<object>} The stored shader, including its new id
+ */
+export async function createSavedShader(shader) {
+  const data = await requestShaderStore('', {
+    method: 'POST',
+    body: JSON.stringify(shader)
+  });
+  return data.shader;
+}
+
+/**
+ * Update an existing user shader
+ *
+ * @param {string} id - Saved shader id
+ * @param {object} changes - Fields to update: name, code, meshType, parameterValues, channels
+ * @returns {Promise<object>} The stored shader
+ */
+export async function updateSavedShader(id, changes) {
+  const data = await requestShaderStore(`/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    body: JSON.stringify(changes)
+  });
+  return data.shader;
+}
+
+/**
+ * Delete a user shader
+ *
+ * @param {string} id - Saved shader id
+ * @returns {Promise<void>}
+ */
+export async function deleteSavedShader(id) {
+  await requestShaderStore(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+// ============================================================================
+// THUMBNAIL API
+// ============================================================================
+
+/**
+ * Upload a PNG thumbnail
+ *
+ * @param {string} path - Endpoint path
+ * @param {Blob} png - PNG image
+ * @param {object} [headers] - Extra request headers
+ * @returns {Promise<object>} The response data
+ */
+async function uploadThumbnail(path, png, headers = {}) {
+  let response;
+  try {
+    response = await fetch(`${API_URL}${path}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'image/png', ...headers },
+      body: png
+    });
+  } catch {
+    throw new Error('Shader server is not available. Please ensure the server is running.');
+  }
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.error || 'Thumbnail upload failed');
+  }
+
+  return data;
+}
+
+/**
+ * Store the thumbnail of a saved user shader
+ *
+ * @param {string} id - Saved shader id
+ * @param {Blob} png - PNG image
+ * @returns {Promise<string>} The new thumbnailUpdatedAt timestamp
+ */
+export async function uploadSavedThumbnail(id, png) {
+  const data = await uploadThumbnail(`/api/shaders/${encodeURIComponent(id)}/thumbnail`, png);
+  return data.thumbnailUpdatedAt;
+}
+
+const ADMIN_TOKEN_KEY = 'adminToken';
+
+/**
+ * Admin token entered in this browser tab
+ *
+ * @returns {string}
+ */
+export function getAdminToken() {
+  try {
+    return sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Remember the admin token for this browser tab
+ *
+ * @param {string} token
+ */
+export function setAdminToken(token) {
+  try {
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+  } catch {
+    // Storage can be disabled - the token is just asked for again
+  }
+}
+
+/**
+ * Replace the thumbnail of a library shader (public/images/thumbnails/<fileName>.png)
+ * Dev-only: the server writes the image into the source tree and requires the admin token
+ *
+ * @param {string} fileName - Library file name without the .slang extension
+ * @param {Blob} png - PNG image
+ * @returns {Promise<void>}
+ */
+export async function uploadLibraryThumbnail(fileName, png) {
+  const token = getAdminToken();
+  if (!token) {
+    throw new Error('Enter the admin token on the Thumbnails page first');
+  }
+  await uploadThumbnail(`/api/library/thumbnails/${encodeURIComponent(fileName)}`, png, { 'x-admin-token': token });
+}
+
+/**
+ * URL of a saved shader's thumbnail
+ *
+ * @param {object} shader - Saved shader summary
+ * @returns {string|null} Image URL, or null if no thumbnail was captured
+ */
+export function getSavedThumbnailUrl(shader) {
+  if (!shader.thumbnailUpdatedAt) return null;
+  const version = encodeURIComponent(shader.thumbnailUpdatedAt);
+  return `${API_URL}/api/shaders/${encodeURIComponent(shader.id)}/thumbnail?v=${version}`;
+}
+
+// ============================================================================
+// PREVIEW MESH API
+// ============================================================================
+
+/**
+ * Store the preview model of a saved user shader
+ *
+ * @param {string} id - Saved shader id
+ * @param {ArrayBuffer} data - Model file contents
+ * @param {object} file - {fileName, format: 'glb' | 'gltf' | 'obj'}
+ * @returns {Promise<object>} The stored customMesh: {fileName, format, size, updatedAt}
+ */
+export async function uploadSavedMesh(id, data, { fileName, format }) {
+  const query = new URLSearchParams({ format, name: fileName });
+  let response;
+  try {
+    response = await fetch(`${API_URL}/api/shaders/${encodeURIComponent(id)}/mesh?${query}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: data
+    });
+  } catch {
+    throw new Error('Shader server is not available. Please ensure the server is running.');
+  }
+
+  if (response.status === 413) {
+    throw new Error('Model is too large to save (20 MB max)');
+  }
+
+  const result = await response.json();
+
+  if (!result.success) {
+    throw new Error(result.error || 'Model upload failed');
+  }
+
+  return result.customMesh;
+}
+
+/**
+ * Download the preview model of a saved user shader
+ *
+ * @param {object} shader - Saved shader with a customMesh
+ * @returns {Promise<ArrayBuffer>} Model file contents
+ */
+export async function getSavedMesh(shader) {
+  const version = encodeURIComponent(shader.customMesh.updatedAt);
+  let response;
+  try {
+    response = await fetch(`${API_URL}/api/shaders/${encodeURIComponent(shader.id)}/mesh?v=${version}`);
+  } catch {
+    throw new Error('Shader server is not available. Please ensure the server is running.');
+  }
+
+  if (!response.ok) {
+    throw new Error('Model not found');
+  }
+
+  return response.arrayBuffer();
+}
+
+// ============================================================================
+// REVISION HISTORY API
+// ============================================================================
+
+/**
+ * Send a request to the revision endpoints of one shader and unwrap the response
+ *
+ * @param {{scope: string, id: string}} owner - 'library' + file name, or 'saved' + shader id
+ * @param {string} path - Path below the shader's revisions
+ * @param {object} init - fetch options
+ * @returns {Promise<object>} The response data
+ */
+async function requestRevisions(owner, path, init = {}) {
+  let response;
+  try {
+    response = await fetch(`${API_URL}/api/revisions/${owner.scope}/${encodeURIComponent(owner.id)}${path}`, {
+      ...init,
+      headers: init.body ? { 'Content-Type': 'application/json' } : undefined
+    });
+  } catch {
+    throw new Error('Revision server is not available. Please ensure the server is running.');
+  }
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.error || 'Revision request failed');
+  }
+
+  return data;
+}
+
+/**
+ * List a shader's revisions, newest first (without code)
+ *
+ * @param {{scope: string, id: string}} owner - Shader the history belongs to
+ * @returns {Promise<Array<{id: number, reason: string, meshType: string, lineCount: number, createdAt: string}>>}
+ */
+export async function listRevisions(owner) {
+  const data = await requestRevisions(owner, '');
+  return data.revisions;
+}
+
+/**
+ * Get one revision, including its code and parameter values
+ *
+ * @param {{scope: string, id: string}} owner - Shader the history belongs to
+ * @param {number} revisionId - Revision number
+ * @returns {Promise<object>} {id, reason, code, meshType, parameterValues, createdAt}
+ */
+export async function getRevision(owner, revisionId) {
+  const data = await requestRevisions(owner, `/${revisionId}`);
+  return data.revision;
+}
+
+/**
+ * Snapshot the code of a shader
+ * Code identical to the newest revision doesn't create a new one.
+ *
+ * @param {{scope: string, id: string}} owner - Shader the history belongs to
+ * @param {object} revision - {code, reason: 'compile' | 'save', meshType, parameterValues}
+ * @returns {Promise<{revision: object, created: boolean}>}
+ */
+export async function addRevision(owner, revision) {
+  const data = await requestRevisions(owner, '', {
+    method: 'POST',
+    body: JSON.stringify(revision)
+  });
+  return { revision: data.revision, created: data.created };
+}
+
+// ============================================================================
+// SHARE LINK API
+// ============================================================================
+
+/**
+ * Store a compressed share payload on the server
+ *
+ * @param {string} payload - Encoded shader (see utils/shareLink)
+ * @returns {Promise<string>} Short link id
+ */
+export async function createShareLink(payload) {
+  let response;
+  try {
+    response = await fetch(`${API_URL}/api/share`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ payload })
+    });
+  } catch {
+    throw new Error('Share server is not available. Please ensure the server is running.');
+  }
+
+  if (response.status === 413) {
+    throw new Error('Shader is too large to share');
+  }
+
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || 'Could not create share link');
+  }
+  return data.id;
+}
+
+/**
+ * Get the payload behind a short link
+ *
+ * @param {string} id - Short link id
+ * @returns {Promise<string>} Encoded shader
+ */
+export async function getShareLink(id) {
+  let response;
+  try {
+    response = await fetch(`${API_URL}/api/share/${encodeURIComponent(id)}`);
+  } catch {
+    throw new Error('Share server is not available. Please ensure the server is running.');
+  }
+
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || 'Share link not found');
+  }
+  return data.payload;
+}
@@ -0,0 +1,88 @@
+// Shader metadata header
+//
+// A shader may start with a doc comment describing it for the gallery:
+//
+//   /**
+//    * @title Black Hole
+//    * @author Jane Doe
+//    * @tags space, distortion
+//    * @description Swirling accretion disk. Lines without a tag continue
+//    * the previous field.
+//    * @license CC BY 4.0
+//    * @mesh plane
+//    * @mode surface
+//    */
+//
+// @mode picks the code wrapper: surface shaders fill a SurfaceOutput that the
+// preview lights and the exports map to engine material outputs. The header is
+// an ordinary comment, so it compiles untouched.
+
+export const MESH_TYPES = ['sphere', 'cube', 'plane', 'torusknot', 'character']
+
+// Code wrappers a shader can ask for in its header
+export const SHADER_MODES = ['materialLibrary', 'surface', 'shaderToy']
+
+const METADATA_FIELDS = ['title', 'author', 'tags', 'description', 'license', 'mesh', 'mode']
+
+const HEADER_BLOCK = /^\s*\/\*\*([\s\S]*?)\*\//
+const FIELD_LINE = /^@(\w+)\s*(.*)$/
+
+/**
+ * Parse the metadata header at the top of a shader source
+ * @param {string} source - Shader source
+ * @returns {{title?: string, author?: string, tags: string[], description?: string, license?: string, mesh?: string, mode?: string}}
+ */
+export function parseShaderMetadata(source) {
+  const metadata = { tags: [] }
+  const header = source.match(HEADER_BLOCK)
+  if (!header) return metadata
+
+  const fields = {}
+  let current = null
+
+  for (const rawLine of header[1].split('\n')) {
+    const line = rawLine.replace(/^\s*\*?\s?/, '').trim()
+    const field = line.match(FIELD_LINE)
+    if (field) {
+      current = METADATA_FIELDS.includes(field[1]) ? field[1] : null
+      if (current) fields[current] = field[2]
+    } else if (current && line) {
+      fields[current] = fields[current] ? `${fields[current]} ${line}` : line
+    }
+  }
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (!value) continue
+    if (key === 'tags') {
+      metadata.tags = [...new Set(value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))]
+    } else if (key === 'mesh') {
+      const mesh = value.toLowerCase()
+      if (MESH_TYPES.includes(mesh)) metadata.mesh = mesh
+    } else if (key === 'mode') {
+      const mode = SHADER_MODES.find(name => name.toLowerCase() === value.toLowerCase())
+      if (mode) metadata.mode = mode
+    } else {
+      metadata[key] = value
+    }
+  }
+
+  return metadata
+}
+
+/**
+ * Check whether a shader record matches a gallery search query
+ * Searches name, author, description and tags.
+ * @param {object} shader - Shader record with metadata fields
+ * @param {string} query - Search text
+ * @returns {boolean}
+ */
+export function matchesShaderSearch(shader, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean)
+  if (words.length === 0) return true
+
+  const text = [shader.name, shader.author, shader.description, ...(shader.tags || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+  return words.every(word => text.includes(word))
+}
@@ -0,0 +1,98 @@
+// Multi-pass shaders (ShaderToy-style Buffer A-D)
+//
+// A shader becomes multi-pass when its source contains "// @pass <Name>" marker
+// lines. Code before the first marker is common to every pass. Each pass is
+// compiled on its own, with the lines of every other pass blanked so compiler
+// errors keep the line numbers of the full source.
+//
+// Buffers are rendered in order (BufferA..BufferD) into ping-pong render targets
+// and the Image pass is drawn on the preview mesh. Any pass can read a buffer
+// with iBufferA.Sample(iBufferASampler, uv) - reading its own buffer, or one
+// rendered later in the frame, returns the previous frame.
+
+export const BUFFER_NAMES = ['BufferA', 'BufferB', 'BufferC', 'BufferD']
+export const IMAGE_PASS = 'Image'
+export const PASS_NAMES = [...BUFFER_NAMES, IMAGE_PASS]
+
+const PASS_MARKER = /^\s*\/\/\s*@pass\s+(\w+)\s*$/
+
+/**
+ * Split a shader source into passes
+ * @param {string} source - Full shader source
+ * @returns {Array<{name: string, source: string}>} Buffers in render order, Image pass last
+ */
+export function splitShaderPasses(source) {
+  const lines = source.split('\n')
+  const owners = []
+  const seen = new Set()
+  let current = null
+
+  lines.forEach((line, index) => {
+    const marker = line.match(PASS_MARKER)
+    if (marker) {
+      const name = marker[1]
+      if (!PASS_NAMES.includes(name)) {
+        throw new Error(`Line ${index + 1}: Unknown pass '${name}'. Valid passes: ${PASS_NAMES.join(', ')}`)
+      }
+      if (seen.has(name)) {
+        throw new Error(`Line ${index + 1}: Pass '${name}' is declared more than once`)
+      }
+      seen.add(name)
+      current = name
+      owners.push('marker')
+      return
+    }
+    owners.push(current)
+  })
+
+  // Single-pass shader: the whole source is the Image pass
+  if (seen.size === 0) {
+    return [{ name: IMAGE_PASS, source }]
+  }
+  if (!seen.has(IMAGE_PASS)) {
+    throw new Error(`Multi-pass shaders need an "// @pass ${IMAGE_PASS}" section for the final output`)
+  }
+
+  return PASS_NAMES.filter(name => seen.has(name)).map(name => ({
+    name,
+    // Keep common lines (owner null) and this pass's lines, blank everything else
+    source: lines.map((line, i) => (owners[i] === null || owners[i] === name ? line : '')).join('\n')
+  }))
+}
+
+/**
+ * Describe which buffers every pass reads
+ * @param {Array<{name: string, source: string}>} passes
+ * @returns {Array<{name: string, output: string, reads: Array<{buffer: string, previousFrame: boolean}>}>}
+ */
+export function buildPassGraph(passes) {
+  return passes.map((pass, index) => {
+    const reads = BUFFER_NAMES
+      .filter(buffer => new RegExp(`\\bi${buffer}\\b`).test(pass.source))
+      .map(buffer => {
+        const producer = passes.findIndex(p => p.name === buffer)
+        // Buffers rendered at or after this pass still hold last frame's result
+        return { buffer, previousFrame: producer === -1 || producer >= index }
+      })
+    return {
+      name: pass.name,
+      output: pass.name === IMAGE_PASS ? 'mesh' : pass.name,
+      reads
+    }
+  })
+}
+
+/**
+ * Render a pass graph as a comment block for exported code
+ * @param {Array} graph - Result of buildPassGraph
+ * @returns {string}
+ */
+export function formatPassGraph(graph) {
+  const lines = graph.map(pass => {
+    const reads = pass.reads.length > 0
+      ? pass.reads.map(r => `${r.buffer}${r.previousFrame ? ' (previous frame)' : ''}`).join(', ')
+      : 'nothing'
+    return `//   ${pass.name} -> ${pass.output}, reads ${reads}`
+  })
+  return `// Pass graph (render in this order, buffers are ping-pong render targets):\n${lines.join('\n')}`
+}
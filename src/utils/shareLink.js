@@ -0,0 +1,92 @@
+// Shareable links
+//
+// A shared shader travels in the URL fragment as compressed JSON:
+//   /share#<base64url(deflate-raw(JSON))>
+// The fragment is never sent to a server, so nothing is logged or stored. When
+// the link would be longer than MAX_SHARE_URL_LENGTH the same payload is stored
+// on the server and the link becomes /share/<id>.
+
+import { createShareLink } from './shaderApi'
+import { MESH_TYPES, SHADER_MODES } from './shaderMetadata'
+
+const SHARE_VERSION = 1
+
+// Longer links get mangled by chat tools and issue trackers
+export const MAX_SHARE_URL_LENGTH = 4000
+
+function toBase64Url(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, c => c.charCodeAt(0))
+}
+
+async function pipeBytes(bytes, transformStream) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transformStream)
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Compress a shader into a URL-safe string
+ * @param {object} shader - {name, code, mode, meshType, parameterValues}
+ * @returns {Promise<string>} base64url payload
+ */
+export async function encodeSharePayload({ name, code, mode, meshType, parameterValues }) {
+  const json = JSON.stringify({ v: SHARE_VERSION, name, code, mode, meshType, parameterValues })
+  const compressed = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'))
+  return toBase64Url(compressed)
+}
+
+/**
+ * Restore a shader from a share payload
+ * @param {string} payload - base64url payload from encodeSharePayload
+ * @returns {Promise<{name: string, code: string, mode: string, meshType: string, parameterValues: object}>}
+ * @throws {Error} If the payload is damaged or from a newer version
+ */
+export async function decodeSharePayload(payload) {
+  let data
+  try {
+    const json = await pipeBytes(fromBase64Url(payload), new DecompressionStream('deflate-raw'))
+    data = JSON.parse(new TextDecoder().decode(json))
+  } catch {
+    throw new Error('This share link is damaged or incomplete')
+  }
+
+  if (data.v > SHARE_VERSION) {
+    throw new Error('This share link was made by a newer version of the app')
+  }
+  if (typeof data.code !== 'string') {
+    throw new Error('This share link does not contain a shader')
+  }
+
+  return {
+    name: typeof data.name === 'string' && data.name ? data.name : 'Shared Shader',
+    code: data.code,
+    mode: SHADER_MODES.includes(data.mode) ? data.mode : 'materialLibrary',
+    meshType: MESH_TYPES.includes(data.meshType) ? data.meshType : null,
+    parameterValues: data.parameterValues && typeof data.parameterValues === 'object' ? data.parameterValues : {}
+  }
+}
+
+/**
+ * Build a link that opens the shader in the editor
+ * Falls back to a server-stored short link when the payload is too big for a URL.
+ * @param {object} shader - {name, code, mode, meshType, parameterValues}
+ * @returns {Promise<{url: string, shortLink: boolean}>}
+ */
+export async function createShareUrl(shader) {
+  const payload = await encodeSharePayload(shader)
+  const url = `${window.location.origin}/share#${payload}`
+  if (url.length <= MAX_SHARE_URL_LENGTH) {
+    return { url, shortLink: false }
+  }
+
+  const id = await createShareLink(payload)
+  return { url: `${window.location.origin}/share/${id}`, shortLink: true }
+}
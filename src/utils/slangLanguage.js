@@ -0,0 +1,447 @@
+// Slang language features for the Monaco editor: completion, hover and signature help.
+//
+// The providers know the inputs the server wrapper predefines for each compile mode,
+// the built-in intrinsics with their signatures, and the variables, functions and
+// structs declared in the user's own code.
+
+const CHANNEL_INPUTS = [
+  ...[0, 1, 2, 3].flatMap(i => [
+    { name: `iChannel${i}`, type: 'Texture2D', doc: `Input texture ${i}, sample with iChannel${i}.Sample(iChannel${i}Sampler, uv)` },
+    { name: `iChannel${i}Sampler`, type: 'SamplerState', doc: `Sampler for iChannel${i}` }
+  ]),
+  { name: 'iChannelResolution', type: 'float3[4]', doc: 'Input texture size in pixels for each channel' },
+  { name: 'iChannelTime', type: 'float[4]', doc: 'Playback time of each channel in seconds' },
+  ...['A', 'B', 'C', 'D'].flatMap(b => [
+    { name: `iBuffer${b}`, type: 'Texture2D', doc: `Output of pass Buffer${b} (multi-pass), sample with iBuffer${b}.Sample(iBuffer${b}Sampler, uv)` },
+    { name: `iBuffer${b}Sampler`, type: 'SamplerState', doc: `Sampler for iBuffer${b}` }
+  ])
+]
+
+const TIME_INPUTS = [
+  { name: 'iTime', type: 'float', doc: 'Current time in seconds' },
+  { name: 'iTimeDelta', type: 'float', doc: 'Time to render a frame, in seconds' },
+  { name: 'iFrame', type: 'float', doc: 'Current frame' },
+  { name: 'iFrameRate', type: 'float', doc: 'Frames rendered per second' },
+  { name: 'iMouse', type: 'float4', doc: 'xy = cursor pixel while dragging, zw = click pixel' },
+  { name: 'iDate', type: 'float4', doc: 'Year, month (0-11), day, seconds since midnight' }
+]
+
+const MESH_INPUTS = [
+  { name: 'iResolution', type: 'float2', doc: 'Screen size in pixels' },
+  ...TIME_INPUTS,
+  { name: 'iUV', type: 'float2', doc: 'Texture coordinates' },
+  { name: 'iNormal', type: 'float3', doc: 'Surface normal' },
+  { name: 'iPosition', type: 'float3', doc: 'Vertex position in local space' },
+  { name: 'offset', type: 'float3', doc: 'World space vertex offset, set in the // @vertex section' }
+]
+
+// Fields of the SurfaceOutput struct filled in surface mode
+const SURFACE_FIELDS = [
+  { name: 'baseColor', type: 'float3', doc: 'Linear albedo (default 0.8 grey)' },
+  { name: 'metallic', type: 'float', doc: '0 = dielectric, 1 = metal (default 0)' },
+  { name: 'roughness', type: 'float', doc: 'Microsurface roughness, 0 = mirror (default 0.5)' },
+  { name: 'normal', type: 'float3', doc: 'Tangent space normal, (0, 0, 1) keeps the mesh normal' },
+  { name: 'emissive', type: 'float3', doc: 'Emitted light, added after lighting (default black)' },
+  { name: 'opacity', type: 'float', doc: 'Coverage, 1 = opaque' },
+  { name: 'occlusion', type: 'float', doc: 'Ambient occlusion, 0 = fully occluded (default 1)' }
+]
+
+// Inputs available to user code in each compile mode
+export const PREDEFINED_INPUTS = {
+  materialLibrary: [
+    ...MESH_INPUTS,
+    { name: 'fragColor', type: 'float4', doc: 'The RGBA color output (required)' },
+    ...CHANNEL_INPUTS
+  ],
+  surface: [
+    ...MESH_INPUTS,
+    { name: 'surface', type: 'SurfaceOutput', doc: `Lit material output: ${SURFACE_FIELDS.map(f => f.name).join(', ')}` },
+    ...CHANNEL_INPUTS
+  ],
+  shaderToy: [
+    { name: 'iResolution', type: 'float3', doc: 'Viewport resolution in pixels' },
+    ...TIME_INPUTS,
+    ...CHANNEL_INPUTS
+  ]
+}
+
+// Built-in functions. `T` is any float scalar or vector type.
+export const INTRINSICS = [
+  { name: 'abs', signatures: ['T abs(T x)'], doc: 'Absolute value' },
+  { name: 'acos', signatures: ['T acos(T x)'], doc: 'Arccosine in radians' },
+  { name: 'all', signatures: ['bool all(T x)'], doc: 'True if all components are non-zero' },
+  { name: 'any', signatures: ['bool any(T x)'], doc: 'True if any component is non-zero' },
+  { name: 'asin', signatures: ['T asin(T x)'], doc: 'Arcsine in radians' },
+  { name: 'atan', signatures: ['T atan(T x)'], doc: 'Arctangent in radians' },
+  { name: 'atan2', signatures: ['T atan2(T y, T x)'], doc: 'Arctangent of y/x using the signs of both to pick the quadrant' },
+  { name: 'ceil', signatures: ['T ceil(T x)'], doc: 'Smallest integer not less than x' },
+  { name: 'clamp', signatures: ['T clamp(T x, T min, T max)'], doc: 'Clamp x to the range [min, max]' },
+  { name: 'clip', signatures: ['void clip(T x)'], doc: 'Discard the pixel if any component of x is negative' },
+  { name: 'cos', signatures: ['T cos(T x)'], doc: 'Cosine of x in radians' },
+  { name: 'cosh', signatures: ['T cosh(T x)'], doc: 'Hyperbolic cosine' },
+  { name: 'cross', signatures: ['float3 cross(float3 a, float3 b)'], doc: 'Cross product of two 3D vectors' },
+  { name: 'ddx', signatures: ['T ddx(T x)'], doc: 'Screen-space derivative along x' },
+  { name: 'ddy', signatures: ['T ddy(T x)'], doc: 'Screen-space derivative along y' },
+  { name: 'degrees', signatures: ['T degrees(T radians)'], doc: 'Convert radians to degrees' },
+  { name: 'determinant', signatures: ['float determinant(floatNxN m)'], doc: 'Determinant of a square matrix' },
+  { name: 'distance', signatures: ['float distance(T a, T b)'], doc: 'Distance between two points' },
+  { name: 'dot', signatures: ['float dot(T a, T b)'], doc: 'Dot product' },
+  { name: 'exp', signatures: ['T exp(T x)'], doc: 'e raised to the power x' },
+  { name: 'exp2', signatures: ['T exp2(T x)'], doc: '2 raised to the power x' },
+  { name: 'faceforward', signatures: ['T faceforward(T n, T i, T ng)'], doc: 'Flip n to face against i' },
+  { name: 'floor', signatures: ['T floor(T x)'], doc: 'Largest integer not greater than x' },
+  { name: 'fmod', signatures: ['T fmod(T x, T y)'], doc: 'Floating point remainder of x / y (sign of x)' },
+  { name: 'frac', signatures: ['T frac(T x)'], doc: 'Fractional part of x (GLSL fract)' },
+  { name: 'fwidth', signatures: ['T fwidth(T x)'], doc: 'abs(ddx(x)) + abs(ddy(x))' },
+  { name: 'isinf', signatures: ['bool isinf(T x)'], doc: 'True if x is infinite' },
+  { name: 'isnan', signatures: ['bool isnan(T x)'], doc: 'True if x is NaN' },
+  { name: 'ldexp', signatures: ['T ldexp(T x, T exp)'], doc: 'x * 2^exp' },
+  { name: 'length', signatures: ['float length(T v)'], doc: 'Length of a vector' },
+  { name: 'lerp', signatures: ['T lerp(T a, T b, T t)'], doc: 'Linear interpolation a + (b - a) * t (GLSL mix)' },
+  { name: 'log', signatures: ['T log(T x)'], doc: 'Natural logarithm' },
+  { name: 'log10', signatures: ['T log10(T x)'], doc: 'Base 10 logarithm' },
+  { name: 'log2', signatures: ['T log2(T x)'], doc: 'Base 2 logarithm' },
+  { name: 'mad', signatures: ['T mad(T a, T b, T c)'], doc: 'a * b + c' },
+  { name: 'max', signatures: ['T max(T a, T b)'], doc: 'Larger of a and b' },
+  { name: 'min', signatures: ['T min(T a, T b)'], doc: 'Smaller of a and b' },
+  { name: 'modf', signatures: ['T modf(T x, out T whole)'], doc: 'Split x into fractional (returned) and whole parts' },
+  { name: 'mul', signatures: ['T mul(floatNxM m, floatM v)', 'T mul(floatN v, floatNxM m)', 'T mul(floatNxM a, floatMxK b)'], doc: 'Matrix multiplication (use instead of * for matrices)' },
+  { name: 'normalize', signatures: ['T normalize(T v)'], doc: 'Vector with the same direction and length 1' },
+  { name: 'pow', signatures: ['T pow(T x, T y)'], doc: 'x raised to the power y' },
+  { name: 'radians', signatures: ['T radians(T degrees)'], doc: 'Convert degrees to radians' },
+  { name: 'rcp', signatures: ['T rcp(T x)'], doc: 'Reciprocal 1 / x' },
+  { name: 'reflect', signatures: ['T reflect(T i, T n)'], doc: 'Reflect incident vector i around normal n' },
+  { name: 'refract', signatures: ['T refract(T i, T n, float eta)'], doc: 'Refract incident vector i through normal n with index ratio eta' },
+  { name: 'round', signatures: ['T round(T x)'], doc: 'Round to the nearest integer' },
+  { name: 'rsqrt', signatures: ['T rsqrt(T x)'], doc: 'Reciprocal square root 1 / sqrt(x)' },
+  { name: 'saturate', signatures: ['T saturate(T x)'], doc: 'Clamp x to [0, 1]' },
+  { name: 'sign', signatures: ['T sign(T x)'], doc: '-1, 0 or 1 depending on the sign of x' },
+  { name: 'sin', signatures: ['T sin(T x)'], doc: 'Sine of x in radians' },
+  { name: 'sincos', signatures: ['void sincos(T x, out T s, out T c)'], doc: 'Sine and cosine of x at once' },
+  { name: 'sinh', signatures: ['T sinh(T x)'], doc: 'Hyperbolic sine' },
+  { name: 'smoothstep', signatures: ['T smoothstep(T edge0, T edge1, T x)'], doc: 'Smooth Hermite interpolation between 0 and 1 when edge0 < x < edge1' },
+  { name: 'sqrt', signatures: ['T sqrt(T x)'], doc: 'Square root' },
+  { name: 'step', signatures: ['T step(T edge, T x)'], doc: '0 if x < edge, otherwise 1' },
+  { name: 'tan', signatures: ['T tan(T x)'], doc: 'Tangent of x in radians' },
+  { name: 'tanh', signatures: ['T tanh(T x)'], doc: 'Hyperbolic tangent' },
+  { name: 'transpose', signatures: ['floatMxN transpose(floatNxM m)'], doc: 'Transpose of a matrix' },
+  { name: 'trunc', signatures: ['T trunc(T x)'], doc: 'Integer part of x, rounded toward zero' },
+  { name: 'asfloat', signatures: ['float asfloat(uint x)'], doc: 'Reinterpret the bits of x as float' },
+  { name: 'asint', signatures: ['int asint(float x)'], doc: 'Reinterpret the bits of x as int' },
+  { name: 'asuint', signatures: ['uint asuint(float x)'], doc: 'Reinterpret the bits of x as uint' }
+]
+
+// Methods of Texture2D values (iChannel0-3, iBufferA-D)
+export const TEXTURE_METHODS = [
+  { name: 'Sample', signatures: ['float4 Sample(SamplerState s, float2 uv)'], doc: 'Filtered texture sample' },
+  { name: 'SampleLevel', signatures: ['float4 SampleLevel(SamplerState s, float2 uv, float lod)'], doc: 'Sample a specific mip level' },
+  { name: 'SampleGrad', signatures: ['float4 SampleGrad(SamplerState s, float2 uv, float2 ddx, float2 ddy)'], doc: 'Sample with explicit derivatives' },
+  { name: 'Load', signatures: ['float4 Load(int3 location)'], doc: 'Fetch a texel without filtering, location = (x, y, mip)' },
+  { name: 'GetDimensions', signatures: ['void GetDimensions(out float width, out float height)'], doc: 'Texture size in texels' }
+]
+
+const TYPES = [
+  'void', 'bool', 'int', 'uint', 'float', 'half',
+  ...['bool', 'int', 'uint', 'float', 'half'].flatMap(t => [`${t}2`, `${t}3`, `${t}4`]),
+  'float2x2', 'float3x3', 'float4x4', 'Texture2D', 'SamplerState'
+]
+
+const KEYWORDS = [
+  'const', 'static', 'struct', 'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default',
+  'break', 'continue', 'return', 'discard', 'in', 'out', 'inout', 'true', 'false'
+]
+
+// Snippets for the markers and declarations the wrapper understands
+const SNIPPETS = [
+  { label: 'mainImage', mode: 'shaderToy', doc: 'ShaderToy entry point', insert: 'void mainImage(out float4 fragColor, in float2 fragCoord)\n{\n\t$0\n}' },
+  { label: '@global', doc: 'Start the global section (functions, structs, constants)', insert: '// @global\n$0' },
+  { label: '@main', doc: 'Start the main section (code inside main)', insert: '// @main\n$0' },
+  { label: '@vertex', doc: 'Start the vertex offset section (moves each vertex by offset)', insert: '// @vertex\noffset = ${1:iNormal * 0.1};\n$0' },
+  { label: '@pass', doc: 'Start a multi-pass section', insert: '// @pass ${1|BufferA,BufferB,BufferC,BufferD,Image|}\n$0' },
+  { label: 'Range', doc: 'Material parameter slider', insert: '[Range(${1:0.0}, ${2:1.0})] float ${3:Name} = ${4:0.5}; // ${5:Label}' },
+  { label: 'Color', doc: 'Material color parameter', insert: '[Color] float3 ${1:Name} = float3(${2:1.0}, ${3:1.0}, ${4:1.0}); // ${5:Label}' },
+  { label: 'Param', doc: 'Material parameter', insert: '[Param] ${1|float,float2,float3,float4,bool|} ${2:Name} = ${3:1.0}; // ${4:Label}' }
+]
+
+const DECLARED_TYPE = '(?:float|int|uint|bool|half)(?:[234](?:x[234])?)?|Texture2D|SamplerState|[A-Z]\\w*'
+const FUNCTION_DECLARATION = new RegExp(`^\\s*(?:static\\s+|inline\\s+)*(${DECLARED_TYPE}|void)\\s+([A-Za-z_]\\w*)\\s*\\(([^)]*)\\)`, 'gm')
+const VARIABLE_DECLARATION = new RegExp(`(?:^|[;{(,]|\\])\\s*(?:const\\s+|static\\s+|in\\s+|out\\s+|inout\\s+)*(${DECLARED_TYPE})\\s+([A-Za-z_]\\w*)\\s*(?=[=;,\\[)])`, 'gm')
+const STRUCT_DECLARATION = /\bstruct\s+([A-Za-z_]\w*)/g
+
+// Comments would produce false declarations, blank them but keep line numbers
+function stripComments(code) {
+  return code
+    .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+    .replace(/\/\/.*$/gm, match => ' '.repeat(match.length))
+}
+
+function lineOf(code, index) {
+  return code.slice(0, index).split('\n').length
+}
+
+/**
+ * Find variables, functions and structs declared in user code
+ * @param {string} code - User source
+ * @returns {Array<{name: string, kind: 'variable'|'function'|'struct', type: string, signature?: string, line: number}>}
+ */
+export function findUserSymbols(code) {
+  const source = stripComments(code)
+  const symbols = []
+  const seen = new Set()
+  const add = (symbol) => {
+    const key = `${symbol.kind}:${symbol.name}`
+    if (seen.has(key) || KEYWORDS.includes(symbol.name) || TYPES.includes(symbol.name)) return
+    seen.add(key)
+    symbols.push(symbol)
+  }
+
+  for (const match of source.matchAll(FUNCTION_DECLARATION)) {
+    const [, returnType, name, params] = match
+    if (KEYWORDS.includes(returnType)) continue
+    add({
+      name,
+      kind: 'function',
+      type: returnType,
+      signature: `${returnType} ${name}(${params.replace(/\s+/g, ' ').trim()})`,
+      line: lineOf(source, match.index + match[0].indexOf(name))
+    })
+  }
+  for (const match of source.matchAll(STRUCT_DECLARATION)) {
+    add({ name: match[1], kind: 'struct', type: 'struct', line: lineOf(source, match.index) })
+  }
+  for (const match of source.matchAll(VARIABLE_DECLARATION)) {
+    const [, type, name] = match
+    if (symbols.some(s => s.kind === 'function' && s.name === name)) continue
+    add({ name, kind: 'variable', type, line: lineOf(source, match.index + match[0].lastIndexOf(name)) })
+  }
+
+  return symbols
+}
+
+// Split "float3 name(float a, float b)" into the parameter labels Monaco highlights
+function toSignatureInformation(signature, doc) {
+  const open = signature.indexOf('(')
+  const close = signature.lastIndexOf(')')
+  const params = signature.slice(open + 1, close).trim()
+  const parameters = []
+  if (params) {
+    let offset = open + 1
+    for (const part of params.split(',')) {
+      const start = offset + part.length - part.trimStart().length
+      parameters.push({ label: [start, start + part.trim().length] })
+      offset += part.length + 1
+    }
+  }
+  return { label: signature, documentation: doc, parameters }
+}
+
+// Walk back from the cursor to the unclosed '(' of the call being typed
+function findCallContext(textBeforeCursor) {
+  let depth = 0
+  let activeParameter = 0
+  for (let i = textBeforeCursor.length - 1; i >= 0; i--) {
+    const ch = textBeforeCursor[i]
+    if (ch === ')') depth++
+    else if (ch === '(') {
+      if (depth === 0) {
+        const name = textBeforeCursor.slice(0, i).match(/(?:\.\s*)?([A-Za-z_]\w*)\s*$/)
+        if (!name) return null
+        return { name: name[1], isMethod: name[0].trimStart().startsWith('.'), activeParameter }
+      }
+      depth--
+    } else if (ch === ',' && depth === 0) activeParameter++
+    else if (ch === ';' || ch === '{' || ch === '}') return null
+  }
+  return null
+}
+
+// Compile mode per editor model, set by ShaderEditor
+const modelModes = new Map()
+
+export function setModelMode(model, mode) {
+  modelModes.set(model.uri.toString(), mode)
+}
+
+function getInputs(model) {
+  return PREDEFINED_INPUTS[modelModes.get(model.uri.toString())] || PREDEFINED_INPUTS.materialLibrary
+}
+
+let registered = false
+
+/**
+ * Register completion, hover and signature help providers for the 'slang' language
+ * Providers are global to Monaco, so this only registers once.
+ * @param {object} monaco - Monaco namespace
+ */
+export function registerSlangLanguageFeatures(monaco) {
+  if (registered) return
+  registered = true
+
+  const { CompletionItemKind, CompletionItemInsertTextRule } = monaco.languages
+
+  monaco.languages.registerCompletionItemProvider('slang', {
+    triggerCharacters: ['.'],
+    provideCompletionItems(model, position) {
+      const word = model.getWordUntilPosition(position)
+      const range = {
+        startLineNumber: position.lineNumber,
+        endLineNumber: position.lineNumber,
+        startColumn: word.startColumn,
+        endColumn: word.endColumn
+      }
+      const linePrefix = model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1)
+      const inputs = getInputs(model)
+      const symbols = findUserSymbols(model.getValue())
+
+      // Member access: texture methods on textures, surface fields on the surface
+      // output, nothing else (swizzles are free-form)
+      const member = linePrefix.match(/([A-Za-z_]\w*)\s*\.\s*$/)
+      if (member) {
+        const owner = inputs.find(i => i.name === member[1]) || symbols.find(s => s.name === member[1])
+        if (owner?.type === 'SurfaceOutput') {
+          return {
+            suggestions: SURFACE_FIELDS.map(field => ({
+              label: field.name,
+              kind: CompletionItemKind.Field,
+              detail: `${field.type} ${field.name}`,
+              documentation: field.doc,
+              insertText: field.name,
+              range
+            }))
+          }
+        }
+        if (owner?.type !== 'Texture2D') return { suggestions: [] }
+        return {
+          suggestions: TEXTURE_METHODS.map(method => ({
+            label: method.name,
+            kind: CompletionItemKind.Method,
+            detail: method.signatures[0],
+            documentation: method.doc,
+            insertText: method.name,
+            range
+          }))
+        }
+      }
+
+      const mode = modelModes.get(model.uri.toString()) || 'materialLibrary'
+      const suggestions = [
+        ...inputs.map(input => ({
+          label: input.name,
+          kind: CompletionItemKind.Variable,
+          detail: `${input.type} (predefined)`,
+          documentation: input.doc,
+          insertText: input.name,
+          sortText: `0${input.name}`,
+          range
+        })),
+        ...symbols.map(symbol => ({
+          label: symbol.name,
+          kind: symbol.kind === 'function' ? CompletionItemKind.Function
+            : symbol.kind === 'struct' ? CompletionItemKind.Struct
+              : CompletionItemKind.Variable,
+          detail: symbol.signature || `${symbol.type} ${symbol.name}`,
+          documentation: `Declared on line ${symbol.line}`,
+          insertText: symbol.name,
+          sortText: `1${symbol.name}`,
+          range
+        })),
+        ...INTRINSICS.map(fn => ({
+          label: fn.name,
+          kind: CompletionItemKind.Function,
+          detail: fn.signatures[0],
+          documentation: fn.doc,
+          insertText: fn.name,
+          sortText: `2${fn.name}`,
+          range
+        })),
+        ...TYPES.map(type => ({
+          label: type,
+          kind: CompletionItemKind.Class,
+          insertText: type,
+          sortText: `3${type}`,
+          range
+        })),
+        ...KEYWORDS.map(keyword => ({
+          label: keyword,
+          kind: CompletionItemKind.Keyword,
+          insertText: keyword,
+          sortText: `4${keyword}`,
+          range
+        })),
+        ...SNIPPETS.filter(snippet => !snippet.mode || snippet.mode === mode).map(snippet => ({
+          label: snippet.label,
+          kind: CompletionItemKind.Snippet,
+          documentation: snippet.doc,
+          insertText: snippet.insert,
+          insertTextRules: CompletionItemInsertTextRule.InsertAsSnippet,
+          sortText: `5${snippet.label}`,
+          range
+        }))
+      ]
+
+      return { suggestions }
+    }
+  })
+
+  monaco.languages.registerHoverProvider('slang', {
+    provideHover(model, position) {
+      const word = model.getWordAtPosition(position)
+      if (!word) return null
+
+      const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn)
+      const input = getInputs(model).find(i => i.name === word.word)
+      if (input) {
+        return { range, contents: [{ value: `\`\`\`slang\n${input.type} ${input.name}\n\`\`\`` }, { value: `Predefined input. ${input.doc}` }] }
+      }
+
+      const symbol = findUserSymbols(model.getValue()).find(s => s.name === word.word)
+      if (symbol) {
+        const declaration = symbol.signature || (symbol.kind === 'struct' ? `struct ${symbol.name}` : `${symbol.type} ${symbol.name}`)
+        return { range, contents: [{ value: `\`\`\`slang\n${declaration}\n\`\`\`` }, { value: `Declared on line ${symbol.line}` }] }
+      }
+
+      const linePrefix = model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1)
+      const functions = /\.\s*$/.test(linePrefix) ? TEXTURE_METHODS : INTRINSICS
+      const fn = functions.find(f => f.name === word.word)
+      if (fn) {
+        return { range, contents: [{ value: `\`\`\`slang\n${fn.signatures.join('\n')}\n\`\`\`` }, { value: fn.doc }] }
+      }
+
+      return null
+    }
+  })
+
+  monaco.languages.registerSignatureHelpProvider('slang', {
+    signatureHelpTriggerCharacters: ['(', ','],
+    signatureHelpRetriggerCharacters: [','],
+    provideSignatureHelp(model, position) {
+      const textBeforeCursor = model.getValueInRange({
+        startLineNumber: Math.max(1, position.lineNumber - 10),
+        startColumn: 1,
+        endLineNumber: position.lineNumber,
+        endColumn: position.column
+      })
+      const call = findCallContext(textBeforeCursor)
+      if (!call) return null
+
+      let signatures
+      if (call.isMethod) {
+        const method = TEXTURE_METHODS.find(m => m.name === call.name)
+        signatures = method && method.signatures.map(sig => toSignatureInformation(sig, method.doc))
+      } else {
+        const fn = INTRINSICS.find(f => f.name === call.name)
+        const userFn = findUserSymbols(model.getValue()).find(s => s.kind === 'function' && s.name === call.name)
+        if (userFn) signatures = [toSignatureInformation(userFn.signature, `Declared on line ${userFn.line}`)]
+        else if (fn) signatures = fn.signatures.map(sig => toSignatureInformation(sig, fn.doc))
+      }
+      if (!signatures) return null
+
+      // Prefer the first overload with enough parameters for the argument being typed
+      const activeSignature = Math.max(0, signatures.findIndex(sig => sig.parameters.length > call.activeParameter))
+      return {
+        value: { signatures, activeSignature, activeParameter: call.activeParameter },
+        dispose() {}
+      }
+    }
+  })
+}
@@ -0,0 +1,353 @@
+// Three.js / React Three Fiber module export
+//
+// Builds a self-contained ES module around the shader as the preview runs it:
+// the same vertex shader, the same GLSL translation and the same uniforms. The
+// module exports a THREE.ShaderMaterial factory and a per-frame update for
+// time, resolution, mouse and date. The R3F flavour adds a hook and a
+// <NameMaterial /> component that calls the update from useFrame.
+
+import { VERTEX_SHADER, QUAD_VERTEX_SHADER, buildVertexShader, convertSlangGlslToWebGL, convertSlangVertexToWebGL } from './webglShader'
+import { BUFFER_NAMES, IMAGE_PASS } from './shaderPasses'
+
+// "my cool shader" -> "MyCoolShader", usable as a component name
+function toComponentName(name) {
+  const words = String(name || '').match(/[A-Za-z0-9]+/g) || []
+  const identifier = words.map(word => word[0].toUpperCase() + word.slice(1)).join('')
+  return /^[A-Za-z]/.test(identifier) ? identifier : `Shader${identifier}`
+}
+
+// Shader code as the body of a JS template literal
+function toTemplateLiteral(code) {
+  const escaped = code.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')
+  return `\`\n${escaped.trim()}\n\``
+}
+
+// JS literal for a string, number, boolean or array of numbers
+function toLiteral(value) {
+  if (Array.isArray(value)) return `[${value.join(', ')}]`
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+  return String(value)
+}
+
+// Parameter description kept in the module, e.g. for building a GUI
+function describeParameter(param) {
+  const description = { name: param.name, label: param.label, type: param.valueType, default: param.default }
+  if (param.kind === 'range') Object.assign(description, { min: param.min, max: param.max })
+  if (param.kind === 'color') description.color = true
+  return `  { ${Object.entries(description).map(([key, value]) => `${key}: ${toLiteral(value)}`).join(', ')} }`
+}
+
+function buildBufferPassCode(name, bufferPasses) {
+  return `
+// Buffer passes, rendered in order into ping-pong render targets before the
+// material is drawn. A pass reading its own buffer sees the previous frame.
+const BUFFER_NAMES = [${BUFFER_NAMES.map(toLiteral).join(', ')}]
+
+const quadVertexShader = ${toTemplateLiteral(QUAD_VERTEX_SHADER)}
+
+const bufferPasses = [
+${bufferPasses.map(pass => `  {\n    name: '${pass.name}',\n    fragmentShader: ${toTemplateLiteral(pass.fragmentShader).replace(/\n(?=.)/g, '\n    ')}\n  }`).join(',\n')}
+]
+
+function createBufferTarget(width, height) {
+  return new THREE.WebGLRenderTarget(width, height, {
+    type: THREE.HalfFloatType,
+    minFilter: THREE.LinearFilter,
+    magFilter: THREE.LinearFilter,
+    depthBuffer: false
+  })
+}
+
+function createBufferPasses(uniforms) {
+  const scene = new THREE.Scene()
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1)
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2))
+  quad.frustumCulled = false
+  scene.add(quad)
+
+  const passes = bufferPasses.map(pass => ({
+    name: pass.name,
+    material: new THREE.ShaderMaterial({ uniforms, vertexShader: quadVertexShader, fragmentShader: pass.fragmentShader }),
+    read: null,
+    write: null
+  }))
+  return { scene, camera, quad, passes }
+}
+
+// Point every iBuffer uniform at the most recently completed frame of that buffer
+function bindBuffers(state, uniforms) {
+  for (const pass of state.passes) {
+    if (pass.read) uniforms[\`i\${pass.name}\`].value = pass.read.texture
+  }
+}
+
+function renderBufferPasses(state, uniforms, renderer) {
+  if (!renderer) throw new Error('update${name}Material needs the renderer to draw the buffer passes')
+
+  const width = Math.max(1, Math.round(uniforms.uResolution.value.x))
+  const height = Math.max(1, Math.round(uniforms.uResolution.value.y))
+  const previousTarget = renderer.getRenderTarget()
+
+  for (const pass of state.passes) {
+    if (!pass.read) {
+      pass.read = createBufferTarget(width, height)
+      pass.write = createBufferTarget(width, height)
+    } else if (pass.read.width !== width || pass.read.height !== height) {
+      pass.read.setSize(width, height)
+      pass.write.setSize(width, height)
+    }
+
+    bindBuffers(state, uniforms)
+    state.quad.material = pass.material
+    renderer.setRenderTarget(pass.write)
+    renderer.render(state.scene, state.camera)
+    ;[pass.read, pass.write] = [pass.write, pass.read]
+  }
+
+  renderer.setRenderTarget(previousTarget)
+  bindBuffers(state, uniforms)
+}
+
+function disposeBufferPasses(state) {
+  state.quad.geometry.dispose()
+  for (const pass of state.passes) {
+    pass.material.dispose()
+    pass.read?.dispose()
+    pass.write?.dispose()
+    pass.read = pass.write = null
+  }
+}
+`
+}
+
+function buildReactCode(name) {
+  return `
+/**
+ * React Three Fiber hook: a ${name} material that is updated every frame
+ * @param {object} [parameters] - Parameter values by name
+ * @param {Array<THREE.Texture|null>} [channels] - Textures for iChannel0-3
+ * @returns {THREE.ShaderMaterial}
+ */
+export function use${name}Material(parameters, channels) {
+  const material = useMemo(() => create${name}Material(), [])
+  useEffect(() => () => material.dispose(), [material])
+
+  useEffect(() => {
+    if (parameters) set${name}Parameters(material, parameters)
+  }, [material, parameters])
+
+  useEffect(() => {
+    channels?.forEach((texture, i) => {
+      if (i < CHANNEL_COUNT) material.uniforms[\`iChannel\${i}\`].value = texture
+    })
+  }, [material, channels])
+
+  useFrame((state, delta) => {
+    update${name}Material(material, {
+      time: state.clock.elapsedTime,
+      delta,
+      width: state.size.width,
+      height: state.size.height,
+      renderer: state.gl
+    })
+  })
+
+  return material
+}
+
+// <mesh>
+//   <sphereGeometry args={[1.5, 64, 64]} />
+//   <${name}Material parameters={{ ... }} />
+// </mesh>
+export function ${name}Material({ parameters, channels, ...props }) {
+  const material = use${name}Material(parameters, channels)
+  return <primitive object={material} attach="material" {...props} />
+}
+`
+}
+
+/**
+ * File name the module's usage comment imports it by
+ * @param {string} name - Shader name
+ * @param {boolean} react - R3F (JSX) module
+ * @returns {string} e.g. "MyShaderMaterial.jsx"
+ */
+export function getThreeModuleFileName(name, react = false) {
+  return `${toComponentName(name)}Material.${react ? 'jsx' : 'js'}`
+}
+
+/**
+ * Build a JS module that recreates the shader with three.js
+ * @param {object} shader
+ * @param {string} shader.name - Shader name, used for the exported function names
+ * @param {Array<{name: string, code: string, vertexCode?: string}>} shader.passes - GLSL output of compileSlangPasses (not forExport)
+ * @param {Array} shader.parameters - Material parameters, defaults being the values to export
+ * @param {boolean} shader.react - Add the React Three Fiber hook and component (JSX module)
+ * @returns {string} Module source
+ */
+export function buildThreeModule({ name, passes, parameters = [], react = false }) {
+  const componentName = toComponentName(name)
+  const imagePass = passes.find(pass => pass.name === IMAGE_PASS)
+  const bufferPasses = passes
+    .filter(pass => pass !== imagePass)
+    .map(pass => ({ name: pass.name, fragmentShader: convertSlangGlslToWebGL(pass.code, parameters) }))
+  const hasBuffers = bufferPasses.length > 0
+  const vertexShader = imagePass.vertexCode
+    ? buildVertexShader(convertSlangVertexToWebGL(imagePass.vertexCode, parameters))
+    : VERTEX_SHADER
+
+  const usage = react
+    ? [
+        `//   import { ${componentName}Material } from './${componentName}Material'`,
+        '//',
+        '//   <mesh>',
+        '//     <sphereGeometry />',
+        `//     <${componentName}Material parameters={{ ... }} />`,
+        '//   </mesh>'
+      ]
+    : [
+        `//   import { create${componentName}Material, update${componentName}Material } from './${componentName}Material.js'`,
+        '//',
+        `//   const material = create${componentName}Material()`,
+        '//   mesh.material = material',
+        '//   renderer.setAnimationLoop(() => {',
+        '//     const delta = clock.getDelta()',
+        `//     update${componentName}Material(material, { time: clock.elapsedTime, delta, width, height${hasBuffers ? ', renderer' : ''} })`,
+        '//     renderer.render(scene, camera)',
+        '//   })'
+      ]
+
+  return `// ${name} - ${react ? 'React Three Fiber material' : 'Three.js ShaderMaterial'}
+// Exported from Online Material Library. Usage:
+${usage.join('\n')}
+
+import * as THREE from 'three'
+${react ? "import { useMemo, useEffect } from 'react'\nimport { useFrame } from '@react-three/fiber'\n" : ''}
+const CHANNEL_COUNT = 4
+
+export const vertexShader = ${toTemplateLiteral(vertexShader)}
+
+export const fragmentShader = ${toTemplateLiteral(convertSlangGlslToWebGL(imagePass.code, parameters))}
+
+// Material parameters, defaults being the values at export time
+export const parameters = [
+${parameters.map(describeParameter).join(',\n')}
+]
+
+// Parameter value as a uniform value (bools are passed as int)
+function toUniformValue(param, value) {
+  switch (param.type) {
+    case 'bool':
+      return value ? 1 : 0
+    case 'float2':
+      return new THREE.Vector2(...value)
+    case 'float3':
+      return new THREE.Vector3(...value)
+    case 'float4':
+      return new THREE.Vector4(...value)
+    default:
+      return value
+  }
+}
+
+function createUniforms(values) {
+  const uniforms = {
+    uResolution: { value: new THREE.Vector2(1, 1) },
+    uTime: { value: 0 },
+    uTimeDelta: { value: 0 },
+    uFrame: { value: 0 },
+    uFrameRate: { value: 60 },
+    uMouse: { value: new THREE.Vector4() },
+    uDate: { value: new THREE.Vector4() },
+    iChannelResolution: { value: Array.from({ length: CHANNEL_COUNT }, () => new THREE.Vector3(1, 1, 1)) },
+    iChannelTime: { value: new Array(CHANNEL_COUNT).fill(0) }
+  }
+  for (let i = 0; i < CHANNEL_COUNT; i++) {
+    uniforms[\`iChannel\${i}\`] = { value: null }
+  }
+${hasBuffers ? `  for (const bufferName of BUFFER_NAMES) {
+    uniforms[\`i\${bufferName}\`] = { value: null }
+  }
+` : ''}  for (const param of parameters) {
+    uniforms[param.name] = { value: toUniformValue(param, values[param.name] ?? param.default) }
+  }
+  return uniforms
+}
+${hasBuffers ? buildBufferPassCode(componentName, bufferPasses) : ''}
+/**
+ * Create the ${name} material
+ * @param {object} [options] - THREE.ShaderMaterial options (side, transparent, ...) plus:
+ * @param {object} [options.parameters] - Parameter values by name
+ * @param {Array<THREE.Texture|null>} [options.channels] - Textures for iChannel0-3
+ * @returns {THREE.ShaderMaterial}
+ */
+export function create${componentName}Material({ parameters: values = {}, channels = [], ...materialOptions } = {}) {
+  const uniforms = createUniforms(values)
+  channels.forEach((texture, i) => {
+    if (i < CHANNEL_COUNT) uniforms[\`iChannel\${i}\`].value = texture
+  })
+
+  const material = new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader,
+    fragmentShader,
+    side: THREE.DoubleSide,
+    ...materialOptions
+  })
+${hasBuffers ? `
+  const state = createBufferPasses(uniforms)
+  material.userData.bufferPasses = state
+  material.addEventListener('dispose', () => disposeBufferPasses(state))
+` : ''}
+  return material
+}
+
+/**
+ * Change parameter values without rebuilding the material
+ * @param {THREE.ShaderMaterial} material
+ * @param {object} values - Parameter values by name
+ */
+export function set${componentName}Parameters(material, values) {
+  for (const param of parameters) {
+    if (values[param.name] !== undefined) {
+      material.uniforms[param.name].value = toUniformValue(param, values[param.name])
+    }
+  }
+}
+
+/**
+ * Advance the material by one frame, call before rendering
+ * @param {THREE.ShaderMaterial} material
+ * @param {object} frame
+ * @param {number} frame.time - Elapsed time in seconds (iTime)
+ * @param {number} [frame.delta] - Seconds since the previous frame (iTimeDelta)
+ * @param {number} frame.width - Render width in pixels (iResolution)
+ * @param {number} frame.height - Render height in pixels
+ * @param {number[]} [frame.mouse] - iMouse in pixels: x, y while pressed, click x, click y
+${hasBuffers ? ' * @param {THREE.WebGLRenderer} frame.renderer - Draws the buffer passes\n' : ''} */
+export function update${componentName}Material(material, { time, delta = 0, width, height, mouse${hasBuffers ? ', renderer' : ''} }) {
+  const uniforms = material.uniforms
+  uniforms.uTime.value = time
+  uniforms.uTimeDelta.value = delta
+  uniforms.uFrame.value++
+  uniforms.uFrameRate.value = delta > 0 ? 1 / delta : 60
+  uniforms.uResolution.value.set(width, height)
+  uniforms.iChannelTime.value.fill(time)
+  if (mouse) uniforms.uMouse.value.fromArray(mouse)
+
+  // iDate: year, month (0-11), day (1-31), seconds since midnight
+  const now = new Date()
+  uniforms.uDate.value.set(
+    now.getFullYear(),
+    now.getMonth(),
+    now.getDate(),
+    now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds() + now.getMilliseconds() / 1000
+  )
+
+  for (let i = 0; i < CHANNEL_COUNT; i++) {
+    const image = uniforms[\`iChannel\${i}\`].value?.image
+    if (image) uniforms.iChannelResolution.value[i].set(image.width, image.height, 1)
+  }
+${hasBuffers ? '\n  renderBufferPasses(material.userData.bufferPasses, uniforms, renderer)\n' : ''}}
+${react ? buildReactCode(componentName) : ''}`.replace(/\n{3,}/g, '\n\n').trim() + '\n'
+}
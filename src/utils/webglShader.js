@@ -0,0 +1,230 @@
+// WebGL shaders for three.js
+//
+// The preview renders the server's GLSL ES output (spirv-cross) with a
+// THREE.ShaderMaterial. The same vertex shaders and translation are used by the
+// Three.js module export, so exported materials render like the preview.
+
+// Fixed vertex shader - users don't need to touch this. The world space
+// varyings feed the lighting of surface mode shaders.
+export const VERTEX_SHADER = `
+varying vec2 vUv;
+varying vec3 vNormal;
+varying vec3 vPosition;
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+varying vec3 vViewDirection;
+
+void main() {
+  vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+  vUv = uv;
+  vNormal = normalize(normalMatrix * normal);
+  vPosition = position;
+  vWorldPosition = worldPosition.xyz;
+  vWorldNormal = normalize(mat3(modelMatrix) * normal);
+  vViewDirection = cameraPosition - worldPosition.xyz;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`
+
+// Attributes and matrices three.js declares for a ShaderMaterial vertex shader,
+// for compiling the vertex shaders with raw WebGL 1 (the compile check and the HTML player)
+export const VERTEX_PREFIX = `precision highp float;
+attribute vec3 position;
+attribute vec3 normal;
+attribute vec2 uv;
+uniform mat4 modelViewMatrix;
+uniform mat4 projectionMatrix;
+uniform mat3 normalMatrix;
+uniform mat4 modelMatrix;
+uniform mat4 viewMatrix;
+uniform vec3 cameraPosition;
+`
+
+// Fullscreen-quad vertex shader for Buffer passes - screen-space UV and a flat normal
+export const QUAD_VERTEX_SHADER = `
+varying vec2 vUv;
+varying vec3 vNormal;
+varying vec3 vPosition;
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+varying vec3 vViewDirection;
+
+void main() {
+  vUv = uv;
+  vNormal = vec3(0.0, 0.0, 1.0);
+  vPosition = vec3(uv, 0.0);
+  vWorldPosition = vec3(position.xy, 0.0);
+  vWorldNormal = vec3(0.0, 0.0, 1.0);
+  vViewDirection = vec3(0.0, 0.0, 1.0);
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`
+
+// Vertex shader for a shader with a "// @vertex" section. The user's stage
+// (from convertSlangVertexToWebGL) runs for the vertex and for two neighbours
+// a small step along the surface; the normal is rebuilt from the three
+// displaced points. The neighbours reuse the vertex's normal and UV, which is
+// close enough at this step size. vPosition stays undisplaced so patterns
+// don't swim over the surface.
+export function buildVertexShader(vertexGlsl) {
+  return `
+varying vec2 vUv;
+varying vec3 vNormal;
+varying vec3 vPosition;
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+varying vec3 vViewDirection;
+
+vec3 vertexInputPosition;
+vec3 vertexInputNormal;
+vec2 vertexInputUv;
+vec4 vertexOffset;
+
+${vertexGlsl}
+
+// World position of a local point after the user's offset
+vec3 displace(vec3 point) {
+  vertexInputPosition = point;
+  vertexInputNormal = normal;
+  vertexInputUv = uv;
+  vertexOffset = vec4(0.0);
+  userVertexMain();
+  return (modelMatrix * vec4(point, 1.0)).xyz + vertexOffset.xyz;
+}
+
+void main() {
+  const float EPS = 0.01;
+  vec3 tangent = normalize(cross(normal, abs(normal.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0)));
+  vec3 bitangent = cross(normal, tangent);
+
+  vec3 p = displace(position);
+  vec3 pt = displace(position + tangent * EPS);
+  vec3 pb = displace(position + bitangent * EPS);
+  vec3 crossed = cross(pt - p, pb - p);
+  vec3 worldNormal = length(crossed) > 1e-10 ? normalize(crossed) : normalize(mat3(modelMatrix) * normal);
+
+  vUv = uv;
+  vNormal = normalize(mat3(viewMatrix) * worldNormal);
+  vPosition = position;
+  vWorldPosition = p;
+  vWorldNormal = worldNormal;
+  vViewDirection = cameraPosition - p;
+  gl_Position = projectionMatrix * viewMatrix * vec4(p, 1.0);
+}
+`
+}
+
+// GLSL type used for each material parameter value type (bools are passed as int)
+export const PARAM_GLSL_TYPES = { float: 'float', float2: 'vec2', float3: 'vec3', float4: 'vec4', bool: 'int' }
+
+// Remove the version, extension and precision lines and the wrapper's uniform
+// block, declaring its members as plain uniforms instead (both stages)
+function replaceUniformBlock(glslEsCode, parameters) {
+  let code = glslEsCode
+
+  // Remove #version directive (WebGL doesn't need it)
+  code = code.replace(/#version\s+\d+.*\r?\n?/g, '')
+
+  // Remove extension directives - three.js compiles GLSL ES 3.00 where derivatives are
+  // built in, raw WebGL 1 compiles put the directive back with enableDerivatives()
+  code = code.replace(/#extension\s+GL_(OES_standard_derivatives|EXT_draw_buffers)\b.*\r?\n?/g, '')
+
+  // Remove precision declarations (we'll add our own)
+  code = code.replace(/precision\s+(lowp|mediump|highp)\s+(float|int)\s*;\s*\r?\n?/g, '')
+
+  // Remove the GlobalParams_std140 struct definition
+  code = code.replace(/struct\s+GlobalParams_std140\s*\{[^}]*\}\s*;\s*/gs, '')
+
+  // Remove the uniform struct instance declaration
+  code = code.replace(/uniform\s+GlobalParams_std140\s+globalParams\s*;\s*/g, `
+uniform vec2 uResolution;
+uniform float uTime;
+uniform float uTimeDelta;
+uniform float uFrame;
+uniform float uFrameRate;
+uniform vec4 uMouse;
+uniform vec4 uDate;
+uniform vec3 iChannelResolution[4];
+uniform float iChannelTime[4];
+${parameters.map(p => `uniform ${PARAM_GLSL_TYPES[p.valueType]} ${p.name};`).join('\n')}
+`)
+
+  // Map spirv-cross uniform references to our uniform names
+  code = code.replace(/globalParams\.uResolution/g, 'uResolution')
+  code = code.replace(/globalParams\.uTime/g, 'uTime')
+  code = code.replace(/globalParams\.uTimeDelta/g, 'uTimeDelta')
+  code = code.replace(/globalParams\.uFrame/g, 'uFrame')
+  code = code.replace(/globalParams\.uFrameRate/g, 'uFrameRate')
+  code = code.replace(/globalParams\.uMouse/g, 'uMouse')
+  code = code.replace(/globalParams\.uDate/g, 'uDate')
+  for (const p of parameters) {
+    code = code.replace(new RegExp(`globalParams\\.${p.name}\\b`, 'g'), p.name)
+  }
+
+  // Map texture channels (spirv-cross combines each texture with its sampler)
+  code = code.replace(/globalParams\.(iChannel(?:Resolution|Time))\b/g, '$1')
+  code = code.replace(/\bSPIRV_Cross_Combined(iChannel\d|iBuffer[A-D])\w*/g, '$1')
+
+  return code
+}
+
+// Convert spirv-cross GLSL ES output to WebGL-compatible GLSL
+export function convertSlangGlslToWebGL(glslEsCode, parameters = []) {
+  let code = replaceUniformBlock(glslEsCode, parameters)
+
+  // Map spirv-cross varying names to our vertex shader's varying names
+  code = code.replace(/\binput_uv\b/g, 'vUv')
+  code = code.replace(/\binput_normal\b/g, 'vNormal')
+  code = code.replace(/\binput_position\b/g, 'vPosition')
+  code = code.replace(/\binput_worldPosition\b/g, 'vWorldPosition')
+  code = code.replace(/\binput_worldNormal\b/g, 'vWorldNormal')
+  code = code.replace(/\binput_viewDirection\b/g, 'vViewDirection')
+
+  // Remove highp qualifiers from varying declarations (we'll use global precision)
+  code = code.replace(/varying\s+highp\s+/g, 'varying ')
+
+  // Convert gl_FragData[0] to gl_FragColor
+  code = code.replace(/gl_FragData\s*\[\s*0\s*\]/g, 'gl_FragColor')
+
+  // Convert infinite loop pattern for(;;) to WebGL-compatible loop
+  code = code.replace(/for\s*\(\s*;\s*;\s*\)/g, 'for(int _loopIdx = 0; _loopIdx < 10000; _loopIdx++)')
+
+  // Add precision qualifier at the beginning
+  code = 'precision highp float;\n' + code
+
+  // Clean up multiple empty lines and carriage returns
+  code = code.replace(/\r\n/g, '\n')
+  code = code.replace(/\n{3,}/g, '\n\n')
+
+  return code.trim()
+}
+
+// Convert the spirv-cross output of the vertex offset stage into code for
+// buildVertexShader: main() becomes userVertexMain(), the mesh attributes and
+// gl_Position (which holds the offset) become globals the wrapper fills and reads
+export function convertSlangVertexToWebGL(glslEsCode, parameters = []) {
+  let code = replaceUniformBlock(glslEsCode, parameters)
+
+  // three.js declares the attributes itself
+  code = code.replace(/attribute\s+(?:highp\s+)?vec[23]\s+input_\w+\s*;\s*/g, '')
+  code = code.replace(/\binput_position\b/g, 'vertexInputPosition')
+  code = code.replace(/\binput_normal\b/g, 'vertexInputNormal')
+  code = code.replace(/\binput_uv\b/g, 'vertexInputUv')
+
+  code = code.replace(/\bvoid\s+main\s*\(\s*\)/, 'void userVertexMain()')
+  code = code.replace(/\bgl_Position\b/g, 'vertexOffset')
+
+  code = code.replace(/for\s*\(\s*;\s*;\s*\)/g, 'for(int _loopIdx = 0; _loopIdx < 10000; _loopIdx++)')
+
+  code = code.replace(/\r\n/g, '\n')
+  code = code.replace(/\n{3,}/g, '\n\n')
+
+  return code.trim()
+}
+
+// Enable standard derivatives for converted code compiled as GLSL ES 1.00 (the
+// compile check and the HTML player) when it uses dFdx, dFdy or fwidth
+export function enableDerivatives(code) {
+  if (!/\b(dFdx|dFdy|fwidth)\s*\(/.test(code)) return code
+  return `#extension GL_OES_standard_derivatives : enable\n${code}`
+}
@@ -0,0 +1,211 @@
+// WebM video encoder
+//
+// Frames are encoded to VP8 with WebCodecs and written into a WebM (Matroska)
+// container here, with timestamps taken from the frame number rather than the
+// wall clock. MediaRecorder can't do that: it stamps frames as they arrive, so
+// a slow render would come out as a slow video.
+
+// EBML element IDs used in the file
+const IDS = {
+  EBML: [0x1a, 0x45, 0xdf, 0xa3],
+  EBMLVersion: [0x42, 0x86],
+  EBMLReadVersion: [0x42, 0xf7],
+  EBMLMaxIDLength: [0x42, 0xf2],
+  EBMLMaxSizeLength: [0x42, 0xf3],
+  DocType: [0x42, 0x82],
+  DocTypeVersion: [0x42, 0x87],
+  DocTypeReadVersion: [0x42, 0x85],
+  Segment: [0x18, 0x53, 0x80, 0x67],
+  Info: [0x15, 0x49, 0xa9, 0x66],
+  TimecodeScale: [0x2a, 0xd7, 0xb1],
+  Duration: [0x44, 0x89],
+  MuxingApp: [0x4d, 0x80],
+  WritingApp: [0x57, 0x41],
+  Tracks: [0x16, 0x54, 0xae, 0x6b],
+  TrackEntry: [0xae],
+  TrackNumber: [0xd7],
+  TrackUID: [0x73, 0xc5],
+  TrackType: [0x83],
+  CodecID: [0x86],
+  Video: [0xe0],
+  PixelWidth: [0xb0],
+  PixelHeight: [0xba],
+  Cluster: [0x1f, 0x43, 0xb6, 0x75],
+  Timecode: [0xe7],
+  SimpleBlock: [0xa3]
+}
+
+const CODEC = 'vp8'
+const KEYFRAME_INTERVAL = 2 // Seconds - every keyframe starts a new cluster
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    result.set(part, offset)
+    offset += part.length
+  }
+  return result
+}
+
+// Element size as an EBML variable-length integer
+function encodeSize(size) {
+  let length = 1
+  while (size >= 2 ** (7 * length) - 1) length++
+  const bytes = new Uint8Array(length)
+  let value = size
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256
+    value = Math.floor(value / 256)
+  }
+  bytes[0] |= 1 << (8 - length)
+  return bytes
+}
+
+function encodeUint(value) {
+  const bytes = []
+  do {
+    bytes.unshift(value % 256)
+    value = Math.floor(value / 256)
+  } while (value > 0)
+  return new Uint8Array(bytes)
+}
+
+function encodeFloat(value) {
+  const bytes = new Uint8Array(8)
+  new DataView(bytes.buffer).setFloat64(0, value)
+  return bytes
+}
+
+// Element with raw bytes, an unsigned int, a string or child elements as content
+function element(id, content) {
+  let data
+  if (typeof content === 'number') data = encodeUint(content)
+  else if (typeof content === 'string') data = new TextEncoder().encode(content)
+  else if (Array.isArray(content)) data = concatBytes(content)
+  else data = content
+  return concatBytes([new Uint8Array(id), encodeSize(data.length), data])
+}
+
+function buildWebm({ width, height, duration, chunks }) {
+  const header = element(IDS.EBML, [
+    element(IDS.EBMLVersion, 1),
+    element(IDS.EBMLReadVersion, 1),
+    element(IDS.EBMLMaxIDLength, 4),
+    element(IDS.EBMLMaxSizeLength, 8),
+    element(IDS.DocType, 'webm'),
+    element(IDS.DocTypeVersion, 2),
+    element(IDS.DocTypeReadVersion, 2)
+  ])
+
+  const info = element(IDS.Info, [
+    element(IDS.TimecodeScale, 1000000), // Timecodes in milliseconds
+    element(IDS.Duration, encodeFloat(duration * 1000)),
+    element(IDS.MuxingApp, 'Online Material Library'),
+    element(IDS.WritingApp, 'Online Material Library')
+  ])
+
+  const tracks = element(IDS.Tracks, [
+    element(IDS.TrackEntry, [
+      element(IDS.TrackNumber, 1),
+      element(IDS.TrackUID, 1),
+      element(IDS.TrackType, 1), // Video
+      element(IDS.CodecID, 'V_VP8'),
+      element(IDS.Video, [element(IDS.PixelWidth, width), element(IDS.PixelHeight, height)])
+    ])
+  ])
+
+  // A cluster per keyframe, blocks timed relative to it
+  const clusters = []
+  let current = null
+  for (const chunk of chunks) {
+    const time = Math.round(chunk.timestamp / 1000)
+    if (!current || chunk.key) {
+      current = { time, blocks: [] }
+      clusters.push(current)
+    }
+    const relative = time - current.time
+    const blockHeader = new Uint8Array([0x81, (relative >> 8) & 0xff, relative & 0xff, chunk.key ? 0x80 : 0])
+    current.blocks.push(element(IDS.SimpleBlock, concatBytes([blockHeader, chunk.data])))
+  }
+
+  const segment = element(IDS.Segment, [
+    info,
+    tracks,
+    ...clusters.map(cluster => element(IDS.Cluster, [element(IDS.Timecode, cluster.time), ...cluster.blocks]))
+  ])
+
+  return new Blob([header, segment], { type: 'video/webm' })
+}
+
+/**
+ * Whether this browser can encode WebM video (WebCodecs with VP8)
+ * @returns {Promise<boolean>}
+ */
+export async function isWebmSupported() {
+  if (typeof VideoEncoder === 'undefined') return false
+  const { supported } = await VideoEncoder.isConfigSupported({ codec: CODEC, width: 640, height: 360 })
+  return supported
+}
+
+/**
+ * Create a WebM encoder
+ * @param {number} width
+ * @param {number} height
+ * @param {object} [options]
+ * @param {number} [options.fps] - Frames per second
+ * @returns {{addFrame: (image: ImageData) => Promise<void>, finish: () => Promise<Blob>}}
+ */
+export function createWebmEncoder(width, height, { fps = 30 } = {}) {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('WebM recording needs WebCodecs, which this browser does not support - try GIF or PNG')
+  }
+
+  const chunks = []
+  let encodeError = null
+  let frameIndex = 0
+
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength)
+      chunk.copyTo(data)
+      chunks.push({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' })
+    },
+    error: (error) => {
+      encodeError = error
+    }
+  })
+  encoder.configure({
+    codec: CODEC,
+    width,
+    height,
+    framerate: fps,
+    bitrate: Math.round(width * height * fps * 0.25)
+  })
+
+  return {
+    async addFrame(image) {
+      if (encodeError) throw encodeError
+      const frame = new VideoFrame(image.data, {
+        format: 'RGBA',
+        codedWidth: width,
+        codedHeight: height,
+        timestamp: Math.round((frameIndex * 1e6) / fps),
+        duration: Math.round(1e6 / fps)
+      })
+      encoder.encode(frame, { keyFrame: frameIndex % Math.max(1, Math.round(fps * KEYFRAME_INTERVAL)) === 0 })
+      frame.close()
+      frameIndex++
+
+      // Don't let encoding fall too far behind rendering
+      if (encoder.encodeQueueSize > 8) await encoder.flush()
+    },
+
+    async finish() {
+      await encoder.flush()
+      encoder.close()
+      if (encodeError) throw encodeError
+      return buildWebm({ width, height, duration: frameIndex / fps, chunks })
+    }
+  }
+}